@@ -1,12 +1,30 @@
 """Document management endpoints."""
 
-from fastapi import APIRouter, File, HTTPException, UploadFile
+import hashlib
+import io
+from datetime import UTC, datetime
+from pathlib import Path
+from typing import BinaryIO
+from uuid import uuid4
 
+from fastapi import APIRouter, Depends, File, HTTPException, UploadFile
+from fastapi.responses import FileResponse
+from langchain_core.documents import Document
+
+from app.api.routes.workspaces import get_workspace, workspace_files
 from app.api.schemas import (
+    DocumentChunk,
+    DocumentChunksResponse,
+    DocumentDeleteResponse,
+    DocumentLibraryResponse,
     DocumentListResponse,
     DocumentUploadResponse,
     ErrorResponse,
+    LibraryDocument,
+    TextDocumentRequest,
+    UploadLimitsResponse,
 )
+from app.config import get_settings
 from app.core.document_processor import DocumentProcessor
 from app.core.vector_store import VectorStoreService
 from app.utils.logger import get_logger
@@ -14,19 +32,156 @@ from app.utils.logger import get_logger
 logger = get_logger(__name__)
 router = APIRouter(prefix="/documents", tags=["Documents"])
 
+HASH_BLOCK_SIZE = 1024 * 1024
+
+# Originals are user content served from the app's origin: never sniffed into HTML and
+# sandboxed, so an uploaded page cannot run script alongside the stored credentials
+ORIGINAL_FILE_HEADERS = {
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "sandbox",
+}
+
+
+def check_upload(file: BinaryIO, limit_mb: int | None = None) -> str:
+    """Enforce the upload size limit and hash the file contents.
+
+    Args:
+        file: Uploaded file contents, rewound afterwards
+        limit_mb: Size limit in MB (default: the single-request upload limit)
+
+    Returns:
+        SHA-256 hex digest of the contents
+
+    Raises:
+        HTTPException: 400 for an empty file, 413 for a file over the limit
+    """
+    limit_mb = limit_mb or get_settings().max_upload_size_mb
+    max_bytes = limit_mb * 1024 * 1024
+    digest = hashlib.sha256()
+    size = 0
+
+    for block in iter(lambda: file.read(HASH_BLOCK_SIZE), b""):
+        size += len(block)
+        if size > max_bytes:
+            raise HTTPException(
+                status_code=413,
+                detail=f"File exceeds the {limit_mb} MB upload limit",
+            )
+        digest.update(block)
+
+    if size == 0:
+        raise HTTPException(status_code=400, detail="File is empty")
+
+    file.seek(0)
+    return digest.hexdigest()
+
+
+def ingest_chunks(
+    vector_store: VectorStoreService,
+    chunks: list[Document],
+    filename: str,
+    document_id: str | None = None,
+    content_hash: str | None = None,
+    file_type: str | None = None,
+) -> tuple[str, list[str]]:
+    """Tag chunks with their file's identity and add them to the vector store.
+
+    Args:
+        vector_store: Vector store service
+        chunks: Chunks of one file
+        filename: Original filename
+        document_id: Existing document ID to reuse (for re-ingestion)
+        content_hash: SHA-256 of the file, used to spot duplicate uploads
+        file_type: File type to record (default: the filename's extension)
+
+    Returns:
+        Tuple of (document ID, chunk IDs)
+    """
+    document_id = document_id or str(uuid4())
+    uploaded_at = datetime.now(UTC).isoformat()
+
+    for index, chunk in enumerate(chunks):
+        chunk.metadata.update(
+            document_id=document_id,
+            file_type=file_type or Path(filename).suffix.lower().lstrip("."),
+            uploaded_at=uploaded_at,
+            chunk_index=index,
+            content_hash=content_hash,
+        )
+
+    return document_id, vector_store.add_documents(chunks)
+
+
+def ingest_upload(
+    file: BinaryIO,
+    filename: str,
+    content_hash: str,
+    workspace: dict,
+) -> DocumentUploadResponse:
+    """Process an uploaded file, add its chunks and keep the original.
+
+    Args:
+        file: File contents, positioned at the start
+        filename: Original filename
+        content_hash: SHA-256 of the file
+        workspace: Workspace to add the document to
+
+    Returns:
+        Upload response
+
+    Raises:
+        HTTPException: 400 if no content could be extracted
+        ValueError: If the file type is not supported
+    """
+    processor = DocumentProcessor()
+    chunks = processor.process_upload(file, filename)
+
+    if not chunks:
+        raise HTTPException(
+            status_code=400,
+            detail="No content could be extracted from the document",
+        )
+
+    vector_store = VectorStoreService(workspace["collection_name"])
+    document_id, document_ids = ingest_chunks(
+        vector_store, chunks, filename, content_hash=content_hash
+    )
+
+    # Keep the original so the source viewer can show chunks in context
+    file.seek(0)
+    workspace_files(workspace).save(document_id, filename, file)
+
+    logger.info(
+        f"Successfully processed {filename}: "
+        f"{len(chunks)} chunks, {len(document_ids)} documents"
+    )
+
+    return DocumentUploadResponse(
+        message="Document uploaded and processed successfully",
+        filename=filename,
+        chunks_created=len(chunks),
+        document_ids=document_ids,
+        document_id=document_id,
+    )
+
 
 @router.post(
     "/upload",
     response_model=DocumentUploadResponse,
     responses={
-        400: {"model": ErrorResponse, "description": "Invalid file type"},
+        400: {"model": ErrorResponse, "description": "Invalid or empty file"},
+        413: {"model": ErrorResponse, "description": "File too large"},
         500: {"model": ErrorResponse, "description": "Processing error"},
     },
     summary="Upload and ingest a document",
-    description="Upload a document (PDF, TXT, or CSV) to be processed and added to the vector store.",
+    description=(
+        "Upload a document (PDF, TXT, CSV, Markdown, HTML, DOCX or JSON) to be processed "
+        "and added to the vector store."
+    ),
 )
 async def upload_document(
     file: UploadFile = File(..., description="Document file to upload"),
+    workspace: dict = Depends(get_workspace),
 ) -> DocumentUploadResponse:
     """Upload and process a document."""
     logger.info(f"Received document upload: {file.filename}")
@@ -38,41 +193,90 @@ async def upload_document(
             detail="Filename is required",
         )
 
+    content_hash = check_upload(file.file)
+
     try:
-        # Process document
-        processor = DocumentProcessor()
-        chunks = processor.process_upload(file.file, file.filename)
+        return ingest_upload(file.file, file.filename, content_hash, workspace)
 
-        if not chunks:
-            raise HTTPException(
-                status_code=400,
-                detail="No content could be extracted from the document",
-            )
+    except ValueError as e:
+        logger.warning(f"Invalid file upload: {e}")
+        raise HTTPException(status_code=400, detail=str(e))
+    except Exception as e:
+        logger.error(f"Error processing document: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error processing document: {str(e)}",
+        )
+
+
+@router.post(
+    "/text",
+    response_model=DocumentUploadResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Empty text"},
+        413: {"model": ErrorResponse, "description": "Text too large"},
+        500: {"model": ErrorResponse, "description": "Processing error"},
+    },
+    summary="Ingest pasted text",
+    description=(
+        "Add pasted or typed text, such as a resolved ticket or a chat answer, "
+        "as a document without uploading a file."
+    ),
+)
+async def add_text_document(
+    request: TextDocumentRequest,
+    workspace: dict = Depends(get_workspace),
+) -> DocumentUploadResponse:
+    """Ingest pasted text as a document."""
+    title = request.title.strip()
+    logger.info(f"Received text document: {title}")
+
+    if not title or not request.content.strip():
+        raise HTTPException(status_code=400, detail="Title and text are required")
 
-        # Add to vector store
-        vector_store = VectorStoreService()
-        document_ids = vector_store.add_documents(chunks)
+    data = request.content.encode("utf-8")
+    limit_mb = get_settings().max_upload_size_mb
+    if len(data) > limit_mb * 1024 * 1024:
+        raise HTTPException(
+            status_code=413,
+            detail=f"Text exceeds the {limit_mb} MB upload limit",
+        )
+
+    tags = list(dict.fromkeys(tag.strip() for tag in request.tags if tag.strip()))
+
+    try:
+        processor = DocumentProcessor()
+        chunks = processor.split_documents(
+            [Document(page_content=request.content, metadata={"source": title, "tags": tags})]
+        )
 
-        logger.info(
-            f"Successfully processed {file.filename}: "
-            f"{len(chunks)} chunks, {len(document_ids)} documents"
+        vector_store = VectorStoreService(workspace["collection_name"])
+        document_id, document_ids = ingest_chunks(
+            vector_store,
+            chunks,
+            title,
+            content_hash=hashlib.sha256(data).hexdigest(),
+            file_type="note",
         )
 
+        # Keep the text so the source viewer can show chunks in context
+        workspace_files(workspace).save(document_id, "note.txt", io.BytesIO(data))
+
+        logger.info(f"Successfully processed text {title}: {len(chunks)} chunks")
+
         return DocumentUploadResponse(
-            message="Document uploaded and processed successfully",
-            filename=file.filename,
+            message="Text added successfully",
+            filename=title,
             chunks_created=len(chunks),
             document_ids=document_ids,
+            document_id=document_id,
         )
 
-    except ValueError as e:
-        logger.warning(f"Invalid file upload: {e}")
-        raise HTTPException(status_code=400, detail=str(e))
     except Exception as e:
-        logger.error(f"Error processing document: {e}")
+        logger.error(f"Error processing text document: {e}")
         raise HTTPException(
             status_code=500,
-            detail=f"Error processing document: {str(e)}",
+            detail=f"Error processing text: {str(e)}",
         )
 
 
@@ -82,12 +286,12 @@ async def upload_document(
     summary="Get collection information",
     description="Get information about the document collection.",
 )
-async def get_collection_info() -> DocumentListResponse:
+async def get_collection_info(workspace: dict = Depends(get_workspace)) -> DocumentListResponse:
     """Get information about the document collection."""
     logger.debug("Collection info requested")
 
     try:
-        vector_store = VectorStoreService()
+        vector_store = VectorStoreService(workspace["collection_name"])
         info = vector_store.get_collection_info()
 
         return DocumentListResponse(
@@ -112,13 +316,14 @@ async def get_collection_info() -> DocumentListResponse:
     summary="Delete the entire collection",
     description="Delete all documents from the vector store. Use with caution!",
 )
-async def delete_collection() -> dict:
+async def delete_collection(workspace: dict = Depends(get_workspace)) -> dict:
     """Delete the entire document collection."""
     logger.warning("Collection deletion requested")
 
     try:
-        vector_store = VectorStoreService()
+        vector_store = VectorStoreService(workspace["collection_name"])
         vector_store.delete_collection()
+        workspace_files(workspace).clear()
 
         return {"message": "Collection deleted successfully"}
     except Exception as e:
@@ -127,3 +332,260 @@ async def delete_collection() -> dict:
             status_code=500,
             detail=f"Error deleting collection: {str(e)}",
         )
+
+
+@router.get(
+    "/limits",
+    response_model=UploadLimitsResponse,
+    summary="Get upload limits",
+    description=(
+        "Get the size limits and file types accepted by the upload endpoints, "
+        "and the part size used for resumable uploads."
+    ),
+)
+async def get_upload_limits() -> UploadLimitsResponse:
+    """Get the upload constraints for client-side preflight checks."""
+    settings = get_settings()
+    return UploadLimitsResponse(
+        max_upload_size_bytes=settings.max_upload_size_mb * 1024 * 1024,
+        supported_extensions=sorted(DocumentProcessor.SUPPORTED_EXTENSIONS),
+        chunked_upload_threshold_bytes=settings.chunked_upload_threshold_mb * 1024 * 1024,
+        max_chunked_upload_size_bytes=settings.max_chunked_upload_size_mb * 1024 * 1024,
+        upload_part_size_bytes=settings.upload_part_size_mb * 1024 * 1024,
+    )
+
+
+@router.get(
+    "",
+    response_model=DocumentLibraryResponse,
+    responses={500: {"model": ErrorResponse, "description": "Listing error"}},
+    summary="List ingested documents",
+    description="List each ingested file with its type, chunk count and upload time.",
+)
+async def list_documents(workspace: dict = Depends(get_workspace)) -> DocumentLibraryResponse:
+    """List ingested files."""
+    logger.debug("Document list requested")
+
+    try:
+        vector_store = VectorStoreService(workspace["collection_name"])
+        documents = [LibraryDocument(**document) for document in vector_store.list_documents()]
+
+        return DocumentLibraryResponse(documents=documents, total=len(documents))
+    except Exception as e:
+        logger.error(f"Error listing documents: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error listing documents: {str(e)}",
+        )
+
+
+@router.get(
+    "/{document_id}/chunks",
+    response_model=DocumentChunksResponse,
+    responses={
+        404: {"model": ErrorResponse, "description": "Document not found"},
+        500: {"model": ErrorResponse, "description": "Retrieval error"},
+    },
+    summary="Get the chunks of a document",
+    description="Get every stored chunk of one ingested file, in document order.",
+)
+async def get_document_chunks(
+    document_id: str,
+    workspace: dict = Depends(get_workspace),
+) -> DocumentChunksResponse:
+    """Get the chunks of one ingested file."""
+    logger.debug(f"Chunks requested for document: {document_id}")
+
+    try:
+        vector_store = VectorStoreService(workspace["collection_name"])
+        chunks = vector_store.get_document_chunks(document_id)
+    except Exception as e:
+        logger.error(f"Error getting document chunks: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error getting document chunks: {str(e)}",
+        )
+
+    if not chunks:
+        raise HTTPException(status_code=404, detail=f"Document not found: {document_id}")
+
+    return DocumentChunksResponse(
+        document_id=document_id,
+        filename=chunks[0].metadata.get("source", document_id),
+        chunks=[
+            DocumentChunk(
+                id=chunk.metadata["_id"],
+                content=chunk.page_content,
+                metadata={k: v for k, v in chunk.metadata.items() if k != "_id"},
+            )
+            for chunk in chunks
+        ],
+    )
+
+
+@router.get(
+    "/{document_id}/file",
+    response_class=FileResponse,
+    responses={
+        200: {"description": "Original file"},
+        404: {"model": ErrorResponse, "description": "File not found"},
+    },
+    summary="Get the original file of a document",
+    description=(
+        "Download the file as it was uploaded, for viewing chunks in context. "
+        "PDFs are served as PDF, DOCX files as a download and every other type as "
+        "plain text. Files uploaded before originals were kept are not available."
+    ),
+)
+async def get_document_file(
+    document_id: str,
+    workspace: dict = Depends(get_workspace),
+) -> FileResponse:
+    """Serve the original uploaded file of one document."""
+    logger.debug(f"Original file requested for document: {document_id}")
+
+    path = workspace_files(workspace).get(document_id)
+    if path is None:
+        raise HTTPException(
+            status_code=404,
+            detail=f"Original file not available for document: {document_id}",
+        )
+
+    extension = path.suffix.lower()
+    if extension == ".pdf":
+        media_type, disposition = "application/pdf", "inline"
+    elif extension == ".docx":
+        media_type, disposition = "application/octet-stream", "attachment"
+    else:
+        # HTML, Markdown, JSON and the rest are shown as their source text
+        media_type, disposition = "text/plain; charset=utf-8", "inline"
+
+    return FileResponse(
+        path,
+        media_type=media_type,
+        filename=path.name,
+        content_disposition_type=disposition,
+        headers=ORIGINAL_FILE_HEADERS,
+    )
+
+
+@router.put(
+    "/{document_id}",
+    response_model=DocumentUploadResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Invalid or empty file"},
+        404: {"model": ErrorResponse, "description": "Document not found"},
+        413: {"model": ErrorResponse, "description": "File too large"},
+        500: {"model": ErrorResponse, "description": "Processing error"},
+    },
+    summary="Re-ingest a document",
+    description=(
+        "Replace the chunks of one ingested file with a freshly processed upload. "
+        "The document keeps its ID; the old chunks are removed only after the new "
+        "file has been processed."
+    ),
+)
+async def reingest_document(
+    document_id: str,
+    file: UploadFile = File(..., description="Replacement document file"),
+    workspace: dict = Depends(get_workspace),
+) -> DocumentUploadResponse:
+    """Re-ingest one document."""
+    logger.info(f"Re-ingesting document {document_id} from {file.filename}")
+
+    if not file.filename:
+        raise HTTPException(
+            status_code=400,
+            detail="Filename is required",
+        )
+
+    content_hash = check_upload(file.file)
+
+    try:
+        vector_store = VectorStoreService(workspace["collection_name"])
+        existing = vector_store.get_document_chunks(document_id)
+        if not existing:
+            raise HTTPException(status_code=404, detail=f"Document not found: {document_id}")
+
+        processor = DocumentProcessor()
+        chunks = processor.process_upload(file.file, file.filename)
+
+        if not chunks:
+            raise HTTPException(
+                status_code=400,
+                detail="No content could be extracted from the document",
+            )
+
+        # Older uploads are keyed by filename; they get a real ID on re-ingestion
+        keep_id = document_id if "document_id" in existing[0].metadata else None
+        new_id, document_ids = ingest_chunks(
+            vector_store, chunks, file.filename, keep_id, content_hash
+        )
+
+        # The new chunks share the document ID, so the old ones are removed by point ID,
+        # and only once the new ones are embedded and stored
+        vector_store.delete_points([chunk.metadata["_id"] for chunk in existing])
+
+        file.file.seek(0)
+        workspace_files(workspace).save(new_id, file.filename, file.file)
+
+        logger.info(f"Re-ingested {file.filename}: {len(chunks)} chunks")
+
+        return DocumentUploadResponse(
+            message="Document re-ingested successfully",
+            filename=file.filename,
+            chunks_created=len(chunks),
+            document_ids=document_ids,
+            document_id=new_id,
+        )
+
+    except HTTPException:
+        raise
+    except ValueError as e:
+        logger.warning(f"Invalid file upload: {e}")
+        raise HTTPException(status_code=400, detail=str(e))
+    except Exception as e:
+        logger.error(f"Error re-ingesting document: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error re-ingesting document: {str(e)}",
+        )
+
+
+@router.delete(
+    "/{document_id}",
+    response_model=DocumentDeleteResponse,
+    responses={
+        404: {"model": ErrorResponse, "description": "Document not found"},
+        500: {"model": ErrorResponse, "description": "Deletion error"},
+    },
+    summary="Delete a document",
+    description="Delete every chunk of one ingested file, leaving the rest of the collection.",
+)
+async def delete_document(
+    document_id: str,
+    workspace: dict = Depends(get_workspace),
+) -> DocumentDeleteResponse:
+    """Delete one ingested file."""
+    logger.warning(f"Document deletion requested: {document_id}")
+
+    try:
+        vector_store = VectorStoreService(workspace["collection_name"])
+        chunks_deleted = vector_store.delete_document(document_id)
+    except Exception as e:
+        logger.error(f"Error deleting document: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error deleting document: {str(e)}",
+        )
+
+    if not chunks_deleted:
+        raise HTTPException(status_code=404, detail=f"Document not found: {document_id}")
+
+    workspace_files(workspace).delete(document_id)
+
+    return DocumentDeleteResponse(
+        message="Document deleted successfully",
+        document_id=document_id,
+        chunks_deleted=chunks_deleted,
+    )
@@ -0,0 +1,70 @@
+"""Answer feedback endpoints."""
+
+from fastapi import APIRouter, HTTPException
+
+from app.api.schemas import (
+    ErrorResponse,
+    FeedbackListResponse,
+    FeedbackRequest,
+    FeedbackResponse,
+)
+from app.core.feedback_store import FeedbackStore
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+router = APIRouter(prefix="/feedback", tags=["Feedback"])
+
+
+@router.post(
+    "",
+    response_model=FeedbackResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Invalid feedback"},
+        500: {"model": ErrorResponse, "description": "Storage error"},
+    },
+    summary="Record answer feedback",
+    description=(
+        "Record a thumbs up/down rating for an answer, with an optional reason, "
+        "correction and source chunks flagged as irrelevant."
+    ),
+)
+async def submit_feedback(request: FeedbackRequest) -> FeedbackResponse:
+    """Record feedback on an answer."""
+    logger.info(f"Feedback received: rating={request.rating}, reason={request.reason}")
+
+    invalid = [index for index in request.flagged_sources if not 0 <= index < len(request.sources)]
+    if invalid:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Flagged source indexes out of range: {invalid}",
+        )
+
+    try:
+        stored = FeedbackStore().add(request.model_dump(mode="json"))
+        return FeedbackResponse(id=stored["id"], message="Feedback recorded")
+    except Exception as e:
+        logger.error(f"Error recording feedback: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error recording feedback: {str(e)}",
+        )
+
+
+@router.get(
+    "",
+    response_model=FeedbackListResponse,
+    responses={500: {"model": ErrorResponse, "description": "Storage error"}},
+    summary="List answer feedback",
+    description="Get all recorded feedback, newest first.",
+)
+async def list_feedback() -> FeedbackListResponse:
+    """List recorded feedback."""
+    try:
+        entries = FeedbackStore().list()
+        return FeedbackListResponse(entries=entries, total=len(entries))
+    except Exception as e:
+        logger.error(f"Error reading feedback: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error reading feedback: {str(e)}",
+        )
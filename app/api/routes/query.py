@@ -1,10 +1,12 @@
 """Query endpoints for RAG Q&A."""
 
+import json
 import time
 
-from fastapi import APIRouter, HTTPException
+from fastapi import APIRouter, Depends, Header, HTTPException
 from fastapi.responses import StreamingResponse
 
+from app.api.routes.workspaces import get_workspace
 from app.api.schemas import (
     ErrorResponse,
     EvaluationScores,
@@ -12,12 +14,30 @@ from app.api.schemas import (
     QueryResponse,
     SourceDocument,
 )
-from app.core.rag_chain import RAGChain
+from app.core.rag_chain import RAGChain, format_sources
 from app.utils.logger import get_logger
 
 logger = get_logger(__name__)
 router = APIRouter(prefix="/query", tags=["Query"])
 
+NDJSON_MEDIA_TYPE = "application/x-ndjson"
+
+
+def stream_event(event_type: str, **payload) -> str:
+    """Serialize a streaming event as one NDJSON line."""
+    return json.dumps({"type": event_type, **payload}, default=str) + "\n"
+
+
+def chain_options(request: QueryRequest, workspace: dict) -> dict:
+    """Collect the workspace and per-request retrieval and generation settings for RAGChain."""
+    return {
+        "collection_name": workspace["collection_name"],
+        "top_k": request.top_k,
+        "score_threshold": request.score_threshold,
+        "filters": request.filters.model_dump(exclude_none=True) if request.filters else None,
+        "temperature": request.temperature,
+    }
+
 
 @router.post(
     "",
@@ -29,16 +49,21 @@ router = APIRouter(prefix="/query", tags=["Query"])
     summary="Ask a question",
     description="Submit a question and get an AI-generated answer based on the ingested documents.",
 )
-async def query(request: QueryRequest) -> QueryResponse:
+async def query(
+    request: QueryRequest,
+    workspace: dict = Depends(get_workspace),
+) -> QueryResponse:
     """Process a RAG query."""
     logger.info(
         f"Query received: {request.question[:100]}... "
-        f"(sources={request.include_sources}, eval={request.enable_evaluation})"
+        f"(sources={request.include_sources}, eval={request.enable_evaluation}, "
+        f"history={len(request.history)})"
     )
     start_time = time.time()
 
     try:
-        rag_chain = RAGChain()
+        rag_chain = RAGChain(**chain_options(request, workspace))
+        history = [message.model_dump() for message in request.history]
 
         # Determine which method to call based on request
         if request.enable_evaluation:
@@ -46,6 +71,8 @@ async def query(request: QueryRequest) -> QueryResponse:
             result = await rag_chain.aquery_with_evaluation(
                 question=request.question,
                 include_sources=request.include_sources,
+                history=history,
+                document_ids=request.document_ids,
             )
 
             sources = (
@@ -64,7 +91,11 @@ async def query(request: QueryRequest) -> QueryResponse:
             evaluation = EvaluationScores(**result["evaluation"])
 
         elif request.include_sources:
-            result = await rag_chain.aquery_with_sources(request.question)
+            result = await rag_chain.aquery_with_sources(
+                request.question,
+                history=history,
+                document_ids=request.document_ids,
+            )
             sources = [
                 SourceDocument(
                     content=source["content"],
@@ -75,7 +106,11 @@ async def query(request: QueryRequest) -> QueryResponse:
             answer = result["answer"]
             evaluation = None
         else:
-            answer = await rag_chain.aquery(request.question)
+            answer = await rag_chain.aquery(
+                request.question,
+                history=history,
+                document_ids=request.document_ids,
+            )
             sources = None
             evaluation = None
 
@@ -109,24 +144,77 @@ async def query(request: QueryRequest) -> QueryResponse:
         500: {"model": ErrorResponse, "description": "Query processing error"},
     },
     summary="Ask a question (streaming)",
-    description="Submit a question and get a streaming AI-generated answer.",
+    description=(
+        "Submit a question and get a streaming AI-generated answer. "
+        f"Send `Accept: {NDJSON_MEDIA_TYPE}` to receive structured events "
+        "(token, sources, evaluation, done, error) instead of plain text."
+    ),
 )
-async def query_stream(request: QueryRequest) -> StreamingResponse:
+async def query_stream(
+    request: QueryRequest,
+    accept: str | None = Header(default=None),
+    workspace: dict = Depends(get_workspace),
+) -> StreamingResponse:
     """Process a RAG query with streaming response."""
     logger.info(f"Streaming query received: {request.question[:100]}...")
 
     try:
-        rag_chain = RAGChain()
+        rag_chain = RAGChain(**chain_options(request, workspace))
+        history = [message.model_dump() for message in request.history]
 
         async def generate():
             """Generate streaming response."""
             try:
-                for chunk in rag_chain.stream(request.question):
+                docs = await rag_chain.aretrieve(
+                    request.question, history=history, document_ids=request.document_ids
+                )
+                async for chunk in rag_chain.astream_answer(
+                    request.question, docs, history=history
+                ):
                     yield chunk
             except Exception as e:
                 logger.error(f"Error in stream: {e}")
                 yield f"\n\nError: {str(e)}"
 
+        async def generate_events():
+            """Generate structured NDJSON streaming events."""
+            start_time = time.time()
+
+            try:
+                docs = await rag_chain.aretrieve(
+                    request.question, history=history, document_ids=request.document_ids
+                )
+                sources = format_sources(docs)
+
+                answer = ""
+                async for chunk in rag_chain.astream_answer(
+                    request.question, docs, history=history
+                ):
+                    answer += chunk
+                    yield stream_event("token", content=chunk)
+
+                if request.include_sources:
+                    yield stream_event("sources", sources=sources)
+
+                if request.enable_evaluation:
+                    contexts = [source["content"] for source in sources]
+                    evaluation = await rag_chain.aevaluate_answer(
+                        request.question, answer, contexts
+                    )
+                    yield stream_event(
+                        "evaluation",
+                        evaluation=EvaluationScores(**evaluation).model_dump(),
+                    )
+
+                processing_time = (time.time() - start_time) * 1000
+                yield stream_event("done", processing_time_ms=round(processing_time, 2))
+            except Exception as e:
+                logger.error(f"Error in stream: {e}")
+                yield stream_event("error", message=str(e))
+
+        if accept and NDJSON_MEDIA_TYPE in accept:
+            return StreamingResponse(generate_events(), media_type=NDJSON_MEDIA_TYPE)
+
         return StreamingResponse(
             generate(),
             media_type="text/plain",
@@ -150,6 +238,7 @@ async def query_stream(request: QueryRequest) -> StreamingResponse:
 )
 async def search_documents(
     request: QueryRequest,
+    workspace: dict = Depends(get_workspace),
 ) -> dict:
     """Search for relevant documents."""
     logger.info(f"Search received: {request.question[:100]}...")
@@ -157,11 +246,18 @@ async def search_documents(
     try:
         from app.core.vector_store import VectorStoreService
 
-        vector_store = VectorStoreService()
-        results = vector_store.search_with_scores(request.question)
+        vector_store = VectorStoreService(workspace["collection_name"])
+        options = chain_options(request, workspace)
+        results = vector_store.search_with_scores(
+            request.question,
+            k=options["top_k"],
+            score_threshold=options["score_threshold"],
+            filters=options["filters"],
+        )
 
         documents = [
             {
+                "id": doc.metadata.get("_id"),
                 "content": doc.page_content,
                 "metadata": doc.metadata,
                 "relevance_score": round(score, 4),
@@ -0,0 +1,253 @@
+"""Resumable upload endpoints for large documents."""
+
+from pathlib import Path
+
+from fastapi import APIRouter, Depends, HTTPException, Request
+
+from app.api.routes.documents import check_upload, ingest_upload
+from app.api.routes.workspaces import get_workspace
+from app.api.schemas import (
+    DocumentUploadResponse,
+    ErrorResponse,
+    UploadSessionRequest,
+    UploadSessionResponse,
+)
+from app.config import get_settings
+from app.core.document_processor import DocumentProcessor
+from app.core.upload_sessions import UploadSessionStore
+from app.core.workspaces import DEFAULT_WORKSPACE_ID, WorkspaceStore
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+router = APIRouter(prefix="/documents/uploads", tags=["Documents"])
+
+
+def get_session(store: UploadSessionStore, upload_id: str) -> dict:
+    """Get an upload session or fail with 404.
+
+    Args:
+        store: Upload session store
+        upload_id: Upload session ID
+
+    Returns:
+        Session dictionary
+
+    Raises:
+        HTTPException: 404 if the session does not exist
+    """
+    session = store.get(upload_id)
+    if session is None:
+        raise HTTPException(
+            status_code=404,
+            detail=f"Upload session not found or expired: {upload_id}",
+        )
+    return session
+
+
+async def read_part(request: Request, max_bytes: int) -> bytes:
+    """Read a part from the request body without holding more than one part in memory.
+
+    Args:
+        request: Request whose raw body is the part
+        max_bytes: Largest accepted part size
+
+    Returns:
+        Part contents
+
+    Raises:
+        HTTPException: 413 if the body is larger than max_bytes
+    """
+    too_large = HTTPException(
+        status_code=413,
+        detail=f"Part exceeds the {max_bytes} byte part size",
+    )
+
+    content_length = request.headers.get("content-length", "")
+    if content_length.isdigit() and int(content_length) > max_bytes:
+        raise too_large
+
+    # Content-Length may be missing or wrong (chunked transfer encoding), so count as well
+    data = bytearray()
+    async for block in request.stream():
+        data.extend(block)
+        if len(data) > max_bytes:
+            raise too_large
+    return bytes(data)
+
+
+@router.post(
+    "",
+    response_model=UploadSessionResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Unsupported file type"},
+        413: {"model": ErrorResponse, "description": "File too large"},
+    },
+    summary="Start a resumable upload",
+    description=(
+        "Start an upload session for a large file. The file is then sent in parts, "
+        "which can be retried or resumed after a dropped connection, and ingested "
+        "into the workspace the session was started in."
+    ),
+)
+async def create_upload_session(
+    request: UploadSessionRequest,
+    workspace: dict = Depends(get_workspace),
+) -> UploadSessionResponse:
+    """Start a resumable upload session."""
+    extension = Path(request.filename).suffix.lower()
+    if extension not in DocumentProcessor.SUPPORTED_EXTENSIONS:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Unsupported file extension: {extension or '(none)'}",
+        )
+
+    settings = get_settings()
+    if request.size > settings.max_chunked_upload_size_mb * 1024 * 1024:
+        raise HTTPException(
+            status_code=413,
+            detail=f"File exceeds the {settings.max_chunked_upload_size_mb} MB upload limit",
+        )
+
+    session = UploadSessionStore().create(
+        request.filename,
+        request.size,
+        settings.upload_part_size_mb * 1024 * 1024,
+        workspace["id"],
+    )
+    return UploadSessionResponse(**session)
+
+
+@router.get(
+    "/{upload_id}",
+    response_model=UploadSessionResponse,
+    responses={404: {"model": ErrorResponse, "description": "Session not found"}},
+    summary="Get a resumable upload",
+    description="Get the parts received so far, to resume an interrupted upload.",
+)
+async def get_upload_session(upload_id: str) -> UploadSessionResponse:
+    """Get the state of an upload session."""
+    return UploadSessionResponse(**get_session(UploadSessionStore(), upload_id))
+
+
+@router.put(
+    "/{upload_id}/parts/{index}",
+    response_model=UploadSessionResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Invalid part"},
+        404: {"model": ErrorResponse, "description": "Session not found"},
+        413: {"model": ErrorResponse, "description": "Part larger than the part size"},
+    },
+    summary="Upload one part",
+    description=(
+        "Upload one part of a file as the raw request body. Parts may arrive in any "
+        "order; sending a part again replaces it."
+    ),
+)
+async def upload_part(upload_id: str, index: int, request: Request) -> UploadSessionResponse:
+    """Store one part of a resumable upload."""
+    store = UploadSessionStore()
+    session = get_session(store, upload_id)
+    data = await read_part(request, session["part_size"])
+
+    try:
+        session = store.save_part(upload_id, index, data)
+    except KeyError:
+        raise HTTPException(
+            status_code=404,
+            detail=f"Upload session not found or expired: {upload_id}",
+        )
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    return UploadSessionResponse(**session)
+
+
+@router.post(
+    "/{upload_id}/complete",
+    response_model=DocumentUploadResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Missing parts or invalid file"},
+        404: {"model": ErrorResponse, "description": "Session or workspace not found"},
+        409: {"model": ErrorResponse, "description": "Already being completed"},
+        413: {"model": ErrorResponse, "description": "File too large"},
+        500: {"model": ErrorResponse, "description": "Processing error"},
+    },
+    summary="Finish a resumable upload",
+    description=(
+        "Join the uploaded parts and ingest the file like a regular upload. "
+        "The session is removed once the file has been processed or rejected; "
+        "after a server error it is kept, so completing can be retried. A request "
+        "made while the session is still being completed is rejected."
+    ),
+)
+async def complete_upload(upload_id: str) -> DocumentUploadResponse:
+    """Assemble and ingest a resumable upload."""
+    store = UploadSessionStore()
+    session = get_session(store, upload_id)
+
+    # Sessions started before workspaces existed belong to the default workspace
+    workspace_id = session.get("workspace_id", DEFAULT_WORKSPACE_ID)
+    workspace = WorkspaceStore().get(workspace_id)
+    if workspace is None:
+        store.delete(upload_id)
+        raise HTTPException(status_code=404, detail=f"Workspace not found: {workspace_id}")
+
+    try:
+        claimed = store.begin_completion(upload_id)
+    except KeyError:
+        raise HTTPException(
+            status_code=404,
+            detail=f"Upload session not found or expired: {upload_id}",
+        )
+    if not claimed:
+        raise HTTPException(
+            status_code=409,
+            detail=f"Upload session is already being completed: {upload_id}",
+        )
+
+    try:
+        path = store.assemble(upload_id)
+    except ValueError as e:
+        store.end_completion(upload_id)
+        raise HTTPException(status_code=400, detail=str(e))
+
+    logger.info(f"Upload session {upload_id} complete: {session['filename']}")
+
+    # A rejected file is discarded; after a server error the parts are kept,
+    # so the client can retry completing without sending the file again
+    try:
+        with path.open("rb") as file:
+            content_hash = check_upload(file, get_settings().max_chunked_upload_size_mb)
+            result = ingest_upload(file, session["filename"], content_hash, workspace)
+    except HTTPException as e:
+        if e.status_code < 500:
+            store.delete(upload_id)
+        else:
+            store.end_completion(upload_id)
+        raise
+    except ValueError as e:
+        logger.warning(f"Invalid file upload: {e}")
+        store.delete(upload_id)
+        raise HTTPException(status_code=400, detail=str(e))
+    except Exception as e:
+        logger.error(f"Error processing document: {e}")
+        store.end_completion(upload_id)
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error processing document: {str(e)}",
+        )
+
+    store.delete(upload_id)
+    return result
+
+
+@router.delete(
+    "/{upload_id}",
+    responses={200: {"description": "Session removed"}},
+    summary="Cancel a resumable upload",
+    description="Discard an upload session and the parts received so far.",
+)
+async def cancel_upload(upload_id: str) -> dict:
+    """Discard an upload session."""
+    UploadSessionStore().delete(upload_id)
+    return {"message": "Upload cancelled"}
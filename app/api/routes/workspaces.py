@@ -0,0 +1,156 @@
+"""Workspace endpoints: named collections that keep sets of documents apart."""
+
+from fastapi import APIRouter, Header, HTTPException
+
+from app.api.schemas import (
+    ErrorResponse,
+    WorkspaceListResponse,
+    WorkspaceRequest,
+    WorkspaceResponse,
+)
+from app.core.file_store import FileStore
+from app.core.vector_store import VectorStoreService
+from app.core.workspaces import DEFAULT_WORKSPACE_ID, WorkspaceStore
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+router = APIRouter(prefix="/workspaces", tags=["Workspaces"])
+
+
+def get_workspace(
+    x_workspace: str | None = Header(
+        default=None,
+        description="Workspace ID; requests without it use the default workspace",
+    ),
+) -> dict:
+    """Resolve the workspace a request is scoped to.
+
+    Used as a dependency by the document, upload and query endpoints.
+
+    Args:
+        x_workspace: Value of the X-Workspace header
+
+    Returns:
+        Workspace dictionary
+
+    Raises:
+        HTTPException: 404 if the workspace does not exist
+    """
+    workspace = WorkspaceStore().get(x_workspace or DEFAULT_WORKSPACE_ID)
+    if workspace is None:
+        raise HTTPException(status_code=404, detail=f"Workspace not found: {x_workspace}")
+    return workspace
+
+
+def workspace_files(workspace: dict) -> FileStore:
+    """Get the store of a workspace's original files.
+
+    Args:
+        workspace: Workspace dictionary
+
+    Returns:
+        File store rooted in the workspace's uploads directory
+    """
+    return FileStore(WorkspaceStore().uploads_dir(workspace))
+
+
+@router.get(
+    "",
+    response_model=WorkspaceListResponse,
+    summary="List workspaces",
+    description="List all workspaces, default first.",
+)
+async def list_workspaces() -> WorkspaceListResponse:
+    """List workspaces."""
+    workspaces = [WorkspaceResponse(**workspace) for workspace in WorkspaceStore().list()]
+    return WorkspaceListResponse(workspaces=workspaces, total=len(workspaces))
+
+
+@router.post(
+    "",
+    response_model=WorkspaceResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Blank name"},
+        409: {"model": ErrorResponse, "description": "Name already used"},
+    },
+    summary="Create a workspace",
+    description="Create a workspace with its own, initially empty collection.",
+)
+async def create_workspace(request: WorkspaceRequest) -> WorkspaceResponse:
+    """Create a workspace."""
+    if not request.name.strip():
+        raise HTTPException(status_code=400, detail="Workspace name is required")
+
+    try:
+        workspace = WorkspaceStore().create(request.name)
+    except ValueError as e:
+        raise HTTPException(status_code=409, detail=str(e))
+
+    return WorkspaceResponse(**workspace)
+
+
+@router.patch(
+    "/{workspace_id}",
+    response_model=WorkspaceResponse,
+    responses={
+        400: {"model": ErrorResponse, "description": "Blank name"},
+        404: {"model": ErrorResponse, "description": "Workspace not found"},
+        409: {"model": ErrorResponse, "description": "Name already used"},
+    },
+    summary="Rename a workspace",
+    description="Change the name of a workspace. Its documents are not touched.",
+)
+async def rename_workspace(workspace_id: str, request: WorkspaceRequest) -> WorkspaceResponse:
+    """Rename a workspace."""
+    if not request.name.strip():
+        raise HTTPException(status_code=400, detail="Workspace name is required")
+
+    try:
+        workspace = WorkspaceStore().rename(workspace_id, request.name)
+    except KeyError:
+        raise HTTPException(status_code=404, detail=f"Workspace not found: {workspace_id}")
+    except ValueError as e:
+        raise HTTPException(status_code=409, detail=str(e))
+
+    return WorkspaceResponse(**workspace)
+
+
+@router.delete(
+    "/{workspace_id}",
+    responses={
+        200: {"description": "Workspace deleted"},
+        400: {"model": ErrorResponse, "description": "Default workspace"},
+        404: {"model": ErrorResponse, "description": "Workspace not found"},
+        500: {"model": ErrorResponse, "description": "Deletion error"},
+    },
+    summary="Delete a workspace",
+    description=(
+        "Delete a workspace with its collection and original files. "
+        "The default workspace cannot be deleted. Use with caution!"
+    ),
+)
+async def delete_workspace(workspace_id: str) -> dict:
+    """Delete a workspace and everything in it."""
+    if workspace_id == DEFAULT_WORKSPACE_ID:
+        raise HTTPException(status_code=400, detail="The default workspace cannot be deleted")
+
+    store = WorkspaceStore()
+    workspace = store.get(workspace_id)
+    if workspace is None:
+        raise HTTPException(status_code=404, detail=f"Workspace not found: {workspace_id}")
+
+    logger.warning(f"Workspace deletion requested: {workspace['name']} ({workspace_id})")
+
+    try:
+        VectorStoreService(workspace["collection_name"]).delete_collection()
+    except Exception as e:
+        logger.error(f"Error deleting workspace collection: {e}")
+        raise HTTPException(
+            status_code=500,
+            detail=f"Error deleting workspace: {str(e)}",
+        )
+
+    workspace_files(workspace).clear()
+    store.delete(workspace_id)
+
+    return {"message": "Workspace deleted successfully", "workspace_id": workspace_id}
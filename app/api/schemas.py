@@ -1,7 +1,7 @@
 """Pydantic schemas for API request/response models."""
 
 from datetime import datetime
-from typing import Any
+from typing import Any, Literal
 
 from pydantic import BaseModel, Field
 
@@ -37,6 +37,27 @@ class DocumentUploadResponse(BaseModel):
     filename: str = Field(..., description="Uploaded filename")
     chunks_created: int = Field(..., description="Number of chunks created")
     document_ids: list[str] = Field(..., description="List of document IDs")
+    document_id: str | None = Field(
+        None,
+        description="ID of the ingested file, shared by all of its chunks",
+    )
+
+
+class TextDocumentRequest(BaseModel):
+    """Pasted or typed text to ingest as a document."""
+
+    title: str = Field(
+        ...,
+        description="Title shown in place of a filename",
+        min_length=1,
+        max_length=200,
+    )
+    content: str = Field(..., description="Text to ingest", min_length=1)
+    tags: list[str] = Field(
+        default_factory=list,
+        description="Tags stored with every chunk",
+        max_length=20,
+    )
 
 
 class DocumentInfo(BaseModel):
@@ -57,9 +78,131 @@ class DocumentListResponse(BaseModel):
     status: str = Field(..., description="Collection status")
 
 
+class LibraryDocument(BaseModel):
+    """An ingested file in the document library."""
+
+    document_id: str = Field(..., description="Document ID (source filename for older uploads)")
+    filename: str = Field(..., description="Original filename")
+    file_type: str = Field(
+        ..., description="File extension without the dot, or 'note' for pasted text"
+    )
+    chunk_count: int = Field(..., description="Number of stored chunks")
+    uploaded_at: datetime | None = Field(None, description="Upload time, if recorded")
+    content_hash: str | None = Field(None, description="SHA-256 of the uploaded file, if recorded")
+    tags: list[str] = Field(default_factory=list, description="Tags of pasted text documents")
+
+
+class UploadLimitsResponse(BaseModel):
+    """Upload constraints checked by clients before uploading."""
+
+    max_upload_size_bytes: int = Field(..., description="Largest accepted file size in bytes")
+    supported_extensions: list[str] = Field(..., description="Accepted file extensions")
+    chunked_upload_threshold_bytes: int = Field(
+        ..., description="Files larger than this should use a resumable upload session"
+    )
+    max_chunked_upload_size_bytes: int = Field(
+        ..., description="Largest file size accepted by resumable uploads, in bytes"
+    )
+    upload_part_size_bytes: int = Field(..., description="Part size of resumable uploads")
+
+
+class UploadSessionRequest(BaseModel):
+    """Start of a resumable upload."""
+
+    filename: str = Field(..., description="Original filename", min_length=1, max_length=255)
+    size: int = Field(..., description="File size in bytes", gt=0)
+
+
+class UploadSessionResponse(BaseModel):
+    """State of a resumable upload."""
+
+    upload_id: str = Field(..., description="Upload session ID")
+    filename: str = Field(..., description="Original filename")
+    size: int = Field(..., description="File size in bytes")
+    part_size: int = Field(..., description="Size of every part but the last, in bytes")
+    total_parts: int = Field(..., description="Number of parts")
+    received_parts: list[int] = Field(..., description="Indexes of the parts stored so far")
+    workspace_id: str = Field("default", description="Workspace the file is ingested into")
+
+
+class WorkspaceRequest(BaseModel):
+    """Name of a workspace to create or rename."""
+
+    name: str = Field(..., description="Workspace name", min_length=1, max_length=100)
+
+
+class WorkspaceResponse(BaseModel):
+    """A workspace: a named collection with its own documents."""
+
+    id: str = Field(..., description="Workspace ID, sent as the X-Workspace header")
+    name: str = Field(..., description="Workspace name")
+    collection_name: str = Field(..., description="Qdrant collection holding its documents")
+    created_at: datetime | None = Field(
+        None, description="Creation time (none for the default workspace)"
+    )
+
+
+class WorkspaceListResponse(BaseModel):
+    """Response for listing workspaces."""
+
+    workspaces: list[WorkspaceResponse] = Field(..., description="Workspaces, default first")
+    total: int = Field(..., description="Number of workspaces")
+
+
+class DocumentLibraryResponse(BaseModel):
+    """Response for listing ingested files."""
+
+    documents: list[LibraryDocument] = Field(..., description="Ingested files, newest first")
+    total: int = Field(..., description="Number of files")
+
+
+class DocumentChunk(BaseModel):
+    """A stored chunk of an ingested file."""
+
+    id: str = Field(..., description="Chunk ID")
+    content: str = Field(..., description="Chunk text")
+    metadata: dict[str, Any] = Field(..., description="Chunk metadata")
+
+
+class DocumentChunksResponse(BaseModel):
+    """Response for browsing the chunks of one file."""
+
+    document_id: str = Field(..., description="Document ID")
+    filename: str = Field(..., description="Original filename")
+    chunks: list[DocumentChunk] = Field(..., description="Chunks in document order")
+
+
+class DocumentDeleteResponse(BaseModel):
+    """Response after deleting one file."""
+
+    message: str = Field(..., description="Status message")
+    document_id: str = Field(..., description="Deleted document ID")
+    chunks_deleted: int = Field(..., description="Number of chunks removed")
+
+
 # ============== Query Schemas ==============
 
 
+class ChatMessage(BaseModel):
+    """A previous turn in a conversation."""
+
+    role: Literal["user", "assistant"] = Field(..., description="Message author")
+    content: str = Field(
+        ...,
+        description="Message text",
+        max_length=10000,
+    )
+
+
+class MetadataFilters(BaseModel):
+    """Restrict retrieval to chunks with matching metadata."""
+
+    document_id: str | None = Field(None, description="Only chunks of this document")
+    filename: str | None = Field(None, description="Only chunks from this source filename")
+    page: int | None = Field(None, ge=0, description="Only chunks from this page")
+    file_type: str | None = Field(None, description="Only chunks of this file type, e.g. 'pdf'")
+
+
 class QueryRequest(BaseModel):
     """Request for RAG query."""
 
@@ -77,6 +220,38 @@ class QueryRequest(BaseModel):
         default=False,
         description="Enable RAGAS evaluation (faithfulness, answer relevancy)",
     )
+    history: list[ChatMessage] = Field(
+        default_factory=list,
+        description="Previous conversation turns, oldest first",
+        max_length=20,
+    )
+    document_ids: list[str] | None = Field(
+        default=None,
+        description="Answer only from these chunk IDs (as returned by /query/search)",
+        max_length=20,
+    )
+    top_k: int | None = Field(
+        default=None,
+        description="Number of chunks to retrieve (default from server config)",
+        ge=1,
+        le=20,
+    )
+    score_threshold: float | None = Field(
+        default=None,
+        description="Minimum similarity score for retrieved chunks",
+        ge=0.0,
+        le=1.0,
+    )
+    filters: MetadataFilters | None = Field(
+        default=None,
+        description="Metadata filters applied to retrieval",
+    )
+    temperature: float | None = Field(
+        default=None,
+        description="Generation temperature (default from server config)",
+        ge=0.0,
+        le=2.0,
+    )
 
     model_config = {
         "json_schema_extra": {
@@ -85,6 +260,7 @@ class QueryRequest(BaseModel):
                     "question": "What is RAG?",
                     "include_sources": True,
                     "enable_evaluation": False,
+                    "history": [],
                 }
             ]
         }
@@ -142,6 +318,59 @@ class QueryResponse(BaseModel):
     )
 
 
+# ============== Feedback Schemas ==============
+
+
+class FeedbackRequest(BaseModel):
+    """Feedback on a generated answer."""
+
+    rating: Literal["up", "down"] = Field(..., description="Thumbs up or down")
+    reason: Literal["wrong", "incomplete", "hallucinated", "bad_sources"] | None = Field(
+        default=None,
+        description="Why the answer was rated down",
+    )
+    correction: str | None = Field(
+        default=None,
+        description="Corrected or expected answer",
+        max_length=5000,
+    )
+    question: str = Field(..., description="Question that was asked", max_length=1000)
+    answer: str = Field(..., description="Answer that was rated", max_length=20000)
+    sources: list[SourceDocument] = Field(
+        default_factory=list,
+        description="Sources shown with the answer",
+        max_length=20,
+    )
+    flagged_sources: list[int] = Field(
+        default_factory=list,
+        description="Indexes into sources of chunks flagged as irrelevant",
+        max_length=20,
+    )
+    client_id: str | None = Field(
+        default=None,
+        description="Client-side ID, used to match locally stored feedback",
+        max_length=100,
+    )
+    created_at: datetime | None = Field(
+        default=None,
+        description="When the feedback was given on the client",
+    )
+
+
+class FeedbackResponse(BaseModel):
+    """Response after recording feedback."""
+
+    id: str = Field(..., description="Feedback ID")
+    message: str = Field(..., description="Status message")
+
+
+class FeedbackListResponse(BaseModel):
+    """Response for listing recorded feedback."""
+
+    entries: list[dict[str, Any]] = Field(..., description="Feedback entries, newest first")
+    total: int = Field(..., description="Number of entries")
+
+
 # ============== Error Schemas ==============
 
 
@@ -151,6 +380,7 @@ class ErrorResponse(BaseModel):
     error: str = Field(..., description="Error type")
     message: str = Field(..., description="Error message")
     detail: str | None = Field(None, description="Detailed error information")
+    request_id: str | None = Field(None, description="ID of the failed request, for server logs")
 
 
 class ValidationErrorResponse(BaseModel):
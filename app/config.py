@@ -28,6 +28,15 @@ class Settings(BaseSettings):
     # Document Processing Settings
     chunk_size: int = 1000
     chunk_overlap: int = 200
+    max_upload_size_mb: int = 25
+
+    # Resumable uploads: files above the threshold are sent in parts, and may be
+    # larger than single-request uploads
+    chunked_upload_threshold_mb: int = 10
+    max_chunked_upload_size_mb: int = 1024
+    upload_part_size_mb: int = 5
+    upload_sessions_dir: str = "data/upload_sessions"
+    upload_session_ttl_hours: int = 24
 
     # Model Configuration
     embedding_model: str = "text-embedding-3-small"
@@ -40,6 +49,17 @@ class Settings(BaseSettings):
     # Logging
     log_level: str = "INFO"
 
+    # Answer feedback log (JSON Lines)
+    feedback_path: str = "data/feedback.jsonl"
+
+    # Original uploaded files, served to the source viewer
+    uploads_dir: str = "data/uploads"
+
+    # Workspaces: named collections with their own files; the default workspace
+    # uses collection_name and uploads_dir
+    workspaces_path: str = "data/workspaces.json"
+    workspace_uploads_dir: str = "data/workspace_uploads"
+
     # RAGAS Evaluation Settings
     enable_ragas_evaluation: bool = True
     ragas_timeout_seconds: float = 30.0
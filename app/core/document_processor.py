@@ -1,9 +1,14 @@
 """Document processing module for loading and chunking documents."""
 
+import json
+import re
 import tempfile
+from html.parser import HTMLParser
 from pathlib import Path
 from typing import BinaryIO
 
+from docx import Document as DocxDocument
+from docx.table import Table
 from langchain_community.document_loaders import (
     CSVLoader,
     PyPDFLoader,
@@ -17,11 +22,207 @@ from app.utils.logger import get_logger
 
 logger = get_logger(__name__)
 
+HEADING_SEPARATOR = " > "
+
+MARKDOWN_HEADING = re.compile(r"^(#{1,6})\s+(.+?)\s*#*\s*$")
+MARKDOWN_FENCE = re.compile(r"^\s*(```|~~~)")
+DOCX_HEADING_STYLE = re.compile(r"^Heading (\d)$")
+
+
+class _SectionBuilder:
+    """Collect text under its heading path, one section per heading."""
+
+    def __init__(self):
+        self.headings: list[tuple[int, str]] = []
+        self.lines: list[str] = []
+        self.has_body = False
+        self.sections: list[tuple[str, str]] = []
+
+    def heading(self, level: int, title: str, line: str | None = None) -> None:
+        """Start a new section.
+
+        Args:
+            level: Heading level, from 1
+            title: Heading text, used in the heading path
+            line: Text placed in the section for the heading (default: the title)
+        """
+        self.flush()
+        self.headings = [(lvl, text) for lvl, text in self.headings if lvl < level]
+        self.headings.append((level, title))
+        self.lines = [line or title]
+
+    def text(self, line: str) -> None:
+        """Add body text to the current section."""
+        if line.strip():
+            self.has_body = True
+        self.lines.append(line)
+
+    def flush(self) -> None:
+        """Close the current section, dropping it if it holds only its heading."""
+        if self.has_body:
+            path = HEADING_SEPARATOR.join(text for _, text in self.headings)
+            content = re.sub(r"\n{3,}", "\n\n", "\n".join(self.lines)).strip()
+            self.sections.append((path, content))
+        self.lines = []
+        self.has_body = False
+
+    def documents(self, metadata: dict) -> list[Document]:
+        """Build one Document per section.
+
+        Args:
+            metadata: Metadata shared by every section
+
+        Returns:
+            List of Document objects carrying a heading_path (empty before the first heading)
+        """
+        self.flush()
+        return [
+            Document(page_content=content, metadata={**metadata, "heading_path": path})
+            for path, content in self.sections
+        ]
+
+
+class _HTMLSectionParser(HTMLParser):
+    """Extract the visible text of an HTML page, split at its headings."""
+
+    SKIPPED_TAGS = {"script", "style", "noscript", "template", "svg", "head"}
+    BLOCK_TAGS = {
+        "p",
+        "div",
+        "br",
+        "hr",
+        "li",
+        "tr",
+        "ul",
+        "ol",
+        "table",
+        "section",
+        "article",
+        "header",
+        "footer",
+        "main",
+        "nav",
+        "aside",
+        "blockquote",
+        "pre",
+        "dl",
+        "dt",
+        "dd",
+        "figure",
+        "figcaption",
+        "form",
+    }
+    HEADING_TAGS = {"h1", "h2", "h3", "h4", "h5", "h6"}
+
+    def __init__(self):
+        super().__init__(convert_charrefs=True)
+        self.builder = _SectionBuilder()
+        self.title = ""
+        self.skip_depth = 0
+        self.in_title = False
+        self.in_pre = False
+        self.heading_level: int | None = None
+        self.heading_text: list[str] = []
+        self.line: list[str] = []
+
+    def end_line(self) -> None:
+        """Move the text gathered so far into the current section."""
+        line = "".join(self.line)
+        if not self.in_pre:
+            line = " ".join(line.split())
+        if line or self.in_pre:
+            self.builder.text(line)
+        self.line = []
+
+    def handle_starttag(self, tag, _attrs):
+        if tag == "title":
+            self.in_title = True
+        elif tag in self.SKIPPED_TAGS:
+            self.skip_depth += 1
+        elif self.skip_depth:
+            return
+        elif tag in self.HEADING_TAGS:
+            self.end_line()
+            self.heading_level = int(tag[1])
+            self.heading_text = []
+        elif tag in self.BLOCK_TAGS:
+            self.end_line()
+            if tag == "pre":
+                self.in_pre = True
+            elif tag == "li":
+                self.line.append("- ")
+        elif tag in {"td", "th"} and "".join(self.line).strip():
+            self.line.append(" | ")
+
+    def handle_endtag(self, tag):
+        if tag == "title":
+            self.in_title = False
+        elif tag in self.SKIPPED_TAGS:
+            self.skip_depth = max(self.skip_depth - 1, 0)
+        elif self.skip_depth:
+            return
+        elif tag in self.HEADING_TAGS and self.heading_level is not None:
+            title = " ".join("".join(self.heading_text).split())
+            if title:
+                self.builder.heading(self.heading_level, title)
+            self.heading_level = None
+        elif tag in self.BLOCK_TAGS:
+            self.end_line()
+            if tag == "pre":
+                self.in_pre = False
+
+    def handle_data(self, data):
+        if self.in_title:
+            self.title += data
+        elif self.skip_depth:
+            return
+        elif self.heading_level is not None:
+            self.heading_text.append(data)
+        elif self.in_pre:
+            # Keep preformatted line breaks as separate lines
+            *complete, rest = data.split("\n")
+            for part in complete:
+                self.line.append(part)
+                self.end_line()
+            self.line.append(rest)
+        else:
+            self.line.append(data)
+
+    def close(self):
+        super().close()
+        self.end_line()
+
+
+def _flatten_json(value, path: str = "") -> list[str]:
+    """Flatten a JSON value into "path: value" lines.
+
+    Args:
+        value: Parsed JSON value
+        path: Path of the value within its record
+
+    Returns:
+        One line per scalar value
+    """
+    if isinstance(value, dict):
+        return [
+            line
+            for key, item in value.items()
+            for line in _flatten_json(item, f"{path}.{key}" if path else str(key))
+        ]
+    if isinstance(value, list):
+        return [
+            line
+            for index, item in enumerate(value)
+            for line in _flatten_json(item, f"{path}[{index}]")
+        ]
+    text = value if isinstance(value, str) else json.dumps(value)
+    return [f"{path or 'value'}: {text}"]
+
 
 class DocumentProcessor:
     """Process documents for RAG pipeline."""
 
-    SUPPORTED_EXTENSIONS = {".pdf", ".txt", ".csv"}
+    SUPPORTED_EXTENSIONS = {".pdf", ".txt", ".csv", ".md", ".html", ".htm", ".docx", ".json"}
 
     def __init__(
         self,
@@ -104,6 +305,153 @@ class DocumentProcessor:
         logger.info(f"Loaded {len(documents)} rows from {file_path.name}")
         return documents
 
+    def load_markdown(self, file_path: str | Path) -> list[Document]:
+        """Load a Markdown file.
+
+        Args:
+            file_path: Path to Markdown file
+
+        Returns:
+            List of Document objects (one per heading section, with its heading path)
+        """
+        file_path = Path(file_path)
+        logger.info(f"Loading Markdown: {file_path.name}")
+
+        builder = _SectionBuilder()
+        in_fence = False
+
+        for line in file_path.read_text(encoding="utf-8-sig").splitlines():
+            if MARKDOWN_FENCE.match(line):
+                in_fence = not in_fence
+            match = None if in_fence else MARKDOWN_HEADING.match(line)
+            if match:
+                builder.heading(len(match.group(1)), match.group(2), line)
+            else:
+                builder.text(line)
+
+        documents = builder.documents({"source": str(file_path)})
+
+        logger.info(f"Loaded {len(documents)} sections from {file_path.name}")
+        return documents
+
+    def load_html(self, file_path: str | Path) -> list[Document]:
+        """Load an HTML file.
+
+        Args:
+            file_path: Path to HTML file
+
+        Returns:
+            List of Document objects (one per heading section, with its heading path)
+        """
+        file_path = Path(file_path)
+        logger.info(f"Loading HTML: {file_path.name}")
+
+        parser = _HTMLSectionParser()
+        parser.feed(file_path.read_text(encoding="utf-8-sig", errors="replace"))
+        parser.close()
+
+        metadata = {"source": str(file_path)}
+        title = " ".join(parser.title.split())
+        if title:
+            metadata["title"] = title
+        documents = parser.builder.documents(metadata)
+
+        logger.info(f"Loaded {len(documents)} sections from {file_path.name}")
+        return documents
+
+    def load_docx(self, file_path: str | Path) -> list[Document]:
+        """Load a Word (DOCX) file.
+
+        Args:
+            file_path: Path to DOCX file
+
+        Returns:
+            List of Document objects (one per heading section, with its heading path)
+        """
+        file_path = Path(file_path)
+        logger.info(f"Loading DOCX: {file_path.name}")
+
+        docx = DocxDocument(str(file_path))
+        builder = _SectionBuilder()
+
+        for block in docx.iter_inner_content():
+            if isinstance(block, Table):
+                for row in block.rows:
+                    # Merged cells repeat their text in every grid column they span
+                    cells = []
+                    for cell in row.cells:
+                        text = " ".join(cell.text.split())
+                        if not cells or cells[-1] != text:
+                            cells.append(text)
+                    builder.text(" | ".join(cells))
+                builder.text("")
+                continue
+
+            text = block.text.strip()
+            style = block.style.name if block.style is not None else ""
+            match = DOCX_HEADING_STYLE.match(style)
+
+            if match and text:
+                builder.heading(int(match.group(1)), text)
+            elif style.startswith("List") and text:
+                builder.text(f"- {text}")
+            else:
+                builder.text(text)
+
+        metadata = {"source": str(file_path)}
+        if docx.core_properties.title:
+            metadata["title"] = docx.core_properties.title
+        documents = builder.documents(metadata)
+
+        logger.info(f"Loaded {len(documents)} sections from {file_path.name}")
+        return documents
+
+    def load_json(self, file_path: str | Path) -> list[Document]:
+        """Load a JSON file.
+
+        Arrays give one Document per item. Objects give one Document per key
+        holding an object or array, plus one for the remaining top-level values.
+
+        Args:
+            file_path: Path to JSON file
+
+        Returns:
+            List of Document objects with their JSON path
+
+        Raises:
+            ValueError: If the file is not valid JSON
+        """
+        file_path = Path(file_path)
+        logger.info(f"Loading JSON: {file_path.name}")
+
+        try:
+            data = json.loads(file_path.read_text(encoding="utf-8-sig"))
+        except json.JSONDecodeError as e:
+            raise ValueError(f"Invalid JSON: {e}") from e
+
+        if isinstance(data, list):
+            records = [(f"$[{index}]", item) for index, item in enumerate(data)]
+        elif isinstance(data, dict):
+            nested = {key: item for key, item in data.items() if isinstance(item, dict | list)}
+            records = [(f"$.{key}", item) for key, item in nested.items()]
+            scalars = {key: item for key, item in data.items() if key not in nested}
+            if scalars:
+                records.insert(0, ("$", scalars))
+        else:
+            records = [("$", data)]
+
+        documents = [
+            Document(
+                page_content="\n".join(_flatten_json(item)),
+                metadata={"source": str(file_path), "json_path": path},
+            )
+            for path, item in records
+            if item not in ({}, [])
+        ]
+
+        logger.info(f"Loaded {len(documents)} records from {file_path.name}")
+        return documents
+
     def load_file(self, file_path: str | Path) -> list[Document]:
         """Load a file based on its extension.
 
@@ -129,6 +477,11 @@ class DocumentProcessor:
             ".pdf": self.load_pdf,
             ".txt": self.load_text,
             ".csv": self.load_csv,
+            ".md": self.load_markdown,
+            ".html": self.load_html,
+            ".htm": self.load_html,
+            ".docx": self.load_docx,
+            ".json": self.load_json,
         }
 
         return loaders[extension](file_path)
@@ -0,0 +1,71 @@
+"""Feedback store module for answer ratings and corrections."""
+
+import json
+import threading
+from datetime import UTC, datetime
+from pathlib import Path
+from uuid import uuid4
+
+from app.config import get_settings
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+
+# Serializes appends from concurrent requests
+_write_lock = threading.Lock()
+
+
+class FeedbackStore:
+    """Append-only JSON Lines log of answer feedback."""
+
+    def __init__(self, path: str | Path | None = None):
+        """Initialize feedback store.
+
+        Args:
+            path: Path of the JSONL log file (default from settings)
+        """
+        self.path = Path(path or get_settings().feedback_path)
+
+    def add(self, entry: dict) -> dict:
+        """Append a feedback entry.
+
+        Args:
+            entry: Feedback fields
+
+        Returns:
+            Stored entry, with id and received_at added
+        """
+        stored = {
+            "id": str(uuid4()),
+            "received_at": datetime.now(UTC).isoformat(),
+            **entry,
+        }
+
+        with _write_lock:
+            self.path.parent.mkdir(parents=True, exist_ok=True)
+            with self.path.open("a", encoding="utf-8") as log:
+                log.write(json.dumps(stored, default=str) + "\n")
+
+        logger.info(f"Feedback recorded: {stored['id']} (rating={stored.get('rating')})")
+        return stored
+
+    def list(self) -> list[dict]:
+        """Read all feedback entries.
+
+        Returns:
+            Feedback entries, newest first
+        """
+        if not self.path.exists():
+            return []
+
+        entries = []
+        with self.path.open(encoding="utf-8") as log:
+            for line_number, line in enumerate(log, start=1):
+                if not line.strip():
+                    continue
+                try:
+                    entries.append(json.loads(line))
+                except json.JSONDecodeError:
+                    logger.warning(f"Skipping malformed feedback line {line_number}")
+
+        return list(reversed(entries))
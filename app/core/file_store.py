@@ -0,0 +1,86 @@
+"""File store module keeping the original uploaded files."""
+
+import shutil
+from pathlib import Path
+from typing import BinaryIO
+
+from app.config import get_settings
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+
+
+class FileStore:
+    """Original files on disk, one directory per document ID."""
+
+    def __init__(self, root: str | Path | None = None):
+        """Initialize file store.
+
+        Args:
+            root: Directory holding the uploads (default from settings)
+        """
+        self.root = Path(root or get_settings().uploads_dir).resolve()
+
+    def _document_dir(self, document_id: str) -> Path | None:
+        """Get the directory of a document, rejecting IDs that escape the store."""
+        directory = (self.root / document_id).resolve()
+        if directory.parent != self.root:
+            return None
+        return directory
+
+    def save(self, document_id: str, filename: str, file: BinaryIO) -> Path:
+        """Store the original file of a document, replacing any previous one.
+
+        Args:
+            document_id: Document ID
+            filename: Original filename
+            file: File-like object positioned at the start
+
+        Returns:
+            Path of the stored file
+
+        Raises:
+            ValueError: If the document ID is not a valid directory name
+        """
+        directory = self._document_dir(document_id)
+        if directory is None:
+            raise ValueError(f"Invalid document ID: {document_id}")
+
+        shutil.rmtree(directory, ignore_errors=True)
+        directory.mkdir(parents=True)
+
+        path = directory / Path(filename).name
+        with path.open("wb") as stored:
+            shutil.copyfileobj(file, stored)
+
+        logger.info(f"Stored original file {path.name} for document {document_id}")
+        return path
+
+    def get(self, document_id: str) -> Path | None:
+        """Get the stored original file of a document.
+
+        Args:
+            document_id: Document ID
+
+        Returns:
+            Path of the file, or None if it was not kept
+        """
+        directory = self._document_dir(document_id)
+        if directory is None or not directory.is_dir():
+            return None
+        return next((path for path in directory.iterdir() if path.is_file()), None)
+
+    def delete(self, document_id: str) -> None:
+        """Delete the stored original file of a document.
+
+        Args:
+            document_id: Document ID
+        """
+        directory = self._document_dir(document_id)
+        if directory is not None:
+            shutil.rmtree(directory, ignore_errors=True)
+
+    def clear(self) -> None:
+        """Delete every stored original file."""
+        shutil.rmtree(self.root, ignore_errors=True)
+        logger.warning("All stored original files deleted")
@@ -1,9 +1,11 @@
 """RAG chain module using LangChain LCEL."""
 
+from operator import itemgetter
+
 from langchain_core.documents import Document
 from langchain_core.output_parsers import StrOutputParser
 from langchain_core.prompts import ChatPromptTemplate
-from langchain_core.runnables import RunnablePassthrough
+from langchain_core.runnables import RunnableLambda
 from langchain_openai import ChatOpenAI
 
 from app.config import get_settings
@@ -21,6 +23,11 @@ If you cannot answer the question based on the context, say "I don't have enough
 
 Do not make up information. Only use the context provided.
 
+Use the conversation history only to understand what the question refers to.
+
+Conversation history:
+{history}
+
 Context:
 {context}
 
@@ -41,17 +48,95 @@ def format_docs(docs: list[Document]) -> str:
     return "\n\n---\n\n".join(doc.page_content for doc in docs)
 
 
+def format_sources(docs: list[Document]) -> list[dict]:
+    """Format documents as source excerpts for API responses.
+
+    Args:
+        docs: List of Document objects
+
+    Returns:
+        List of {"content", "metadata"} dictionaries
+    """
+    return [
+        {
+            "content": (
+                doc.page_content[:500] + "..." if len(doc.page_content) > 500 else doc.page_content
+            ),
+            "metadata": doc.metadata,
+        }
+        for doc in docs
+    ]
+
+
+def format_history(history: list[dict] | None) -> str:
+    """Format previous conversation turns for the prompt.
+
+    Args:
+        history: List of {"role", "content"} messages, oldest first
+
+    Returns:
+        Formatted history string
+    """
+    if not history:
+        return "No previous conversation."
+
+    speakers = {"user": "User", "assistant": "Assistant"}
+    return "\n".join(
+        f"{speakers.get(message['role'], message['role'])}: {message['content']}"
+        for message in history
+    )
+
+
+def build_search_query(question: str, history: list[dict] | None) -> str:
+    """Build the retrieval query for a question.
+
+    Follow-up questions often omit their subject ("what about its cost?"),
+    so the previous user question is prepended to ground retrieval.
+
+    Args:
+        question: Current question
+        history: List of {"role", "content"} messages, oldest first
+
+    Returns:
+        Query string for the retriever
+    """
+    previous = [message["content"] for message in history or [] if message["role"] == "user"]
+    if not previous:
+        return question
+    return f"{previous[-1]}\n{question}"
+
+
 class RAGChain:
     """RAG chain for question answering."""
 
-    def __init__(self, vector_store_service: VectorStoreService | None = None):
+    def __init__(
+        self,
+        vector_store_service: VectorStoreService | None = None,
+        collection_name: str | None = None,
+        top_k: int | None = None,
+        score_threshold: float | None = None,
+        filters: dict | None = None,
+        temperature: float | None = None,
+    ):
         """Initialize RAG chain.
 
         Args:
             vector_store_service: Optional VectorStoreService instance
+            collection_name: Collection to answer from when no service is given
+                (default from settings)
+            top_k: Number of chunks to retrieve (default from settings)
+            score_threshold: Minimum similarity score for retrieved chunks
+            filters: Metadata filters applied to retrieval
+            temperature: Generation temperature (default from settings)
         """
-        self.vector_store = vector_store_service or VectorStoreService()
-        self.retriever = self.vector_store.get_retriever()
+        self.vector_store = vector_store_service or VectorStoreService(collection_name)
+        self.retrieval_k = top_k or settings.retrieval_k
+        self.retriever = self.vector_store.get_retriever(
+            k=self.retrieval_k,
+            score_threshold=score_threshold,
+            filters=filters,
+        )
+        self.temperature = settings.llm_temperature if temperature is None else temperature
 
         # Initialize evaluator (lazy load)
         self._evaluator = None
@@ -59,18 +144,22 @@ class RAGChain:
         # Initialize LLM
         self.llm = ChatOpenAI(
             model=settings.llm_model,
-            temperature=settings.llm_temperature,
+            temperature=self.temperature,
             openai_api_key=settings.openai_api_key,
         )
 
         # Create prompt template
         self.prompt = ChatPromptTemplate.from_template(RAG_PROMPT_TEMPLATE)
 
+        # Generation-only chain for callers that retrieve documents themselves
+        self.answer_chain = self.prompt | self.llm | StrOutputParser()
+
         # Build LCEL chain
         self.chain = (
             {
-                "context": self.retriever | format_docs,
-                "question": RunnablePassthrough(),
+                "context": itemgetter("search_query") | self.retriever | format_docs,
+                "question": itemgetter("question"),
+                "history": itemgetter("history") | RunnableLambda(format_history),
             }
             | self.prompt
             | self.llm
@@ -79,7 +168,7 @@ class RAGChain:
 
         logger.info(
             f"RAGChain initialized with model={settings.llm_model}, "
-            f"retrieval_k={settings.retrieval_k}"
+            f"retrieval_k={self.retrieval_k}, temperature={self.temperature}"
         )
 
     @property
@@ -91,11 +180,34 @@ class RAGChain:
             self._evaluator = RAGASEvaluator()
         return self._evaluator
 
-    def query(self, question: str) -> str:
+    @staticmethod
+    def _answer_input(
+        question: str,
+        docs: list[Document],
+        history: list[dict] | None = None,
+    ) -> dict:
+        """Build the answer chain input from already retrieved documents."""
+        return {
+            "context": format_docs(docs),
+            "question": question,
+            "history": format_history(history),
+        }
+
+    @staticmethod
+    def _chain_input(question: str, history: list[dict] | None = None) -> dict:
+        """Build the chain input for a question and its conversation history."""
+        return {
+            "question": question,
+            "history": history or [],
+            "search_query": build_search_query(question, history),
+        }
+
+    def query(self, question: str, history: list[dict] | None = None) -> str:
         """Execute a RAG query.
 
         Args:
             question: User question
+            history: Previous conversation messages, oldest first
 
         Returns:
             Generated answer
@@ -103,18 +215,19 @@ class RAGChain:
         logger.info(f"Processing query: {question[:100]}...")
 
         try:
-            answer = self.chain.invoke(question)
+            answer = self.chain.invoke(self._chain_input(question, history))
             logger.info("Query processed successfully")
             return answer
         except Exception as e:
             logger.error(f"Error processing query: {e}")
             raise
 
-    def query_with_sources(self, question: str) -> dict:
+    def query_with_sources(self, question: str, history: list[dict] | None = None) -> dict:
         """Execute a RAG query and return sources.
 
         Args:
             question: User question
+            history: Previous conversation messages, oldest first
 
         Returns:
             Dictionary with answer and source documents
@@ -123,23 +236,13 @@ class RAGChain:
 
         try:
             # Get answer
-            answer = self.chain.invoke(question)
+            answer = self.chain.invoke(self._chain_input(question, history))
 
             # Get source documents
-            source_docs = self.retriever.invoke(question)
+            source_docs = self.retriever.invoke(build_search_query(question, history))
 
             # Format sources
-            sources = [
-                {
-                    "content": (
-                        doc.page_content[:500] + "..."
-                        if len(doc.page_content) > 500
-                        else doc.page_content
-                    ),
-                    "metadata": doc.metadata,
-                }
-                for doc in source_docs
-            ]
+            sources = format_sources(source_docs)
 
             logger.info(f"Query processed with {len(sources)} sources")
 
@@ -151,11 +254,18 @@ class RAGChain:
             logger.error(f"Error processing query with sources: {e}")
             raise
 
-    async def aquery(self, question: str) -> str:
+    async def aquery(
+        self,
+        question: str,
+        history: list[dict] | None = None,
+        document_ids: list[str] | None = None,
+    ) -> str:
         """Execute an async RAG query.
 
         Args:
             question: User question
+            history: Previous conversation messages, oldest first
+            document_ids: Restrict the context to these chunk IDs
 
         Returns:
             Generated answer
@@ -163,18 +273,26 @@ class RAGChain:
         logger.info(f"Processing async query: {question[:100]}...")
 
         try:
-            answer = await self.chain.ainvoke(question)
+            docs = await self.aretrieve(question, history, document_ids)
+            answer = await self.answer_chain.ainvoke(self._answer_input(question, docs, history))
             logger.info("Async query processed successfully")
             return answer
         except Exception as e:
             logger.error(f"Error processing async query: {e}")
             raise
 
-    async def aquery_with_sources(self, question: str) -> dict:
+    async def aquery_with_sources(
+        self,
+        question: str,
+        history: list[dict] | None = None,
+        document_ids: list[str] | None = None,
+    ) -> dict:
         """Execute an async RAG query and return sources.
 
         Args:
             question: User question
+            history: Previous conversation messages, oldest first
+            document_ids: Restrict the context to these chunk IDs
 
         Returns:
             Dictionary with answer and source documents
@@ -182,24 +300,16 @@ class RAGChain:
         logger.info(f"Processing async query with sources: {question[:100]}...")
 
         try:
-            # Get answer
-            answer = await self.chain.ainvoke(question)
+            # Get source documents
+            source_docs = await self.aretrieve(question, history, document_ids)
 
-            # Get source documents (sync operation)
-            source_docs = self.retriever.invoke(question)
+            # Get answer from the same documents
+            answer = await self.answer_chain.ainvoke(
+                self._answer_input(question, source_docs, history)
+            )
 
             # Format sources
-            sources = [
-                {
-                    "content": (
-                        doc.page_content[:500] + "..."
-                        if len(doc.page_content) > 500
-                        else doc.page_content
-                    ),
-                    "metadata": doc.metadata,
-                }
-                for doc in source_docs
-            ]
+            sources = format_sources(source_docs)
 
             logger.info(f"Async query processed with {len(sources)} sources")
 
@@ -211,12 +321,50 @@ class RAGChain:
             logger.error(f"Error processing async query with sources: {e}")
             raise
 
-    async def aquery_with_evaluation(self, question: str, include_sources: bool = True) -> dict:
+    async def aevaluate_answer(self, question: str, answer: str, contexts: list[str]) -> dict:
+        """Run RAGAS evaluation, returning error details instead of raising.
+
+        Args:
+            question: User question
+            answer: Generated answer
+            contexts: Source contents the answer was generated from
+
+        Returns:
+            Dictionary with evaluation scores or an error message
+        """
+        try:
+            evaluation = await self.evaluator.aevaluate(
+                question=question, answer=answer, contexts=contexts
+            )
+            logger.info(
+                f"Evaluation completed - "
+                f"faithfulness={evaluation.get('faithfulness', 'N/A')}, "
+                f"answer_relevancy={evaluation.get('answer_relevancy', 'N/A')}"
+            )
+            return evaluation
+        except Exception as e:
+            logger.warning(f"Evaluation failed: {e}", exc_info=True)
+            return {
+                "faithfulness": None,
+                "answer_relevancy": None,
+                "evaluation_time_ms": None,
+                "error": str(e),
+            }
+
+    async def aquery_with_evaluation(
+        self,
+        question: str,
+        include_sources: bool = True,
+        history: list[dict] | None = None,
+        document_ids: list[str] | None = None,
+    ) -> dict:
         """Execute async RAG query with RAGAS evaluation.
 
         Args:
             question: User question
             include_sources: Whether to include sources in response
+            history: Previous conversation messages, oldest first
+            document_ids: Restrict the context to these chunk IDs
 
         Returns:
             Dictionary with answer, sources, and evaluation scores
@@ -225,31 +373,13 @@ class RAGChain:
 
         try:
             # Get answer and sources
-            result = await self.aquery_with_sources(question)
+            result = await self.aquery_with_sources(question, history, document_ids)
             answer = result["answer"]
             sources = result["sources"]
 
             # Prepare contexts for evaluation
             contexts = [source["content"] for source in sources]
-
-            # Run evaluation with error handling
-            try:
-                evaluation = await self.evaluator.aevaluate(
-                    question=question, answer=answer, contexts=contexts
-                )
-                logger.info(
-                    f"Evaluation completed - "
-                    f"faithfulness={evaluation.get('faithfulness', 'N/A')}, "
-                    f"answer_relevancy={evaluation.get('answer_relevancy', 'N/A')}"
-                )
-            except Exception as e:
-                logger.warning(f"Evaluation failed: {e}", exc_info=True)
-                evaluation = {
-                    "faithfulness": None,
-                    "answer_relevancy": None,
-                    "evaluation_time_ms": None,
-                    "error": str(e),
-                }
+            evaluation = await self.aevaluate_answer(question, answer, contexts)
 
             return {"answer": answer, "sources": sources, "evaluation": evaluation}
 
@@ -257,11 +387,12 @@ class RAGChain:
             logger.error(f"Error in query with evaluation: {e}")
             raise
 
-    def stream(self, question: str):
+    def stream(self, question: str, history: list[dict] | None = None):
         """Stream RAG response.
 
         Args:
             question: User question
+            history: Previous conversation messages, oldest first
 
         Yields:
             Response chunks
@@ -269,8 +400,55 @@ class RAGChain:
         logger.info(f"Streaming query: {question[:100]}...")
 
         try:
-            for chunk in self.chain.stream(question):
+            for chunk in self.chain.stream(self._chain_input(question, history)):
                 yield chunk
         except Exception as e:
             logger.error(f"Error streaming query: {e}")
             raise
+
+    async def aretrieve(
+        self,
+        question: str,
+        history: list[dict] | None = None,
+        document_ids: list[str] | None = None,
+    ) -> list[Document]:
+        """Retrieve source documents for a question.
+
+        Args:
+            question: User question
+            history: Previous conversation messages, oldest first
+            document_ids: Use exactly these chunk IDs instead of searching
+
+        Returns:
+            List of retrieved Document objects
+        """
+        if document_ids:
+            return self.vector_store.get_documents(document_ids)
+        return await self.retriever.ainvoke(build_search_query(question, history))
+
+    async def astream_answer(
+        self,
+        question: str,
+        docs: list[Document],
+        history: list[dict] | None = None,
+    ):
+        """Stream an answer generated from already retrieved documents.
+
+        Args:
+            question: User question
+            docs: Retrieved documents to use as context
+            history: Previous conversation messages, oldest first
+
+        Yields:
+            Response chunks
+        """
+        logger.info(f"Streaming answer for: {question[:100]}...")
+
+        try:
+            async for chunk in self.answer_chain.astream(
+                self._answer_input(question, docs, history)
+            ):
+                yield chunk
+        except Exception as e:
+            logger.error(f"Error streaming answer: {e}")
+            raise
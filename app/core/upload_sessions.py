@@ -0,0 +1,253 @@
+"""Upload session store for resumable, chunked uploads."""
+
+import json
+import math
+import os
+import shutil
+import time
+from datetime import UTC, datetime
+from pathlib import Path
+from uuid import uuid4
+
+from app.config import get_settings
+from app.core.workspaces import DEFAULT_WORKSPACE_ID
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+
+SESSION_FILE = "session.json"
+PARTS_DIR = "parts"
+ASSEMBLED_FILE = "assembled"
+COMPLETING_FILE = "completing"
+
+
+class UploadSessionStore:
+    """Partially uploaded files on disk, one directory per upload session.
+
+    Parts are stored as separate files, so they can arrive in any order and in
+    parallel; the received parts are read back from the directory listing.
+    """
+
+    def __init__(self, root: str | Path | None = None):
+        """Initialize upload session store.
+
+        Args:
+            root: Directory holding the sessions (default from settings)
+        """
+        settings = get_settings()
+        self.root = Path(root or settings.upload_sessions_dir).resolve()
+        self.ttl_seconds = settings.upload_session_ttl_hours * 3600
+
+    def _session_dir(self, upload_id: str) -> Path | None:
+        """Get the directory of a session, rejecting IDs that escape the store."""
+        directory = (self.root / upload_id).resolve()
+        if directory.parent != self.root:
+            return None
+        return directory
+
+    def create(
+        self,
+        filename: str,
+        size: int,
+        part_size: int,
+        workspace_id: str = DEFAULT_WORKSPACE_ID,
+    ) -> dict:
+        """Start an upload session.
+
+        Args:
+            filename: Original filename
+            size: Total file size in bytes
+            part_size: Size of every part but the last, in bytes
+            workspace_id: Workspace the finished file is ingested into
+
+        Returns:
+            Session dictionary with upload_id, filename, size, part_size,
+            total_parts, workspace_id, created_at and received_parts
+        """
+        self.expire()
+
+        session = {
+            "upload_id": uuid4().hex,
+            "filename": Path(filename).name,
+            "size": size,
+            "part_size": part_size,
+            "total_parts": max(math.ceil(size / part_size), 1),
+            "workspace_id": workspace_id,
+            "created_at": datetime.now(UTC).isoformat(),
+        }
+
+        directory = self.root / session["upload_id"]
+        (directory / PARTS_DIR).mkdir(parents=True)
+        (directory / SESSION_FILE).write_text(json.dumps(session))
+
+        logger.info(
+            f"Upload session {session['upload_id']} started for {session['filename']} "
+            f"({size} bytes, {session['total_parts']} parts)"
+        )
+        return {**session, "received_parts": []}
+
+    def get(self, upload_id: str) -> dict | None:
+        """Get a session with the parts received so far.
+
+        Args:
+            upload_id: Upload session ID
+
+        Returns:
+            Session dictionary, or None if it does not exist (expired sessions are
+            removed whenever a new session starts)
+        """
+        directory = self._session_dir(upload_id)
+        if directory is None or not (directory / SESSION_FILE).is_file():
+            return None
+
+        session = json.loads((directory / SESSION_FILE).read_text())
+        session["received_parts"] = sorted(
+            int(path.name) for path in (directory / PARTS_DIR).iterdir() if path.name.isdigit()
+        )
+        return session
+
+    @staticmethod
+    def part_length(session: dict, index: int) -> int:
+        """Get the expected length of one part.
+
+        Args:
+            session: Session dictionary
+            index: Part index, from 0
+
+        Returns:
+            Length in bytes
+        """
+        if index < session["total_parts"] - 1:
+            return session["part_size"]
+        return session["size"] - session["part_size"] * (session["total_parts"] - 1)
+
+    def save_part(self, upload_id: str, index: int, data: bytes) -> dict:
+        """Store one part, replacing an earlier copy of it.
+
+        Args:
+            upload_id: Upload session ID
+            index: Part index, from 0
+            data: Part contents
+
+        Returns:
+            Updated session dictionary
+
+        Raises:
+            KeyError: If the session does not exist
+            ValueError: If the index is out of range or the part has the wrong length
+        """
+        session = self.get(upload_id)
+        if session is None:
+            raise KeyError(upload_id)
+
+        if not 0 <= index < session["total_parts"]:
+            raise ValueError(
+                f"Part {index} is out of range; the upload has {session['total_parts']} parts"
+            )
+
+        expected = self.part_length(session, index)
+        if len(data) != expected:
+            raise ValueError(f"Part {index} should be {expected} bytes, got {len(data)}")
+
+        # Write under a temporary name so a dropped connection never leaves a partial part
+        parts_dir = self.root / upload_id / PARTS_DIR
+        temp_path = parts_dir / f".{index}.{uuid4().hex}"
+        temp_path.write_bytes(data)
+        os.replace(temp_path, parts_dir / str(index))
+
+        session["received_parts"] = sorted({*session["received_parts"], index})
+        return session
+
+    def begin_completion(self, upload_id: str) -> bool:
+        """Claim a session for completion, so a repeated request cannot ingest it twice.
+
+        Args:
+            upload_id: Upload session ID
+
+        Returns:
+            True if claimed, False if another request is already completing the session
+
+        Raises:
+            KeyError: If the session does not exist
+        """
+        directory = self._session_dir(upload_id)
+        if directory is None or not (directory / SESSION_FILE).is_file():
+            raise KeyError(upload_id)
+
+        # Exclusive creation makes the claim atomic across requests and worker processes
+        try:
+            os.close(os.open(directory / COMPLETING_FILE, os.O_CREAT | os.O_EXCL | os.O_WRONLY))
+        except FileExistsError:
+            return False
+        return True
+
+    def end_completion(self, upload_id: str) -> None:
+        """Release the claim of a completion that failed, so it can be retried.
+
+        Args:
+            upload_id: Upload session ID
+        """
+        directory = self._session_dir(upload_id)
+        if directory is not None:
+            (directory / COMPLETING_FILE).unlink(missing_ok=True)
+
+    def assemble(self, upload_id: str) -> Path:
+        """Join the parts of a session into one file.
+
+        Args:
+            upload_id: Upload session ID
+
+        Returns:
+            Path of the assembled file
+
+        Raises:
+            KeyError: If the session does not exist
+            ValueError: If some parts have not been received
+        """
+        session = self.get(upload_id)
+        if session is None:
+            raise KeyError(upload_id)
+
+        missing = session["total_parts"] - len(session["received_parts"])
+        if missing:
+            raise ValueError(f"{missing} of {session['total_parts']} parts have not been uploaded")
+
+        directory = self.root / upload_id
+        path = directory / ASSEMBLED_FILE
+        with path.open("wb") as assembled:
+            for index in range(session["total_parts"]):
+                with (directory / PARTS_DIR / str(index)).open("rb") as part:
+                    shutil.copyfileobj(part, assembled)
+
+        return path
+
+    def delete(self, upload_id: str) -> None:
+        """Delete a session and its parts.
+
+        Args:
+            upload_id: Upload session ID
+        """
+        directory = self._session_dir(upload_id)
+        if directory is not None:
+            shutil.rmtree(directory, ignore_errors=True)
+
+    def expire(self) -> None:
+        """Delete sessions with no activity within the session lifetime."""
+        if not self.root.is_dir():
+            return
+
+        cutoff = time.time() - self.ttl_seconds
+        for directory in self.root.iterdir():
+            parts_dir = directory / PARTS_DIR
+            try:
+                last_activity = max(
+                    directory.stat().st_mtime,
+                    parts_dir.stat().st_mtime if parts_dir.is_dir() else 0,
+                )
+            except FileNotFoundError:
+                # Completed or cancelled by another request meanwhile
+                continue
+
+            if last_activity < cutoff:
+                shutil.rmtree(directory, ignore_errors=True)
+                logger.info(f"Expired upload session {directory.name}")
@@ -1,6 +1,7 @@
 """Vector store module for Qdrant operations."""
 
 from functools import lru_cache
+from pathlib import Path
 from typing import Any
 from uuid import uuid4
 
@@ -8,7 +9,17 @@ from langchain_core.documents import Document
 from langchain_qdrant import QdrantVectorStore
 from qdrant_client import QdrantClient
 from qdrant_client.http.exceptions import UnexpectedResponse
-from qdrant_client.http.models import Distance, VectorParams
+from qdrant_client.http.models import (
+    Distance,
+    FieldCondition,
+    Filter,
+    FilterSelector,
+    IsEmptyCondition,
+    MatchValue,
+    PayloadField,
+    PointIdsList,
+    VectorParams,
+)
 
 from app.config import get_settings
 from app.core.embeddings import get_embeddings
@@ -20,6 +31,9 @@ settings = get_settings()
 # Embedding dimension for text-embedding-3-small
 EMBEDDING_DIMENSION = 1536
 
+# Points fetched per request when scrolling the collection
+SCROLL_BATCH_SIZE = 256
+
 
 @lru_cache
 def get_qdrant_client() -> QdrantClient:
@@ -39,6 +53,31 @@ def get_qdrant_client() -> QdrantClient:
     return client
 
 
+def build_metadata_filter(filters: dict | None) -> Filter | None:
+    """Build a Qdrant filter from request metadata filters.
+
+    Args:
+        filters: Dictionary with optional document_id, filename, page and file_type
+
+    Returns:
+        Qdrant filter, or None if no filter is set
+    """
+    keys = {
+        "document_id": "metadata.document_id",
+        "filename": "metadata.source",
+        "page": "metadata.page",
+        "file_type": "metadata.file_type",
+    }
+
+    conditions = [
+        FieldCondition(key=keys[name], match=MatchValue(value=value))
+        for name, value in (filters or {}).items()
+        if name in keys and value is not None
+    ]
+
+    return Filter(must=conditions) if conditions else None
+
+
 class VectorStoreService:
     """Service for managing vector store operations."""
 
@@ -133,12 +172,16 @@ class VectorStoreService:
         self,
         query: str,
         k: int | None = None,
+        score_threshold: float | None = None,
+        filters: dict | None = None,
     ) -> list[tuple[Document, float]]:
         """Search for similar documents with relevance scores.
 
         Args:
             query: Search query
             k: Number of results to return
+            score_threshold: Minimum similarity score
+            filters: Metadata filters (see build_metadata_filter)
 
         Returns:
             List of (Document, score) tuples
@@ -146,25 +189,218 @@ class VectorStoreService:
         k = k or settings.retrieval_k
         logger.debug(f"Searching with scores for: {query[:50]}... (k={k})")
 
-        results = self.vector_store.similarity_search_with_score(query, k=k)
+        results = self.vector_store.similarity_search_with_score(
+            query,
+            k=k,
+            filter=build_metadata_filter(filters),
+            score_threshold=score_threshold,
+        )
 
         logger.debug(f"Found {len(results)} results with scores")
         return results
 
-    def get_retriever(self, k: int | None = None) -> Any:
+    def get_documents(self, ids: list[str]) -> list[Document]:
+        """Fetch stored chunks by ID.
+
+        Args:
+            ids: Point IDs returned with search results
+
+        Returns:
+            List of Document objects, in the order Qdrant returns them
+        """
+        logger.debug(f"Retrieving {len(ids)} documents by ID")
+
+        points = self.client.retrieve(
+            collection_name=self.collection_name,
+            ids=ids,
+            with_payload=True,
+        )
+
+        return [
+            Document(
+                page_content=(point.payload or {}).get("page_content", ""),
+                metadata={**((point.payload or {}).get("metadata") or {}), "_id": str(point.id)},
+            )
+            for point in points
+        ]
+
+    @staticmethod
+    def _document_filter(document_id: str) -> Filter:
+        """Build a filter matching every chunk of one ingested file.
+
+        Chunks uploaded before document IDs were recorded are matched by
+        their source filename instead.
+
+        Args:
+            document_id: Document ID, or source filename for older chunks
+
+        Returns:
+            Qdrant filter
+        """
+        return Filter(
+            should=[
+                FieldCondition(key="metadata.document_id", match=MatchValue(value=document_id)),
+                Filter(
+                    must=[
+                        FieldCondition(key="metadata.source", match=MatchValue(value=document_id)),
+                        IsEmptyCondition(is_empty=PayloadField(key="metadata.document_id")),
+                    ]
+                ),
+            ]
+        )
+
+    def _scroll(self, scroll_filter: Filter | None = None) -> list[Any]:
+        """Fetch all points matching a filter, without vectors.
+
+        Args:
+            scroll_filter: Optional Qdrant filter
+
+        Returns:
+            List of points with payloads
+        """
+        points = []
+        offset = None
+
+        while True:
+            batch, offset = self.client.scroll(
+                collection_name=self.collection_name,
+                scroll_filter=scroll_filter,
+                limit=SCROLL_BATCH_SIZE,
+                offset=offset,
+                with_payload=True,
+                with_vectors=False,
+            )
+            points.extend(batch)
+
+            if offset is None:
+                return points
+
+    def list_documents(self) -> list[dict]:
+        """List ingested files with their chunk counts.
+
+        Returns:
+            List of dictionaries with document_id, filename, file_type,
+            chunk_count, uploaded_at, content_hash and tags, newest first
+        """
+        documents: dict[str, dict] = {}
+
+        for point in self._scroll():
+            metadata = (point.payload or {}).get("metadata") or {}
+            filename = metadata.get("source", "unknown")
+            document_id = metadata.get("document_id") or filename
+
+            if document_id not in documents:
+                documents[document_id] = {
+                    "document_id": document_id,
+                    "filename": filename,
+                    "file_type": metadata.get("file_type") or Path(filename).suffix.lstrip("."),
+                    "chunk_count": 0,
+                    "uploaded_at": metadata.get("uploaded_at"),
+                    "content_hash": metadata.get("content_hash"),
+                    "tags": metadata.get("tags") or [],
+                }
+            documents[document_id]["chunk_count"] += 1
+
+        logger.debug(f"Found {len(documents)} documents in collection")
+        return sorted(
+            documents.values(),
+            key=lambda document: document["uploaded_at"] or "",
+            reverse=True,
+        )
+
+    def get_document_chunks(self, document_id: str) -> list[Document]:
+        """Fetch all chunks of one ingested file.
+
+        Args:
+            document_id: Document ID, or source filename for older chunks
+
+        Returns:
+            List of Document objects in their original order
+        """
+        points = self._scroll(self._document_filter(document_id))
+
+        chunks = [
+            Document(
+                page_content=(point.payload or {}).get("page_content", ""),
+                metadata={**((point.payload or {}).get("metadata") or {}), "_id": str(point.id)},
+            )
+            for point in points
+        ]
+
+        # Qdrant returns points by ID; restore page order for browsing
+        return sorted(
+            chunks,
+            key=lambda chunk: (chunk.metadata.get("page", 0), chunk.metadata.get("chunk_index", 0)),
+        )
+
+    def delete_document(self, document_id: str) -> int:
+        """Delete all chunks of one ingested file.
+
+        Args:
+            document_id: Document ID, or source filename for older chunks
+
+        Returns:
+            Number of chunks deleted
+        """
+        document_filter = self._document_filter(document_id)
+
+        count = self.client.count(
+            collection_name=self.collection_name,
+            count_filter=document_filter,
+            exact=True,
+        ).count
+
+        if count:
+            logger.warning(f"Deleting {count} chunks of document: {document_id}")
+            self.client.delete(
+                collection_name=self.collection_name,
+                points_selector=FilterSelector(filter=document_filter),
+            )
+
+        return count
+
+    def delete_points(self, ids: list[str]) -> None:
+        """Delete stored chunks by ID.
+
+        Args:
+            ids: Point IDs, as in the ``_id`` metadata of fetched chunks
+        """
+        if not ids:
+            return
+
+        logger.debug(f"Deleting {len(ids)} chunks by ID")
+        self.client.delete(
+            collection_name=self.collection_name,
+            points_selector=PointIdsList(points=ids),
+        )
+
+    def get_retriever(
+        self,
+        k: int | None = None,
+        score_threshold: float | None = None,
+        filters: dict | None = None,
+    ) -> Any:
         """Get a retriever for the vector store.
 
         Args:
             k: Number of documents to retrieve
+            score_threshold: Minimum similarity score
+            filters: Metadata filters (see build_metadata_filter)
 
         Returns:
             LangChain retriever object
         """
-        k = k or settings.retrieval_k
+        search_kwargs: dict[str, Any] = {"k": k or settings.retrieval_k}
+
+        metadata_filter = build_metadata_filter(filters)
+        if metadata_filter is not None:
+            search_kwargs["filter"] = metadata_filter
+        if score_threshold is not None:
+            search_kwargs["score_threshold"] = score_threshold
 
         return self.vector_store.as_retriever(
             search_type="similarity",
-            search_kwargs={"k": k},
+            search_kwargs=search_kwargs,
         )
 
     def delete_collection(self) -> None:
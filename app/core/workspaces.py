@@ -0,0 +1,200 @@
+"""Workspace store module for named document collections."""
+
+import json
+import os
+import threading
+from datetime import UTC, datetime
+from pathlib import Path
+from uuid import uuid4
+
+from app.config import get_settings
+from app.utils.logger import get_logger
+
+logger = get_logger(__name__)
+
+DEFAULT_WORKSPACE_ID = "default"
+DEFAULT_WORKSPACE_NAME = "Default"
+
+# Serializes registry updates from concurrent requests
+_write_lock = threading.Lock()
+
+
+class WorkspaceStore:
+    """Registry of workspaces, kept in one JSON file.
+
+    Each workspace has its own Qdrant collection and directory of original files.
+    The default workspace always exists and uses the configured collection and
+    uploads directory, so data from before workspaces stays where it was.
+    """
+
+    def __init__(self, path: str | Path | None = None):
+        """Initialize workspace store.
+
+        Args:
+            path: Path of the JSON registry file (default from settings)
+        """
+        settings = get_settings()
+        self.path = Path(path or settings.workspaces_path)
+        self.default_collection = settings.collection_name
+        self.uploads_root = Path(settings.workspace_uploads_dir)
+
+    def _default(self) -> dict:
+        """Build the default workspace."""
+        return {
+            "id": DEFAULT_WORKSPACE_ID,
+            "name": DEFAULT_WORKSPACE_NAME,
+            "collection_name": self.default_collection,
+            "created_at": None,
+        }
+
+    def _load(self) -> list[dict]:
+        """Read the registry, default workspace first."""
+        workspaces = []
+        if self.path.exists():
+            workspaces = json.loads(self.path.read_text(encoding="utf-8"))
+
+        # Only the name of the default workspace is stored; it may have been renamed
+        default = self._default()
+        for workspace in workspaces:
+            if workspace["id"] == DEFAULT_WORKSPACE_ID:
+                default["name"] = workspace["name"]
+
+        return [default, *(w for w in workspaces if w["id"] != DEFAULT_WORKSPACE_ID)]
+
+    def _save(self, workspaces: list[dict]) -> None:
+        """Write the registry atomically."""
+        self.path.parent.mkdir(parents=True, exist_ok=True)
+        temp_path = self.path.with_suffix(".tmp")
+        temp_path.write_text(json.dumps(workspaces, indent=2), encoding="utf-8")
+        os.replace(temp_path, self.path)
+
+    @staticmethod
+    def _check_name(workspaces: list[dict], name: str, exclude_id: str | None = None) -> str:
+        """Validate a workspace name.
+
+        Raises:
+            ValueError: If the name is blank or already used by another workspace
+        """
+        name = name.strip()
+        if not name:
+            raise ValueError("Workspace name is required")
+
+        taken = any(
+            w["name"].casefold() == name.casefold() and w["id"] != exclude_id for w in workspaces
+        )
+        if taken:
+            raise ValueError(f"A workspace named '{name}' already exists")
+        return name
+
+    def list(self) -> list[dict]:
+        """List all workspaces.
+
+        Returns:
+            Workspaces, default first, then in creation order
+        """
+        return self._load()
+
+    def get(self, workspace_id: str) -> dict | None:
+        """Get one workspace.
+
+        Args:
+            workspace_id: Workspace ID
+
+        Returns:
+            Workspace dictionary, or None if it does not exist
+        """
+        return next((w for w in self._load() if w["id"] == workspace_id), None)
+
+    def create(self, name: str) -> dict:
+        """Create a workspace with a new, empty collection.
+
+        Args:
+            name: Display name, unique ignoring case
+
+        Returns:
+            Workspace dictionary with id, name, collection_name and created_at
+
+        Raises:
+            ValueError: If the name is blank or taken
+        """
+        with _write_lock:
+            workspaces = self._load()
+            workspace_id = uuid4().hex[:12]
+            workspace = {
+                "id": workspace_id,
+                "name": self._check_name(workspaces, name),
+                "collection_name": f"{self.default_collection}_{workspace_id}",
+                "created_at": datetime.now(UTC).isoformat(),
+            }
+            self._save([*workspaces, workspace])
+
+        logger.info(f"Workspace created: {workspace['name']} ({workspace_id})")
+        return workspace
+
+    def rename(self, workspace_id: str, name: str) -> dict:
+        """Rename a workspace; its collection keeps its name.
+
+        Args:
+            workspace_id: Workspace ID
+            name: New display name
+
+        Returns:
+            Updated workspace dictionary
+
+        Raises:
+            KeyError: If the workspace does not exist
+            ValueError: If the name is blank or taken
+        """
+        with _write_lock:
+            workspaces = self._load()
+            workspace = next((w for w in workspaces if w["id"] == workspace_id), None)
+            if workspace is None:
+                raise KeyError(workspace_id)
+
+            workspace["name"] = self._check_name(workspaces, name, exclude_id=workspace_id)
+            self._save(workspaces)
+
+        logger.info(f"Workspace {workspace_id} renamed to {workspace['name']}")
+        return workspace
+
+    def delete(self, workspace_id: str) -> dict:
+        """Remove a workspace from the registry.
+
+        The caller deletes its collection and files.
+
+        Args:
+            workspace_id: Workspace ID
+
+        Returns:
+            Removed workspace dictionary
+
+        Raises:
+            KeyError: If the workspace does not exist
+            ValueError: For the default workspace, which cannot be deleted
+        """
+        if workspace_id == DEFAULT_WORKSPACE_ID:
+            raise ValueError("The default workspace cannot be deleted")
+
+        with _write_lock:
+            workspaces = self._load()
+            workspace = next((w for w in workspaces if w["id"] == workspace_id), None)
+            if workspace is None:
+                raise KeyError(workspace_id)
+
+            self._save([w for w in workspaces if w["id"] != workspace_id])
+
+        logger.warning(f"Workspace deleted: {workspace['name']} ({workspace_id})")
+        return workspace
+
+    def uploads_dir(self, workspace: dict) -> Path | None:
+        """Get the directory of a workspace's original files.
+
+        Args:
+            workspace: Workspace dictionary
+
+        Returns:
+            Directory for FileStore, or None for the default uploads directory
+        """
+        if workspace["id"] == DEFAULT_WORKSPACE_ID:
+            return None
+        return self.uploads_root / workspace["id"]
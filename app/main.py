@@ -7,6 +7,8 @@ from dotenv import load_dotenv
 
 load_dotenv()
 
+import re
+import uuid
 from contextlib import asynccontextmanager
 
 from fastapi import FastAPI, Request
@@ -15,12 +17,15 @@ from fastapi.responses import HTMLResponse, JSONResponse
 from fastapi.staticfiles import StaticFiles
 
 from app import __version__
-from app.api.routes import documents, health, query
+from app.api.routes import documents, feedback, health, query, uploads, workspaces
 from app.config import get_settings
 from app.utils.logger import get_logger, setup_logging
 
 settings = get_settings()
 
+# Request IDs supplied by clients are echoed back only if they look like an ID
+REQUEST_ID_PATTERN = re.compile(r"^[A-Za-z0-9._-]{1,128}$")
+
 
 @asynccontextmanager
 async def lifespan(app: FastAPI):
@@ -51,6 +56,7 @@ A Retrieval-Augmented Generation (RAG) question-answering system built with:
 
 ### Features
 - Upload PDF, TXT, and CSV documents
+- Keep documents apart in workspaces, each with its own collection
 - Ask questions and get AI-powered answers
 - View source documents for transparency
 - Streaming responses for real-time feedback
@@ -69,15 +75,37 @@ app.add_middleware(
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
+    expose_headers=["X-Request-ID", "Retry-After"],
 )
 
+
+@app.middleware("http")
+async def add_request_id(request: Request, call_next):
+    """Tag every request with an ID, returned in the X-Request-ID response header.
+
+    The client's own X-Request-ID is kept when valid, so errors can be matched to
+    server logs from either side.
+    """
+    request_id = request.headers.get("X-Request-ID", "")
+    if not REQUEST_ID_PATTERN.match(request_id):
+        request_id = uuid.uuid4().hex
+    request.state.request_id = request_id
+
+    response = await call_next(request)
+    response.headers["X-Request-ID"] = request_id
+    return response
+
+
 # Mount static files
 app.mount("/static", StaticFiles(directory="static"), name="static")
 
 # Include routers
 app.include_router(health.router)
 app.include_router(documents.router)
+app.include_router(uploads.router)
 app.include_router(query.router)
+app.include_router(feedback.router)
+app.include_router(workspaces.router)
 
 
 @app.get("/", response_class=HTMLResponse, tags=["Root"])
@@ -91,14 +119,18 @@ async def root():
 async def global_exception_handler(request: Request, exc: Exception):
     """Global exception handler."""
     logger = get_logger(__name__)
-    logger.error(f"Unhandled exception: {exc}", exc_info=True)
+    request_id = getattr(request.state, "request_id", None)
+    logger.error(f"Unhandled exception (request {request_id}): {exc}", exc_info=True)
 
+    # Unhandled errors skip the middleware, so the ID is set here as well
     return JSONResponse(
         status_code=500,
         content={
             "error": "Internal Server Error",
             "message": str(exc),
+            "request_id": request_id,
         },
+        headers={"X-Request-ID": request_id} if request_id else None,
     )
 
 
@@ -0,0 +1,157 @@
+/**
+ * User-defined alert rules, kept in localStorage
+ */
+
+class AlertRules {
+    /**
+     * @param {string} storageKey - localStorage key for the rules
+     */
+    constructor(storageKey = 'rag-qa-alert-rules') {
+        this.storageKey = storageKey;
+        this.rules = this.load();
+    }
+
+    /**
+     * Rules used until the user changes them
+     * @returns {Object} Default rules
+     */
+    static defaults() {
+        return {
+            degraded: true,
+            slowQuery: false,
+            slowQuerySeconds: 30,
+            lowFaithfulness: false,
+            faithfulnessThreshold: 0.5,
+            batchJobs: true,
+            desktop: false
+        };
+    }
+
+    /**
+     * Load the rules
+     * @returns {Object} Rules, with defaults for anything not saved
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return { ...AlertRules.defaults(), ...(saved && typeof saved === 'object' ? saved : {}) };
+        } catch (err) {
+            console.error('Failed to load alert rules:', err);
+            return AlertRules.defaults();
+        }
+    }
+
+    /**
+     * Persist the rules
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+        } catch (err) {
+            console.error('Failed to save alert rules:', err);
+        }
+    }
+
+    /**
+     * Change some rules
+     * @param {Object} changes - Rules to change
+     */
+    update(changes) {
+        this.rules = { ...this.rules, ...changes };
+        this.save();
+    }
+
+    /**
+     * Alert when readiness leaves or returns to healthy
+     * @param {Object} sample - Latest readiness check from StatusMonitor
+     * @param {Object} previous - Check before it, if any
+     * @returns {Object|null} Alert ({title, message, type, tag}), or null
+     */
+    checkStatus(sample, previous) {
+        if (!this.rules.degraded || !previous || sample.state === previous.state) return null;
+
+        if (sample.state === 'healthy') {
+            return {
+                title: 'Service recovered',
+                message: 'Readiness checks pass again.',
+                type: 'success',
+                tag: 'status'
+            };
+        }
+
+        // Moving between degraded and down is the same incident
+        if (previous.state !== 'healthy') return null;
+
+        return sample.state === 'down'
+            ? {
+                title: 'Service unreachable',
+                message: `Readiness check failed: ${sample.error}`,
+                type: 'error',
+                tag: 'status'
+            }
+            : {
+                title: 'Service degraded',
+                message: sample.qdrantConnected ? 'The service reports it is not ready.' : 'Qdrant is disconnected.',
+                type: 'warning',
+                tag: 'status'
+            };
+    }
+
+    /**
+     * Alert when a question took too long
+     * @param {string} question - Question text
+     * @param {number} durationMs - Time to the finished answer
+     * @returns {Object|null} Alert, or null
+     */
+    checkQuery(question, durationMs) {
+        const limitMs = this.rules.slowQuerySeconds * 1000;
+        if (!this.rules.slowQuery || durationMs <= limitMs) return null;
+
+        return {
+            title: 'Slow answer',
+            message: `"${truncateText(question, 60)}" took ${formatProcessingTime(durationMs)} (limit ${this.rules.slowQuerySeconds}s).`,
+            type: 'warning',
+            tag: 'query'
+        };
+    }
+
+    /**
+     * Alert when an answer's RAGAS faithfulness is below the threshold
+     * @param {string} question - Question text
+     * @param {number|null} faithfulness - Faithfulness score, null when not evaluated
+     * @returns {Object|null} Alert, or null
+     */
+    checkFaithfulness(question, faithfulness) {
+        if (!this.rules.lowFaithfulness || faithfulness === null || faithfulness === undefined) return null;
+        if (faithfulness >= this.rules.faithfulnessThreshold) return null;
+
+        return {
+            title: 'Low faithfulness',
+            message: `"${truncateText(question, 60)}" scored ${faithfulness.toFixed(2)} (threshold ${this.rules.faithfulnessThreshold.toFixed(2)}).`,
+            type: 'warning',
+            tag: 'quality'
+        };
+    }
+
+    /**
+     * Alert when answers of a batch evaluation scored faithfulness below the threshold
+     * @param {Array} results - Evaluation results ({faithfulness})
+     * @returns {Object|null} Alert, or null
+     */
+    checkEvaluationRun(results) {
+        if (!this.rules.lowFaithfulness) return null;
+
+        const low = results.filter(result => result.faithfulness !== null && result.faithfulness < this.rules.faithfulnessThreshold);
+        if (!low.length) return null;
+
+        return {
+            title: 'Low faithfulness in evaluation',
+            message: `${low.length} of ${results.length} answers scored below ${this.rules.faithfulnessThreshold.toFixed(2)}.`,
+            type: 'warning',
+            tag: 'quality'
+        };
+    }
+}
+
+// Export for use in other scripts
+window.AlertRules = AlertRules;
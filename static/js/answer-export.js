@@ -0,0 +1,212 @@
+/**
+ * Answer reports: Markdown, standalone HTML and print-ready PDF (through the browser's print dialog)
+ */
+
+// Styles of the standalone HTML report, including the print layout used for PDF
+const REPORT_STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #212529; line-height: 1.6; max-width: 820px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.25rem; margin-top: 2rem; padding-bottom: 0.25rem; border-bottom: 1px solid #dee2e6; }
+    h3 { font-size: 1rem; margin-top: 1.25rem; color: #495057; }
+    .report-meta, .source-meta, .answer-meta { color: #6c757d; font-size: 0.85rem; }
+    .answer { margin: 0.75rem 0; }
+    .answer pre { background: #f8f9fa; padding: 0.75rem; border-radius: 4px; overflow-x: auto; white-space: pre-wrap; }
+    .code-block-header { color: #6c757d; font-size: 0.75rem; }
+    .code-block-header button { display: none; }
+    .answer table, .scores { border-collapse: collapse; }
+    .answer th, .answer td, .scores th, .scores td { border: 1px solid #dee2e6; padding: 0.25rem 0.5rem; text-align: left; }
+    .source { margin: 0.75rem 0; }
+    .source blockquote { margin: 0.25rem 0 0; padding: 0.5rem 0.75rem; border-left: 3px solid #0d6efd; background: #f8f9fa; white-space: pre-wrap; font-size: 0.9rem; }
+    @media print {
+        body { margin: 0; max-width: none; font-size: 11pt; }
+        .entry { break-inside: auto; }
+        .entry + .entry { break-before: page; }
+        .source, .scores { break-inside: avoid; }
+        a { color: inherit; text-decoration: none; }
+    }
+`;
+
+const AnswerExport = {
+    // Formats offered in the Export menus: file extension and MIME type
+    formats: {
+        markdown: { extension: 'md', mimeType: 'text/markdown' },
+        html: { extension: 'html', mimeType: 'text/html' },
+        pdf: { extension: 'pdf', mimeType: null }
+    },
+
+    /**
+     * Describe where a source chunk comes from
+     * @param {Object} source - Source ({content, metadata})
+     * @returns {{title: string, details: Array<string>}} Document name and location details
+     */
+    describeSource(source) {
+        const metadata = source.metadata || {};
+        const details = [];
+
+        if (metadata.page !== undefined && metadata.page !== null) details.push(`page ${metadata.page}`);
+        if (Number.isInteger(metadata.row)) details.push(`row ${metadata.row + 1}`);
+        if (metadata.heading_path) details.push(metadata.heading_path);
+        if (metadata.json_path) details.push(metadata.json_path);
+
+        return {
+            title: metadata.source || metadata.filename || 'Unknown Source',
+            details
+        };
+    },
+
+    /**
+     * List the RAGAS scores and timing of a result
+     * @param {Object} result - Query result
+     * @returns {Array<[string, string]>} Label and value pairs
+     */
+    metrics(result) {
+        const evaluation = result.evaluation;
+        const score = value => (value === null || value === undefined ? null : value.toFixed(2));
+        const rows = [
+            ['Faithfulness', score(evaluation?.faithfulness)],
+            ['Answer relevancy', score(evaluation?.answer_relevancy)],
+            ['Evaluation error', evaluation?.error || null],
+            ['Processing time', result.processing_time_ms ? formatProcessingTime(result.processing_time_ms) : null]
+        ];
+        return rows.filter(([, value]) => value !== null);
+    },
+
+    /**
+     * Build a Markdown report
+     * @param {Array} results - Query results ({question, answer, sources, evaluation, processing_time_ms, timestamp})
+     * @param {string} title - Report title
+     * @returns {string} Markdown
+     */
+    toMarkdown(results, title = 'Answer Report') {
+        const quote = text => text.trim().split('\n').map(line => `> ${line}`).join('\n');
+
+        const sections = results.map(result => {
+            const lines = [`## ${result.question}`, ''];
+            if (result.timestamp) {
+                lines.push(`*Asked ${formatTimestamp(result.timestamp)}*`, '');
+            }
+            lines.push(result.answer.trim(), '');
+
+            if (result.sources?.length) {
+                lines.push('### Sources', '');
+                result.sources.forEach((source, index) => {
+                    const { title: name, details } = this.describeSource(source);
+                    lines.push(`**[${index + 1}] ${name}**${details.length ? ` (${details.join(', ')})` : ''}`, '');
+                    lines.push(quote(source.content), '');
+                });
+            }
+
+            const metrics = this.metrics(result);
+            if (metrics.length) {
+                lines.push('### Evaluation', '', '| Metric | Value |', '|--------|-------|');
+                metrics.forEach(([label, value]) => lines.push(`| ${label} | ${value.replace(/\|/g, '\\|')} |`));
+                lines.push('');
+            }
+
+            return lines.join('\n');
+        });
+
+        return [`# ${title}`, '', `Generated ${formatTimestamp(new Date())}`, '', ...sections].join('\n').trimEnd() + '\n';
+    },
+
+    /**
+     * Build a standalone HTML report that needs no network access
+     * @param {Array} results - Query results
+     * @param {string} title - Report title
+     * @returns {string} HTML document
+     */
+    toHTML(results, title = 'Answer Report') {
+        const sections = results.map(result => {
+            const sources = (result.sources || []).map((source, index) => {
+                const { title: name, details } = this.describeSource(source);
+                return `
+                    <div class="source">
+                        <strong>[${index + 1}] ${escapeHtml(name)}</strong>
+                        ${details.length ? `<span class="source-meta">${escapeHtml(details.join(', '))}</span>` : ''}
+                        <blockquote>${escapeHtml(source.content.trim())}</blockquote>
+                    </div>
+                `;
+            }).join('');
+
+            const metrics = this.metrics(result).map(([label, value]) => `
+                <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>
+            `).join('');
+
+            return `
+                <section class="entry">
+                    <h2>${escapeHtml(result.question)}</h2>
+                    ${result.timestamp ? `<div class="answer-meta">Asked ${escapeHtml(formatTimestamp(result.timestamp))}</div>` : ''}
+                    <div class="answer">${Markdown.render(result.answer)}</div>
+                    ${sources ? `<h3>Sources</h3>${sources}` : ''}
+                    ${metrics ? `<h3>Evaluation</h3><table class="scores">${metrics}</table>` : ''}
+                </section>
+            `;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="report-meta">Generated ${escapeHtml(formatTimestamp(new Date()))} &middot; ${results.length} ${results.length === 1 ? 'answer' : 'answers'}</div>
+    ${sections}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Open the print dialog for the HTML report, where it can be saved as PDF
+     * @param {Array} results - Query results
+     * @param {string} title - Report title; browsers suggest it as the PDF file name
+     */
+    print(results, title = 'Answer Report') {
+        const frame = document.createElement('iframe');
+        frame.className = 'export-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(frame);
+
+        frame.addEventListener('load', () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // print() blocks until the dialog closes in most browsers; give the rest time to spool
+            setTimeout(() => frame.remove(), 60000);
+        }, { once: true });
+        frame.srcdoc = this.toHTML(results, title);
+    },
+
+    /**
+     * Export results in one of the supported formats
+     * @param {Array} results - Query results
+     * @param {string} format - 'markdown', 'html' or 'pdf'
+     * @param {string} title - Report title
+     */
+    export(results, format, title = 'Answer Report') {
+        if (format === 'pdf') {
+            this.print(results, title);
+            return;
+        }
+
+        const { extension, mimeType } = this.formats[format];
+        const content = format === 'html' ? this.toHTML(results, title) : this.toMarkdown(results, title);
+        downloadFile(content, `${this.filename(title)}.${extension}`, mimeType);
+    },
+
+    /**
+     * Turn a report title into a file name
+     * @param {string} title - Report title
+     * @returns {string} File name without extension
+     */
+    filename(title) {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        return `${slug || 'answer'}-${new Date().toISOString().slice(0, 10)}`;
+    }
+};
+
+// Export for use in other scripts
+window.AnswerExport = AnswerExport;
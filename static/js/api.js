@@ -2,25 +2,398 @@
  * API Client for RAG Q&A System
  */
 
+// Default retry policy for idempotent requests
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 10000;
+
+// Error codes for HTTP statuses; other statuses use `http_<status>`
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    408: 'timeout',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    422: 'validation_error',
+    429: 'rate_limited',
+    500: 'server_error',
+    502: 'bad_gateway',
+    503: 'unavailable',
+    504: 'gateway_timeout'
+};
+
+/**
+ * Error returned by APIClient calls
+ * Converts to its message, so it can be shown wherever an error string was shown before.
+ */
+class APIError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {object} details - Error details
+     * @param {number} details.status - HTTP status, or 0 when no response arrived
+     * @param {string} details.code - Machine-readable code (derived from the status if omitted)
+     * @param {string} details.requestId - ID of the failed request, matching the server logs
+     * @param {number} details.retryAfter - Delay asked for by the server's Retry-After header, in milliseconds
+     */
+    constructor(message, { status = 0, code = null, requestId = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.code = code || APIError.codeForStatus(status);
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Get the error code for an HTTP status
+     * @param {number} status - HTTP status, or 0 when no response arrived
+     * @returns {string} Error code
+     */
+    static codeForStatus(status) {
+        if (!status) return 'network';
+        return ERROR_CODES[status] || (status >= 500 ? 'server_error' : `http_${status}`);
+    }
+
+    /**
+     * Build the error for a failed response
+     * @param {object} response - Response details
+     * @param {number} response.status - HTTP status
+     * @param {object|string} response.body - Parsed JSON body, or the response text
+     * @param {Function} response.header - Returns a response header by name
+     * @param {string} response.requestId - ID the request was sent with
+     * @param {string} response.fallback - Message used when the body has none
+     * @returns {APIError} Error
+     */
+    static fromResponse({ status, body, header, requestId, fallback }) {
+        let message = typeof body === 'string' ? body : null;
+
+        if (body && typeof body === 'object') {
+            // FastAPI validation errors list one entry per invalid field
+            const detail = Array.isArray(body.detail)
+                ? body.detail.map(item => item.msg).join('; ')
+                : body.detail;
+            message = body.error || body.message || detail;
+        }
+
+        return new APIError(message || fallback || `HTTP ${status}`, {
+            status,
+            code: body?.code,
+            requestId: header('X-Request-ID') || body?.request_id || requestId,
+            retryAfter: APIError.parseRetryAfter(header('Retry-After'))
+        });
+    }
+
+    /**
+     * Build the error for a request that got no response
+     * @param {string} requestId - ID the request was sent with
+     * @returns {APIError} Error coded 'offline' when the browser is offline, else 'network'
+     */
+    static network(requestId) {
+        if (navigator.onLine === false) {
+            return new APIError('You are offline. Check your connection and try again.', { code: 'offline', requestId });
+        }
+        return new APIError('Network error. Please check your connection.', { code: 'network', requestId });
+    }
+
+    /**
+     * Parse a Retry-After header given in seconds or as an HTTP date
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Whether sending the same request again may succeed
+     * @returns {boolean} True for network errors, timeouts, rate limits and server errors
+     */
+    get retryable() {
+        if (['network', 'timeout'].includes(this.code)) return true;
+        return [408, 429, 500, 502, 503, 504].includes(this.status);
+    }
+
+    toString() {
+        return this.message;
+    }
+
+    toJSON() {
+        return { message: this.message, status: this.status, code: this.code, requestId: this.requestId };
+    }
+}
+
 class APIClient {
-    constructor(baseURL = '') {
+    /**
+     * @param {string} baseURL - Base URL prepended to every endpoint
+     * @param {object} options - Client options
+     * @param {number} options.timeout - Default request timeout in milliseconds (0 disables it)
+     * @param {string} options.workspace - ID of the workspace every request is scoped to (default workspace when unset)
+     * @param {AuthSession} options.auth - Credentials attached to every request
+     * @param {Function} options.onRefresh - Called first on 401/403; resolves true once it has renewed the credentials
+     * @param {Function} options.onUnauthorized - Called with the error after the rejected credentials are cleared;
+     *     resolves true once new credentials have been entered
+     */
+    constructor(baseURL = '', options = {}) {
         this.baseURL = baseURL;
+        this.timeout = options.timeout ?? 120000;
+        this.workspace = options.workspace || null;
+        this.auth = options.auth || null;
+        this.onRefresh = options.onRefresh || null;
+        this.onUnauthorized = options.onUnauthorized || null;
+        this.reauthentication = null;
+    }
+
+    /**
+     * Get the headers sent with every request: the active workspace and the credentials
+     * @returns {Object} Workspace and credential headers
+     */
+    defaultHeaders() {
+        return {
+            ...(this.workspace ? { 'X-Workspace': this.workspace } : {}),
+            ...(this.auth ? this.auth.headers() : {})
+        };
+    }
+
+    /**
+     * Run a request, and run it once more if it was rejected with 401/403 and new credentials were obtained
+     * @param {Function} attempt - Sends the request and resolves with {data, error}
+     * @returns {Promise<{data: any, error: APIError}>} Result of the last attempt
+     */
+    async withAuth(attempt) {
+        const result = await attempt();
+
+        if (![401, 403].includes(result.error?.status) || !(await this.reauthenticate(result.error))) {
+            return result;
+        }
+        return attempt();
+    }
+
+    /**
+     * Renew rejected credentials: the refresh hook first, then the sign-in prompt
+     * Requests rejected at the same time share one renewal.
+     * @param {APIError} error - 401/403 error
+     * @returns {Promise<boolean>} True if new credentials are in place
+     */
+    reauthenticate(error) {
+        if (!this.reauthentication) {
+            this.reauthentication = (async () => {
+                try {
+                    if (this.onRefresh && await this.onRefresh(error)) {
+                        return true;
+                    }
+                } catch (err) {
+                    console.warn('Token refresh failed:', err);
+                }
+
+                this.auth?.clear();
+                return this.onUnauthorized ? Boolean(await this.onUnauthorized(error)) : false;
+            })().finally(() => {
+                this.reauthentication = null;
+            });
+        }
+        return this.reauthentication;
+    }
+
+    /**
+     * Create an abort signal that fires on the caller's signal or after a timeout
+     * @param {AbortSignal} signal - Optional caller signal
+     * @param {number} timeout - Timeout in milliseconds (0 disables it)
+     * @returns {{signal: AbortSignal, resetTimeout: Function, clear: Function, timedOut: Function}} Signal controls
+     */
+    createAbortSignal(signal, timeout) {
+        const controller = new AbortController();
+        let timer = null;
+        let timedOut = false;
+
+        const resetTimeout = () => {
+            clearTimeout(timer);
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeout);
+            }
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', () => controller.abort(), { once: true });
+            }
+        }
+
+        resetTimeout();
+
+        return {
+            signal: controller.signal,
+            resetTimeout,
+            clear: () => clearTimeout(timer),
+            timedOut: () => timedOut
+        };
+    }
+
+    /**
+     * Build the result for an aborted request
+     * @param {object} abort - Signal controls from createAbortSignal
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string} requestId - ID the request was sent with
+     * @returns {{data: null, error: APIError, cancelled: boolean, timedOut: boolean}} Abort result
+     */
+    abortResult(abort, timeout, requestId) {
+        if (abort.timedOut()) {
+            return {
+                data: null,
+                error: new APIError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: 'timeout', requestId }),
+                cancelled: false,
+                timedOut: true
+            };
+        }
+        return {
+            data: null,
+            error: new APIError('Request cancelled', { code: 'cancelled', requestId }),
+            cancelled: true,
+            timedOut: false
+        };
+    }
+
+    /**
+     * Build the error for a request that threw before a result was read
+     * @param {Error} error - Thrown error
+     * @param {string} requestId - ID the request was sent with
+     * @returns {APIError} Error coded 'invalid_response' for unparseable bodies, else a network error
+     */
+    static failure(error, requestId) {
+        if (error instanceof SyntaxError) {
+            return new APIError('Failed to parse server response', { code: 'invalid_response', requestId });
+        }
+        return APIError.network(requestId);
+    }
+
+    /**
+     * Create an ID for a request, sent as X-Request-ID and echoed by the server
+     * @returns {string} Request ID
+     */
+    static requestId() {
+        if (window.crypto?.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Get the delay before a retry: exponential, capped, with jitter
+     * @param {number} attempt - Number of the attempt that failed, from 1
+     * @param {number} baseMs - Delay after the first attempt
+     * @param {number} maxMs - Longest delay
+     * @returns {number} Delay in milliseconds
+     */
+    static backoff(attempt, baseMs = RETRY_BASE_MS, maxMs = RETRY_MAX_MS) {
+        const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Wait, returning early if the signal fires
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Optional signal that ends the wait
+     * @returns {Promise<void>} Resolves after the delay or on abort
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
     }
 
     /**
      * Make API request with error handling
+     * Requests with a `retry` option are sent again after network errors, timeouts,
+     * rate limits and server errors, waiting for the server's Retry-After when given.
+     * Only idempotent requests should be retried.
      * @param {string} endpoint - API endpoint
-     * @param {object} options - Fetch options
-     * @returns {Promise<{data: any, error: any}>} Response data or error
+     * @param {object} options - Fetch options, plus `timeout` in milliseconds, `responseType` ('blob' for files)
+     *     and `retry` (true, or {attempts, baseMs, maxMs} to override the default policy)
+     * @returns {Promise<{data: any, error: APIError}>} Response data or error
      */
     async request(endpoint, options = {}) {
+        const { retry, ...requestOptions } = options;
+        if (!retry) {
+            return this.withAuth(() => this.send(endpoint, requestOptions));
+        }
+
+        const policy = {
+            attempts: RETRY_ATTEMPTS,
+            baseMs: RETRY_BASE_MS,
+            maxMs: RETRY_MAX_MS,
+            ...(retry === true ? {} : retry)
+        };
+
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.withAuth(() => this.send(endpoint, requestOptions));
+            const { error } = result;
+
+            if (!error || !error.retryable || attempt >= policy.attempts || requestOptions.signal?.aborted) {
+                return result;
+            }
+
+            // A server asking for a longer pause than the policy allows gets its error returned instead
+            const delay = error.retryAfter ?? APIClient.backoff(attempt, policy.baseMs, policy.maxMs);
+            if (delay > policy.maxMs) {
+                return result;
+            }
+
+            await APIClient.sleep(delay, requestOptions.signal);
+        }
+    }
+
+    /**
+     * Send one API request
+     * @param {string} endpoint - API endpoint
+     * @param {object} options - Fetch options, plus `timeout` in milliseconds and `responseType` ('blob' for files)
+     * @returns {Promise<{data: any, error: APIError}>} Response data or error
+     */
+    async send(endpoint, options = {}) {
+        const { timeout = this.timeout, signal, responseType, ...fetchOptions } = options;
+        const abort = this.createAbortSignal(signal, timeout);
+        const requestId = APIClient.requestId();
+
         try {
             const url = `${this.baseURL}${endpoint}`;
             const response = await fetch(url, {
+                ...fetchOptions,
                 headers: {
-                    ...options.headers,
+                    'X-Request-ID': requestId,
+                    ...this.defaultHeaders(),
+                    ...fetchOptions.headers,
                 },
-                ...options
+                signal: abort.signal
+            });
+
+            if (responseType === 'blob' && response.ok) {
+                return { data: await response.blob(), error: null };
+            }
+
+            const failure = body => APIError.fromResponse({
+                status: response.status,
+                body,
+                header: name => response.headers.get(name),
+                requestId,
+                fallback: `HTTP ${response.status}: ${response.statusText}`
             });
 
             // For non-JSON responses, return text
@@ -28,10 +401,7 @@ class APIClient {
             if (contentType && !contentType.includes('application/json')) {
                 const text = await response.text();
                 if (!response.ok) {
-                    return {
-                        data: null,
-                        error: text || `HTTP ${response.status}: ${response.statusText}`
-                    };
+                    return { data: null, error: failure(text) };
                 }
                 return { data: text, error: null };
             }
@@ -39,20 +409,20 @@ class APIClient {
             const data = await response.json();
 
             if (!response.ok) {
-                return {
-                    data: null,
-                    error: data.error || data.message || data.detail || `HTTP ${response.status}: ${response.statusText}`
-                };
+                return { data: null, error: failure(data) };
             }
 
             return { data, error: null };
 
         } catch (error) {
+            if (abort.signal.aborted) {
+                return this.abortResult(abort, timeout, requestId);
+            }
+
             console.error('API request failed:', error);
-            return {
-                data: null,
-                error: error.message || 'Network error. Please check your connection.'
-            };
+            return { data: null, error: APIClient.failure(error, requestId) };
+        } finally {
+            abort.clear();
         }
     }
 
@@ -60,10 +430,11 @@ class APIClient {
      * Upload document
      * @param {File} file - File to upload
      * @param {Function} onProgress - Progress callback
-     * @returns {Promise<{data: any, error: any}>} Upload result
+     * @param {AbortSignal} signal - Optional signal to cancel the upload
+     * @returns {Promise<{data: any, error: APIError}>} Upload result
      */
-    async uploadDocument(file, onProgress) {
-        return new Promise((resolve) => {
+    async uploadDocument(file, onProgress, signal) {
+        return this.withAuth(() => new Promise((resolve) => {
             const formData = new FormData();
             formData.append('file', file);
 
@@ -79,49 +450,253 @@ class APIClient {
                 });
             }
 
+            const requestId = APIClient.requestId();
+            const cancelled = () => new APIError('Upload cancelled', { code: 'cancelled', requestId });
+
             xhr.addEventListener('load', () => {
-                try {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        const data = JSON.parse(xhr.responseText);
-                        resolve({ data, error: null });
-                    } else {
-                        const errorData = JSON.parse(xhr.responseText);
-                        resolve({
-                            data: null,
-                            error: errorData.error || errorData.message || errorData.detail || `Upload failed with status ${xhr.status}`
-                        });
-                    }
-                } catch (e) {
-                    resolve({ data: null, error: 'Failed to parse server response' });
-                }
+                resolve(this.xhrResult(xhr, requestId, `Upload failed with status ${xhr.status}`));
             });
 
             xhr.addEventListener('error', () => {
-                resolve({ data: null, error: 'Network error during upload' });
+                resolve({ data: null, error: APIError.network(requestId) });
             });
 
             xhr.addEventListener('abort', () => {
-                resolve({ data: null, error: 'Upload cancelled' });
+                resolve({ data: null, error: cancelled() });
             });
 
+            // Cancel upload when signal fires
+            if (signal) {
+                if (signal.aborted) {
+                    resolve({ data: null, error: cancelled() });
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
             xhr.open('POST', `${this.baseURL}/documents/upload`);
+            xhr.setRequestHeader('X-Request-ID', requestId);
+            Object.entries(this.defaultHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
             xhr.send(formData);
+        }));
+    }
+
+    /**
+     * Build the result of a finished XMLHttpRequest
+     * @param {XMLHttpRequest} xhr - Finished request
+     * @param {string} requestId - ID the request was sent with
+     * @param {string} fallback - Message for failures whose body has none
+     * @returns {{data: any, error: APIError}} Response data or error
+     */
+    xhrResult(xhr, requestId, fallback) {
+        let body = null;
+        try {
+            body = JSON.parse(xhr.responseText);
+        } catch (e) {
+            // Proxies may answer with HTML error pages
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300 && body) {
+            return { data: body, error: null };
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+            return {
+                data: null,
+                error: new APIError('Failed to parse server response', { status: xhr.status, code: 'invalid_response', requestId })
+            };
+        }
+
+        return {
+            data: null,
+            error: APIError.fromResponse({
+                status: xhr.status,
+                body,
+                header: name => xhr.getResponseHeader(name),
+                requestId,
+                fallback
+            })
+        };
+    }
+
+    /**
+     * Start a resumable upload session
+     * @param {string} filename - Original filename
+     * @param {number} size - File size in bytes
+     * @returns {Promise<{data: any, error: APIError}>} Session ({upload_id, part_size, total_parts, received_parts})
+     */
+    async createUploadSession(filename, size) {
+        return this.request('/documents/uploads', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ filename, size })
+        });
+    }
+
+    /**
+     * Get the parts received so far for a resumable upload
+     * @param {string} uploadId - Upload session ID
+     * @returns {Promise<{data: any, error: APIError}>} Session, or an error with status 404 once it has expired
+     */
+    async getUploadSession(uploadId) {
+        return this.request(`/documents/uploads/${encodeURIComponent(uploadId)}`);
+    }
+
+    /**
+     * Upload one part of a resumable upload
+     * @param {string} uploadId - Upload session ID
+     * @param {number} index - Part index, from 0
+     * @param {Blob} blob - Part contents
+     * @param {Function} onProgress - Called with the bytes of this part sent so far
+     * @param {AbortSignal} signal - Optional signal to cancel the part
+     * @returns {Promise<{data: any, error: APIError}>} Updated session
+     */
+    async uploadPart(uploadId, index, blob, onProgress, signal) {
+        return this.withAuth(() => new Promise((resolve) => {
+            const xhr = new XMLHttpRequest();
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => onProgress(e.loaded));
+            }
+
+            const requestId = APIClient.requestId();
+            const cancelled = () => new APIError('Upload cancelled', { code: 'cancelled', requestId });
+
+            xhr.addEventListener('load', () => {
+                resolve(this.xhrResult(xhr, requestId, `Part upload failed with status ${xhr.status}`));
+            });
+
+            xhr.addEventListener('error', () => {
+                resolve({ data: null, error: APIError.network(requestId) });
+            });
+
+            xhr.addEventListener('abort', () => {
+                resolve({ data: null, error: cancelled() });
+            });
+
+            if (signal) {
+                if (signal.aborted) {
+                    resolve({ data: null, error: cancelled() });
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            xhr.open('PUT', `${this.baseURL}/documents/uploads/${encodeURIComponent(uploadId)}/parts/${index}`);
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            xhr.setRequestHeader('X-Request-ID', requestId);
+            Object.entries(this.defaultHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.send(blob);
+        }));
+    }
+
+    /**
+     * Finish a resumable upload and ingest the file
+     * @param {string} uploadId - Upload session ID
+     * @returns {Promise<{data: any, error: APIError}>} Upload result
+     */
+    async completeUploadSession(uploadId) {
+        return this.request(`/documents/uploads/${encodeURIComponent(uploadId)}/complete`, {
+            method: 'POST',
+            timeout: 0
+        });
+    }
+
+    /**
+     * Discard a resumable upload
+     * @param {string} uploadId - Upload session ID
+     * @returns {Promise<{data: any, error: APIError}>} Result
+     */
+    async cancelUploadSession(uploadId) {
+        return this.request(`/documents/uploads/${encodeURIComponent(uploadId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Add pasted text as a document
+     * @param {Object} note - Text to ingest ({title, content, tags})
+     * @returns {Promise<{data: any, error: APIError}>} Upload result
+     */
+    async addTextDocument(note) {
+        return this.request('/documents/text', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(note)
+        });
+    }
+
+    /**
+     * List workspaces
+     * @returns {Promise<{data: any, error: APIError}>} Workspaces ({workspaces, total}), default first
+     */
+    async listWorkspaces() {
+        return this.request('/workspaces', {
+            method: 'GET',
+            retry: true
+        });
+    }
+
+    /**
+     * Create a workspace with its own, empty collection
+     * @param {string} name - Workspace name
+     * @returns {Promise<{data: any, error: APIError}>} Created workspace
+     */
+    async createWorkspace(name) {
+        return this.request('/workspaces', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name })
+        });
+    }
+
+    /**
+     * Rename a workspace
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} name - New name
+     * @returns {Promise<{data: any, error: APIError}>} Renamed workspace
+     */
+    async renameWorkspace(workspaceId, name) {
+        return this.request(`/workspaces/${encodeURIComponent(workspaceId)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name })
+        });
+    }
+
+    /**
+     * Delete a workspace with its collection and files
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Promise<{data: any, error: APIError}>} Delete result
+     */
+    async deleteWorkspace(workspaceId) {
+        return this.request(`/workspaces/${encodeURIComponent(workspaceId)}`, {
+            method: 'DELETE'
         });
     }
 
     /**
      * Get collection information
-     * @returns {Promise<{data: any, error: any}>} Collection info
+     * @returns {Promise<{data: any, error: APIError}>} Collection info
      */
     async getCollectionInfo() {
         return this.request('/documents/info', {
-            method: 'GET'
+            method: 'GET',
+            retry: true
         });
     }
 
     /**
      * Delete collection
-     * @returns {Promise<{data: any, error: any}>} Delete result
+     * @returns {Promise<{data: any, error: APIError}>} Delete result
      */
     async deleteCollection() {
         return this.request('/documents/collection', {
@@ -129,15 +704,107 @@ class APIClient {
         });
     }
 
+    /**
+     * List ingested documents
+     * @returns {Promise<{data: any, error: APIError}>} Documents with chunk counts
+     */
+    async listDocuments() {
+        return this.request('/documents', {
+            method: 'GET'
+        });
+    }
+
+    /**
+     * Get the stored chunks of one document
+     * @param {string} documentId - Document ID
+     * @returns {Promise<{data: any, error: APIError}>} Document chunks
+     */
+    async getDocumentChunks(documentId) {
+        return this.request(`/documents/${encodeURIComponent(documentId)}/chunks`, {
+            method: 'GET'
+        });
+    }
+
+    /**
+     * Get the upload size limit and accepted file types
+     * @returns {Promise<{data: any, error: APIError}>} Upload limits ({max_upload_size_bytes, supported_extensions})
+     */
+    async getUploadLimits() {
+        return this.request('/documents/limits', {
+            method: 'GET'
+        });
+    }
+
+    /**
+     * Download the original uploaded file of a document
+     * @param {string} documentId - Document ID
+     * @returns {Promise<{data: Blob, error: APIError}>} File contents or error
+     */
+    async getDocumentFile(documentId) {
+        return this.request(`/documents/${encodeURIComponent(documentId)}/file`, {
+            method: 'GET',
+            responseType: 'blob',
+            timeout: 0
+        });
+    }
+
+    /**
+     * Delete one document and all of its chunks
+     * @param {string} documentId - Document ID
+     * @returns {Promise<{data: any, error: APIError}>} Delete result
+     */
+    async deleteDocument(documentId) {
+        return this.request(`/documents/${encodeURIComponent(documentId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Replace the chunks of one document with a freshly processed file
+     * @param {string} documentId - Document ID
+     * @param {File} file - Replacement file
+     * @returns {Promise<{data: any, error: APIError}>} Upload result
+     */
+    async reingestDocument(documentId, file) {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        return this.request(`/documents/${encodeURIComponent(documentId)}`, {
+            method: 'PUT',
+            body: formData,
+            // Re-processing a large file can take a while
+            timeout: 0
+        });
+    }
+
+    /**
+     * Convert query settings to request fields; unset values use the server defaults
+     * @param {object} settings - Query settings ({topK, scoreThreshold, filters, temperature})
+     * @returns {object} Request body fields
+     */
+    settingsPayload(settings = {}) {
+        return {
+            top_k: settings.topK ?? null,
+            score_threshold: settings.scoreThreshold ?? null,
+            filters: settings.filters ?? null,
+            temperature: settings.temperature ?? null
+        };
+    }
+
     /**
      * Submit query
      * @param {string} question - Question text
      * @param {boolean} includeSources - Include source documents
      * @param {boolean} enableEvaluation - Enable RAGAS evaluation
-     * @returns {Promise<{data: any, error: any}>} Query result
+     * @param {Array<{role: string, content: string}>} history - Previous conversation messages
+     * @param {object} options - Request options ({signal, timeout, documentIds, settings})
+     * @returns {Promise<{data: any, error: APIError}>} Query result
      */
-    async query(question, includeSources = true, enableEvaluation = false) {
+    async query(question, includeSources = true, enableEvaluation = false, history = [], options = {}) {
+        const { documentIds = null, settings, ...requestOptions } = options;
+
         return this.request('/query', {
+            ...requestOptions,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -145,101 +812,265 @@ class APIClient {
             body: JSON.stringify({
                 question,
                 include_sources: includeSources,
-                enable_evaluation: enableEvaluation
+                enable_evaluation: enableEvaluation,
+                history,
+                document_ids: documentIds,
+                ...this.settingsPayload(settings)
             })
         });
     }
 
     /**
      * Submit streaming query
+     * Reads NDJSON events (token, sources, evaluation, done, error); plain text
+     * responses are streamed as raw chunks. The timeout restarts with every chunk.
+     * @param {string} question - Question text
+     * @param {Function} onChunk - Callback for each answer text chunk
+     * @param {Array<{role: string, content: string}>} history - Previous conversation messages
+     * @param {object} options - Streaming options
+     * @param {boolean} options.includeSources - Request a sources event
+     * @param {boolean} options.enableEvaluation - Request an evaluation event
+     * @param {Function} options.onEvent - Callback for every structured event
+     * @param {Array<string>} options.documentIds - Answer only from these chunk IDs
+     * @param {object} options.settings - Retrieval and model settings (see settingsPayload)
+     * @param {AbortSignal} options.signal - Signal to stop the stream
+     * @param {number} options.timeout - Inactivity timeout in milliseconds
+     * @returns {Promise<{data: any, error: APIError}>} Query result ({question, answer, sources, evaluation, processing_time_ms}) or error
+     */
+    async queryStream(question, onChunk, history = [], options = {}) {
+        return this.withAuth(() => this.sendStream(question, onChunk, history, options));
+    }
+
+    /**
+     * Send one streaming query (see queryStream)
      * @param {string} question - Question text
-     * @param {Function} onChunk - Callback for each chunk
-     * @returns {Promise<{data: string, error: any}>} Complete streamed response or error
+     * @param {Function} onChunk - Callback for each answer text chunk
+     * @param {Array<{role: string, content: string}>} history - Previous conversation messages
+     * @param {object} options - Streaming options
+     * @returns {Promise<{data: any, error: APIError}>} Query result or error
      */
-    async queryStream(question, onChunk) {
+    async sendStream(question, onChunk, history = [], options = {}) {
+        const {
+            includeSources = false,
+            enableEvaluation = false,
+            documentIds = null,
+            settings,
+            onEvent,
+            signal,
+            timeout = this.timeout
+        } = options;
+        const abort = this.createAbortSignal(signal, timeout);
+        const result = {
+            question,
+            answer: '',
+            sources: null,
+            evaluation: null,
+            processing_time_ms: null
+        };
+
+        const requestId = APIClient.requestId();
+
         try {
             const response = await fetch(`${this.baseURL}/query/stream`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/x-ndjson',
+                    'X-Request-ID': requestId,
+                    ...this.defaultHeaders()
                 },
                 body: JSON.stringify({
                     question,
-                    include_sources: false,
-                    enable_evaluation: false
-                })
+                    include_sources: includeSources,
+                    enable_evaluation: enableEvaluation,
+                    history,
+                    document_ids: documentIds,
+                    ...this.settingsPayload(settings)
+                }),
+                signal: abort.signal
             });
 
             if (!response.ok) {
                 const errorText = await response.text();
+                let body = errorText;
+                try {
+                    body = JSON.parse(errorText);
+                } catch (e) {
+                    // Plain text error
+                }
                 return {
                     data: null,
-                    error: errorText || `HTTP ${response.status}: ${response.statusText}`
+                    error: APIError.fromResponse({
+                        status: response.status,
+                        body,
+                        header: name => response.headers.get(name),
+                        requestId,
+                        fallback: `HTTP ${response.status}: ${response.statusText}`
+                    })
                 };
             }
 
+            const contentType = response.headers.get('content-type') || '';
+            const structured = contentType.includes('application/x-ndjson');
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
-            let fullText = '';
+            let buffer = '';
+            let streamError = null;
+
+            // Apply one structured event to the result
+            const handleEvent = (event) => {
+                if (onEvent) {
+                    onEvent(event);
+                }
+
+                switch (event.type) {
+                    case 'token':
+                        result.answer += event.content;
+                        if (onChunk) {
+                            onChunk(event.content);
+                        }
+                        break;
+                    case 'sources':
+                        result.sources = event.sources;
+                        break;
+                    case 'evaluation':
+                        result.evaluation = event.evaluation;
+                        break;
+                    case 'done':
+                        result.processing_time_ms = event.processing_time_ms;
+                        break;
+                    case 'error':
+                        streamError = new APIError(event.message || 'Streaming failed. Please try again.', {
+                            status: response.status,
+                            code: event.code || 'stream_error',
+                            requestId: response.headers.get('X-Request-ID') || requestId
+                        });
+                        break;
+                }
+            };
+
+            // Parse complete NDJSON lines, keeping any partial line buffered
+            const handleLines = (final = false) => {
+                const lines = buffer.split('\n');
+                buffer = final ? '' : lines.pop();
+
+                lines.filter(line => line.trim()).forEach(line => handleEvent(JSON.parse(line)));
+            };
 
             while (true) {
                 const { done, value } = await reader.read();
                 if (done) break;
 
+                abort.resetTimeout();
                 const chunk = decoder.decode(value, { stream: true });
-                fullText += chunk;
 
-                if (onChunk) {
-                    onChunk(chunk);
+                if (structured) {
+                    buffer += chunk;
+                    handleLines();
+                } else {
+                    result.answer += chunk;
+                    if (onChunk) {
+                        onChunk(chunk);
+                    }
                 }
             }
 
-            return { data: fullText, error: null };
+            if (structured) {
+                buffer += decoder.decode();
+                handleLines(true);
+            }
+
+            if (streamError) {
+                return { data: null, error: streamError };
+            }
+
+            return { data: result, error: null };
 
         } catch (error) {
+            if (abort.signal.aborted) {
+                return this.abortResult(abort, timeout, requestId);
+            }
+
             console.error('Streaming query failed:', error);
-            return {
-                data: null,
-                error: error.message || 'Streaming failed. Please try again.'
-            };
+            return { data: null, error: APIClient.failure(error, requestId) };
+        } finally {
+            abort.clear();
         }
     }
 
     /**
      * Search documents without generating answer
      * @param {string} question - Search query
-     * @returns {Promise<{data: any, error: any}>} Search results
+     * @param {object} options - Request options ({signal, timeout, settings})
+     * @returns {Promise<{data: any, error: APIError}>} Search results
      */
-    async searchDocuments(question) {
+    async searchDocuments(question, options = {}) {
+        const { settings, ...requestOptions } = options;
+
+        // Searching is read-only, so it is safe to retry despite being a POST
         return this.request('/query/search', {
+            retry: true,
+            ...requestOptions,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ question, ...this.settingsPayload(settings) })
+        });
+    }
+
+    /**
+     * Send feedback on an answer
+     * @param {object} feedback - Feedback ({rating, reason, correction, question, answer, sources, flagged_sources, client_id, created_at})
+     * @returns {Promise<{data: any, error: APIError}>} Stored feedback ID
+     */
+    async submitFeedback(feedback) {
+        return this.request('/feedback', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ question })
+            body: JSON.stringify(feedback)
+        });
+    }
+
+    /**
+     * List feedback recorded on the server
+     * @returns {Promise<{data: any, error: APIError}>} Feedback entries
+     */
+    async listFeedback() {
+        return this.request('/feedback', {
+            method: 'GET'
         });
     }
 
     /**
      * Health check
-     * @returns {Promise<{data: any, error: any}>} Health status
+     * @param {object} options - Request options, e.g. `{retry: false}` for a single attempt
+     * @returns {Promise<{data: any, error: APIError}>} Health status
      */
-    async healthCheck() {
+    async healthCheck(options = {}) {
         return this.request('/health', {
-            method: 'GET'
+            method: 'GET',
+            retry: true,
+            ...options
         });
     }
 
     /**
      * Readiness check
-     * @returns {Promise<{data: any, error: any}>} Readiness status
+     * @param {object} options - Request options, e.g. `{retry: false}` for a single attempt
+     * @returns {Promise<{data: any, error: APIError}>} Readiness status
      */
-    async readinessCheck() {
+    async readinessCheck(options = {}) {
         return this.request('/health/ready', {
-            method: 'GET'
+            method: 'GET',
+            retry: true,
+            ...options
         });
     }
 }
 
 // Export for use in other scripts
 window.APIClient = APIClient;
+window.APIError = APIError;
@@ -5,335 +5,2548 @@
 // Global API client instance
 let apiClient;
 
-// Health check interval
-let healthCheckInterval;
+// Health polling and the session's health history
+let statusMonitor;
+
+// History of toasts and alerts, and the rules that raise alerts
+let notificationCenter;
+let alertRules;
+
+// Batch upload queue, and the uploader sending large files in resumable parts
+let uploadQueue;
+let resumableUploader;
+
+// Checks run on files before they are queued, and the reports awaiting confirmation
+let uploadPreflight;
+let preflightReports = [];
+
+// Conversation threads for the Q&A tab
+let conversations;
+
+// Number of previous turns sent with each question
+const MAX_HISTORY_TURNS = 5;
+
+// Persistent query history (IndexedDB), and the entries selected for export
+let queryHistory;
+const selectedHistoryIds = new Set();
+
+// Abort controller of the query currently in flight
+let activeQuery = null;
+
+// Chunk that follow-up questions are scoped to ({id, label}), if any
+let scopedChunk = null;
+
+// localStorage key for the advanced query options
+const QUERY_OPTIONS_KEY = 'rag-qa-query-options';
+
+// localStorage key for the two compare mode configurations
+const COMPARE_CONFIGS_KEY = 'rag-qa-compare-configs';
+
+// Batch evaluation runner and the loaded golden dataset
+let evaluationRunner;
+let evaluationDataset = null;
+
+// Answer feedback log and the results it can refer to, keyed by sources accordion ID
+let feedbackStore;
+const renderedResults = new Map();
+
+// Viewer for cited chunks in their original files
+let sourceViewer;
+
+// Questions asked while offline, sent when the connection returns
+let offlineQueue;
+let flushingOfflineQueue = false;
+
+// Credentials for an auth proxy, and the sign-in prompt waiting for an answer
+let authSession;
+let pendingSignIn = null;
+let signInDismissed = false;
+
+// Workspaces; the active one is remembered across visits
+const WORKSPACE_KEY = 'rag-qa-workspace';
+let workspaces = [];
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
-    // Initialize API client
-    apiClient = new APIClient();
+    // Initialize API client; rejected credentials bring up the sign-in dialog
+    authSession = new AuthSession();
+    apiClient = new APIClient('', {
+        workspace: loadActiveWorkspace(),
+        auth: authSession,
+        onUnauthorized: promptForCredentials
+    });
 
     // Initialize all components
+    initializeAuth();
+    initializeNotifications();
+    initializeWorkspaces();
     initializeDocumentUpload();
+    initializeTextIngestion();
+    initializeDocumentLibrary();
     initializeQueryForm();
+    initializeQueryOptions();
+    initializeCompareMode();
+    initializeConversations();
+    initializeConnectivity();
+    initializeQueryHistory();
+    initializeAnswerActions();
+    initializeSourceViewer();
+    initializeFeedback();
+    initializeEvaluationTab();
     initializeStatusTab();
     initializeCollectionInfo();
     initializeHealthCheck();
 
-    // Initialize Bootstrap tooltips
-    initializeTooltips();
+    // Initialize Bootstrap tooltips
+    initializeTooltips();
+
+    // Set up tab event listeners
+    setupTabListeners();
+
+    console.log('RAG Q&A System initialized');
+});
+
+/**
+ * Initialize the sign-in dialog and the navbar identity
+ */
+function initializeAuth() {
+    const modalElement = document.getElementById('authModal');
+
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="sign-in"]')) {
+            openSignIn();
+        } else if (e.target.closest('[data-action="sign-out"]')) {
+            authSession.clear();
+            renderAuthIdentity();
+            showToast('Signed out', 'info');
+        }
+    });
+
+    document.querySelectorAll('input[name="authType"]').forEach(input => {
+        input.addEventListener('change', updateAuthTypeLabels);
+    });
+
+    document.getElementById('authForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const type = document.querySelector('input[name="authType"]:checked').value;
+        const value = document.getElementById('authValue').value.trim();
+        if (!value) return;
+
+        authSession.set(type, value);
+        signInDismissed = false;
+        renderAuthIdentity();
+        finishSignIn(true);
+        bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+
+        refreshWorkspaces();
+        refreshCollectionInfo();
+        updateHealthIndicator();
+    });
+
+    // Closing the dialog without signing in stops further prompts until the user signs in
+    modalElement.addEventListener('hidden.bs.modal', () => {
+        document.getElementById('authValue').value = '';
+        if (pendingSignIn) {
+            signInDismissed = true;
+            finishSignIn(false);
+        }
+    });
+
+    renderAuthIdentity();
+}
+
+/**
+ * Show who is signed in, or a sign-in button
+ */
+function renderAuthIdentity() {
+    document.getElementById('authIdentity').innerHTML = Components.authIdentity(authSession.identity());
+}
+
+/**
+ * Match the credential field label and help to the selected credential type
+ */
+function updateAuthTypeLabels() {
+    const bearer = document.getElementById('authTypeBearer').checked;
+
+    document.getElementById('authValueLabel').textContent = bearer ? 'Bearer token' : 'API key';
+    document.getElementById('authValueHelp').textContent = bearer
+        ? 'Sent as the Authorization: Bearer header.'
+        : 'Sent as the X-API-Key header.';
+}
+
+/**
+ * Open the sign-in dialog
+ * @param {string} message - Optional reason shown above the form
+ * @returns {Promise<boolean>} Resolves true once credentials are saved, false if the dialog is closed
+ */
+function openSignIn(message = null) {
+    const messageElement = document.getElementById('authMessage');
+    messageElement.textContent = message || '';
+    messageElement.classList.toggle('d-none', !message);
+
+    const type = authSession.credentials?.type || 'apiKey';
+    document.getElementById(type === 'bearer' ? 'authTypeBearer' : 'authTypeApiKey').checked = true;
+    updateAuthTypeLabels();
+
+    if (!pendingSignIn) {
+        let resolve;
+        pendingSignIn = new Promise((done) => {
+            resolve = done;
+        });
+        pendingSignIn.resolve = resolve;
+    }
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('authModal')).show();
+    return pendingSignIn;
+}
+
+/**
+ * Answer the requests waiting on the sign-in dialog
+ * @param {boolean} signedIn - Whether new credentials were saved
+ */
+function finishSignIn(signedIn) {
+    if (pendingSignIn) {
+        pendingSignIn.resolve(signedIn);
+        pendingSignIn = null;
+    }
+}
+
+/**
+ * Ask for credentials again after the server rejected a request
+ * Used as the API client's onUnauthorized hook; rejected requests are retried after signing in.
+ * @param {APIError} error - 401/403 error
+ * @returns {Promise<boolean>} True once new credentials have been entered
+ */
+function promptForCredentials(error) {
+    renderAuthIdentity();
+
+    if (signInDismissed) {
+        return Promise.resolve(false);
+    }
+
+    const reason = error.status === 403
+        ? 'The server refused access with these credentials.'
+        : 'The server needs credentials, or the saved ones have expired.';
+    return openSignIn(`${reason} Sign in to continue.`);
+}
+
+/**
+ * Initialize the notification center, its toast history and the alert rules dialog
+ */
+function initializeNotifications() {
+    const container = document.getElementById('notificationCenter');
+    const modalElement = document.getElementById('alertRulesModal');
+
+    notificationCenter = new NotificationCenter();
+    alertRules = new AlertRules();
+    notificationCenter.onChange = renderNotificationCenter;
+
+    // Every toast is kept, so messages that vanished can be read later
+    document.addEventListener('toast', (e) => {
+        notificationCenter.add({ kind: 'toast', ...e.detail });
+    });
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'alert-settings') {
+            openAlertRules();
+        } else if (button.dataset.action === 'clear-notifications') {
+            notificationCenter.clear();
+        }
+    });
+
+    // Notifications count as read once the list has been open
+    container.addEventListener('hidden.bs.dropdown', () => {
+        notificationCenter.markAllRead();
+    });
+
+    document.getElementById('alertRulesForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const slowQuerySeconds = Number(document.getElementById('ruleSlowQuerySeconds').value);
+        const faithfulnessThreshold = Number(document.getElementById('ruleFaithfulnessThreshold').value);
+        if (!(slowQuerySeconds >= 1) || !(faithfulnessThreshold >= 0 && faithfulnessThreshold <= 1)) {
+            showToast('Enter at least 1 second and a faithfulness threshold between 0 and 1', 'error');
+            return;
+        }
+
+        let desktop = document.getElementById('ruleDesktop').checked;
+        if (desktop && (await NotificationCenter.requestPermission()) !== 'granted') {
+            desktop = false;
+            showToast('The browser did not allow notifications; alerts stay in the notification center', 'warning');
+        }
+
+        alertRules.update({
+            degraded: document.getElementById('ruleDegraded').checked,
+            slowQuery: document.getElementById('ruleSlowQuery').checked,
+            slowQuerySeconds,
+            lowFaithfulness: document.getElementById('ruleLowFaithfulness').checked,
+            faithfulnessThreshold,
+            batchJobs: document.getElementById('ruleBatchJobs').checked,
+            desktop
+        });
+
+        bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+        showToast('Alert rules saved', 'success');
+    });
+
+    renderNotificationCenter();
+}
+
+/**
+ * Render the navbar notification center
+ */
+function renderNotificationCenter() {
+    document.getElementById('notificationCenter').innerHTML =
+        Components.notificationCenter(notificationCenter.entries, notificationCenter.unreadCount());
+}
+
+/**
+ * Open the alert rules dialog with the saved rules
+ */
+function openAlertRules() {
+    const { rules } = alertRules;
+
+    document.getElementById('ruleDegraded').checked = rules.degraded;
+    document.getElementById('ruleSlowQuery').checked = rules.slowQuery;
+    document.getElementById('ruleSlowQuerySeconds').value = rules.slowQuerySeconds;
+    document.getElementById('ruleLowFaithfulness').checked = rules.lowFaithfulness;
+    document.getElementById('ruleFaithfulnessThreshold').value = rules.faithfulnessThreshold;
+    document.getElementById('ruleBatchJobs').checked = rules.batchJobs;
+
+    const desktopToggle = document.getElementById('ruleDesktop');
+    const permission = NotificationCenter.desktopSupported() ? Notification.permission : 'unsupported';
+    desktopToggle.checked = rules.desktop && permission === 'granted';
+    desktopToggle.disabled = permission === 'unsupported';
+    document.getElementById('desktopPermissionHelp').textContent = {
+        granted: 'Notifications are allowed for this site.',
+        denied: 'Notifications are blocked for this site; allow them in the browser settings first.',
+        default: 'The browser asks for permission when you save.',
+        unsupported: 'This browser does not support notifications.'
+    }[permission];
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('alertRulesModal')).show();
+}
+
+/**
+ * Raise an alert: a toast, an entry in the notification center and, in a background tab, a browser notification
+ * @param {Object|null} alert - Alert from AlertRules ({title, message, type, tag}); null does nothing
+ */
+function raiseAlert(alert) {
+    if (!alert) return;
+
+    const entry = notificationCenter.add({ kind: 'alert', ...alert });
+    showToast(`${alert.title}: ${alert.message}`, alert.type, { record: false });
+
+    if (alertRules.rules.desktop && document.hidden) {
+        notificationCenter.notifyDesktop(entry, alert.tag);
+    }
+}
+
+/**
+ * Report a finished batch job; an alert when the batch job rule is on, otherwise a toast
+ * @param {string} title - Alert title
+ * @param {string} message - Outcome
+ * @param {string} type - Toast type
+ */
+function notifyJobFinished(title, message, type) {
+    if (alertRules.rules.batchJobs) {
+        raiseAlert({ title, message, type, tag: 'job' });
+    } else {
+        showToast(message, type);
+    }
+}
+
+/**
+ * Initialize the navbar workspace switcher and the workspace name dialog
+ */
+function initializeWorkspaces() {
+    const modalElement = document.getElementById('workspaceModal');
+    const form = document.getElementById('workspaceForm');
+
+    document.getElementById('workspaceSwitcher').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'switch-workspace') {
+            switchWorkspace(button.dataset.workspaceId);
+        } else if (button.dataset.action === 'new-workspace') {
+            openWorkspaceDialog();
+        } else if (button.dataset.action === 'rename-workspace') {
+            openWorkspaceDialog(getActiveWorkspace());
+        } else if (button.dataset.action === 'delete-workspace') {
+            handleDeleteWorkspace(getActiveWorkspace());
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const name = document.getElementById('workspaceName').value.trim();
+        if (!name) return;
+
+        const submitBtn = document.getElementById('workspaceSubmitBtn');
+        const { workspaceId } = form.dataset;
+        setButtonLoading(submitBtn, true, 'Saving...');
+
+        const { data, error } = workspaceId
+            ? await apiClient.renameWorkspace(workspaceId, name)
+            : await apiClient.createWorkspace(name);
+
+        setButtonLoading(submitBtn, false);
+
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+        await refreshWorkspaces();
+
+        if (workspaceId) {
+            showToast(`Workspace renamed to "${data.name}"`, 'success');
+        } else {
+            switchWorkspace(data.id);
+            showToast(`Workspace "${data.name}" created`, 'success');
+        }
+    });
+
+    modalElement.addEventListener('shown.bs.modal', () => {
+        document.getElementById('workspaceName').focus();
+    });
+
+    refreshWorkspaces();
+}
+
+/**
+ * Load the workspace used last
+ * @returns {string|null} Workspace ID, or null for the default workspace
+ */
+function loadActiveWorkspace() {
+    try {
+        return localStorage.getItem(WORKSPACE_KEY);
+    } catch (err) {
+        console.error('Failed to load workspace:', err);
+        return null;
+    }
+}
+
+/**
+ * Remember the active workspace
+ * @param {string|null} workspaceId - Workspace ID, or null for the default workspace
+ */
+function saveActiveWorkspace(workspaceId) {
+    try {
+        if (workspaceId) {
+            localStorage.setItem(WORKSPACE_KEY, workspaceId);
+        } else {
+            localStorage.removeItem(WORKSPACE_KEY);
+        }
+    } catch (err) {
+        console.error('Failed to save workspace:', err);
+    }
+}
+
+/**
+ * Get the active workspace
+ * @returns {Object|undefined} Workspace ({id, name, collection_name}), undefined until the list is loaded
+ */
+function getActiveWorkspace() {
+    const activeId = apiClient.workspace || 'default';
+    return workspaces.find(workspace => workspace.id === activeId);
+}
+
+/**
+ * Reload the workspace list and the switcher
+ */
+async function refreshWorkspaces() {
+    const { data, error } = await apiClient.listWorkspaces();
+
+    if (error) {
+        console.error('Failed to load workspaces:', error);
+    } else {
+        workspaces = data.workspaces;
+
+        // The remembered workspace may have been deleted in another tab
+        if (!getActiveWorkspace()) {
+            showToast('The last used workspace no longer exists. Switched to the default workspace.', 'warning');
+            switchWorkspace('default');
+            return;
+        }
+    }
+
+    renderWorkspaceSwitcher();
+}
+
+/**
+ * Render the navbar workspace switcher
+ */
+function renderWorkspaceSwitcher() {
+    document.getElementById('workspaceSwitcher').innerHTML =
+        Components.workspaceSwitcher(workspaces, apiClient.workspace || 'default');
+}
+
+/**
+ * Make a workspace active; documents, uploads and questions use it from now on
+ * @param {string} workspaceId - Workspace ID
+ */
+function switchWorkspace(workspaceId) {
+    const previousId = apiClient.workspace || 'default';
+
+    apiClient.workspace = workspaceId === 'default' ? null : workspaceId;
+    saveActiveWorkspace(apiClient.workspace);
+    renderWorkspaceSwitcher();
+
+    if (workspaceId === previousId && getActiveWorkspace()) return;
+
+    // Earlier answers came from other documents, so they should not be follow-up context
+    if (conversations.active()?.turns.length) {
+        conversations.create();
+        renderThreadSelector();
+        renderConversation();
+    }
+    setScopedChunk(null);
+    renderQueuedQuestions();
+    updateConnectivityBanner();
+    if (navigator.onLine) {
+        flushOfflineQueue();
+    }
+
+    document.getElementById('uploadResult').innerHTML = '';
+    document.getElementById('addTextResult').innerHTML = '';
+    refreshCollectionInfo();
+    refreshDocumentLibrary();
+    refreshInterruptedUploads();
+}
+
+/**
+ * Open the workspace name dialog
+ * @param {Object} workspace - Workspace to rename; omit to create a new one
+ */
+function openWorkspaceDialog(workspace = null) {
+    const form = document.getElementById('workspaceForm');
+    const submitBtn = document.getElementById('workspaceSubmitBtn');
+
+    form.dataset.workspaceId = workspace ? workspace.id : '';
+    document.getElementById('workspaceModalTitle').textContent = workspace ? 'Rename Workspace' : 'New Workspace';
+    document.getElementById('workspaceName').value = workspace ? workspace.name : '';
+    submitBtn.textContent = workspace ? 'Rename' : 'Create';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('workspaceModal')).show();
+}
+
+/**
+ * Delete a workspace with its collection and files
+ * @param {Object} workspace - Workspace to delete
+ */
+function handleDeleteWorkspace(workspace) {
+    if (!workspace || workspace.id === 'default') return;
+
+    showConfirmModal(
+        'Delete Workspace',
+        `This will permanently delete the workspace "${workspace.name}" and all of its documents. This action cannot be undone. Type DELETE to confirm.`,
+        async () => {
+            const { error } = await apiClient.deleteWorkspace(workspace.id);
+
+            if (error) {
+                showToast(error, 'error');
+                return;
+            }
+
+            showToast(`Workspace "${workspace.name}" deleted`, 'success');
+            if (workspace.id === apiClient.workspace) {
+                switchWorkspace('default');
+            }
+            refreshWorkspaces();
+        },
+        true // Require typing DELETE
+    );
+}
+
+/**
+ * Initialize document upload functionality
+ */
+function initializeDocumentUpload() {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    const deleteBtn = document.getElementById('deleteCollectionBtn');
+    const queueList = document.getElementById('uploadQueueList');
+    const clearFinishedBtn = document.getElementById('clearFinishedBtn');
+
+    resumableUploader = new ResumableUploader(apiClient);
+    uploadQueue = new UploadQueue(apiClient, {
+        concurrency: 3,
+        uploader: resumableUploader,
+        onChange: renderUploadQueueItem,
+        onIdle: handleUploadBatchComplete
+    });
+    uploadPreflight = new UploadPreflight(apiClient);
+
+    const preflightList = document.getElementById('uploadPreflightList');
+    preflightList.addEventListener('change', updatePreflightConfirm);
+    document.getElementById('confirmUploadBtn').addEventListener('click', confirmPreflightUpload);
+
+    // File input change
+    fileInput.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            handleFileUpload(files);
+        }
+        // Allow selecting the same files again
+        fileInput.value = '';
+    });
+
+    // Drag and drop events
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 0) {
+            handleFileUpload(files);
+        }
+    });
+
+    // Cancel / retry buttons on queue rows
+    queueList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = button.closest('[data-upload-id]').dataset.uploadId;
+        if (button.dataset.action === 'cancel') {
+            uploadQueue.cancel(id);
+        } else if (button.dataset.action === 'retry') {
+            uploadQueue.retry(id);
+        }
+    });
+
+    clearFinishedBtn.addEventListener('click', () => {
+        uploadQueue.clearFinished();
+        queueList.innerHTML = uploadQueue.items.map(item => Components.uploadQueueItem(item)).join('');
+        if (uploadQueue.items.length === 0) {
+            document.getElementById('uploadQueueCard').style.display = 'none';
+        }
+    });
+
+    initializeInterruptedUploads();
+
+    // Delete collection button
+    deleteBtn.addEventListener('click', handleDeleteCollection);
+}
+
+/**
+ * Initialize the list of unfinished resumable uploads left by an earlier visit
+ */
+function initializeInterruptedUploads() {
+    const list = document.getElementById('interruptedUploads');
+    const resumeInput = document.getElementById('resumeFileInput');
+    let resumeFingerprint = null;
+
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const fingerprint = button.closest('[data-fingerprint]').dataset.fingerprint;
+        if (button.dataset.action === 'resume-upload') {
+            resumeFingerprint = fingerprint;
+            resumeInput.click();
+        } else if (button.dataset.action === 'discard-upload') {
+            await resumableUploader.discard(fingerprint);
+            refreshInterruptedUploads();
+        }
+    });
+
+    resumeInput.addEventListener('change', () => {
+        const file = resumeInput.files[0];
+        resumeInput.value = '';
+        if (!file) return;
+
+        if (ResumableUploader.fingerprint(file, resumableUploader.workspace()) !== resumeFingerprint) {
+            showToast('That is not the same file: name, size and modification date must match', 'error');
+            return;
+        }
+
+        // The file was checked before its first attempt
+        document.getElementById('uploadResult').innerHTML = '';
+        document.getElementById('uploadQueueCard').style.display = 'block';
+        list.innerHTML = '';
+        uploadQueue.add([file]);
+    });
+
+    refreshInterruptedUploads();
+}
+
+/**
+ * Refresh the list of unfinished resumable uploads
+ */
+async function refreshInterruptedUploads() {
+    const uploads = await resumableUploader.interrupted();
+    // Files still in the queue are resumed with its retry button
+    const queued = new Set(uploadQueue.items.map(item => ResumableUploader.fingerprint(item.file, resumableUploader.workspace())));
+
+    document.getElementById('interruptedUploads').innerHTML = Components.interruptedUploads(
+        uploads.filter(upload => !queued.has(upload.fingerprint))
+    );
+}
+
+/**
+ * Handle file upload: check the files and ask for confirmation before queueing them
+ * @param {File[]} files - Selected or dropped files
+ */
+async function handleFileUpload(files) {
+    const preflightList = document.getElementById('uploadPreflightList');
+    const confirmBtn = document.getElementById('confirmUploadBtn');
+
+    preflightReports = [];
+    preflightList.innerHTML = Components.loadingSpinner('Checking files...');
+    confirmBtn.disabled = true;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadPreflightModal')).show();
+
+    const reports = await uploadPreflight.check(files);
+
+    preflightReports = reports;
+    preflightList.innerHTML = Components.preflightReport(reports);
+    updatePreflightConfirm();
+}
+
+/**
+ * Get the files checked for upload in the preflight report
+ * @returns {File[]} Selected files
+ */
+function getPreflightSelection() {
+    return preflightReports
+        .filter((report, index) => document.getElementById(`preflight-${index}`)?.checked)
+        .map(report => report.file);
+}
+
+/**
+ * Update the upload button with the number of selected files
+ */
+function updatePreflightConfirm() {
+    const count = getPreflightSelection().length;
+    const confirmBtn = document.getElementById('confirmUploadBtn');
+
+    confirmBtn.disabled = count === 0;
+    confirmBtn.innerHTML = `<i class="bi bi-cloud-upload me-2"></i>Upload ${count} file${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Queue the files confirmed in the preflight report
+ */
+function confirmPreflightUpload() {
+    const files = getPreflightSelection();
+    const skipped = preflightReports.length - files.length;
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadPreflightModal')).hide();
+    preflightReports = [];
+    if (files.length === 0) return;
+
+    // Clear previous batch summary
+    document.getElementById('uploadResult').innerHTML = '';
+    document.getElementById('uploadQueueCard').style.display = 'block';
+
+    uploadQueue.add(files);
+
+    if (skipped > 0) {
+        showToast(`${skipped} file(s) skipped`, 'warning');
+    }
+}
+
+/**
+ * Render a single upload queue row in place
+ * @param {Object} item - Upload queue item
+ */
+function renderUploadQueueItem(item) {
+    const queueList = document.getElementById('uploadQueueList');
+    const html = Components.uploadQueueItem(item);
+    const existing = queueList.querySelector(`[data-upload-id="${item.id}"]`);
+
+    if (existing) {
+        existing.outerHTML = html;
+    } else {
+        queueList.insertAdjacentHTML('beforeend', html);
+    }
+}
+
+/**
+ * Handle completion of all queued uploads
+ * @param {Object} summary - Batch summary from the upload queue
+ */
+function handleUploadBatchComplete(summary) {
+    if (summary.total === 0) return;
+
+    refreshInterruptedUploads();
+
+    document.getElementById('uploadResult').innerHTML = Components.uploadSummary(summary);
+
+    if (summary.done > 0) {
+        notifyJobFinished('Upload finished', `Uploaded ${summary.done} of ${summary.total} files (${summary.chunks} chunks)`, summary.failed ? 'warning' : 'success');
+
+        // Refresh collection info
+        refreshCollectionInfo();
+        refreshDocumentLibrary();
+    } else {
+        notifyJobFinished('Upload failed', 'No files were uploaded', 'error');
+    }
+}
+
+/**
+ * Initialize the panel for adding pasted text as a document
+ */
+function initializeTextIngestion() {
+    const form = document.getElementById('addTextForm');
+    const contentInput = document.getElementById('addTextContent');
+    const counter = document.getElementById('addTextCounter');
+
+    contentInput.addEventListener('input', () => {
+        counter.textContent = `${contentInput.value.length.toLocaleString()} characters`;
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleAddText();
+    });
+}
+
+/**
+ * Submit the pasted text as a document
+ */
+async function handleAddText() {
+    const titleInput = document.getElementById('addTextTitle');
+    const contentInput = document.getElementById('addTextContent');
+    const tagsInput = document.getElementById('addTextTags');
+    const resultDiv = document.getElementById('addTextResult');
+    const btn = document.getElementById('addTextBtn');
+
+    const title = titleInput.value.trim();
+    const content = contentInput.value;
+    const tags = [...new Set(tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+    if (!title || !content.trim()) {
+        showToast('Enter a title and some text', 'error');
+        return;
+    }
+
+    const { maxSize } = await uploadPreflight.getLimits();
+    const size = new Blob([content]).size;
+    if (maxSize && size > maxSize) {
+        showToast(`The text is ${formatFileSize(size)}; the limit is ${formatFileSize(maxSize)}`, 'error');
+        return;
+    }
+
+    setButtonLoading(btn, true, 'Adding...');
+    const { data, error } = await apiClient.addTextDocument({ title, content, tags });
+    setButtonLoading(btn, false);
+
+    if (error) {
+        resultDiv.innerHTML = Components.errorAlert(error);
+        showToast(error, 'error');
+        return;
+    }
+
+    resultDiv.innerHTML = Components.uploadResult(data);
+    showToast(`Added "${data.filename}" (${data.chunks_created} chunks)`, 'success');
+
+    document.getElementById('addTextForm').reset();
+    document.getElementById('addTextCounter').textContent = '0 characters';
+
+    refreshCollectionInfo();
+    refreshDocumentLibrary();
+}
+
+/**
+ * Handle delete collection
+ */
+function handleDeleteCollection() {
+    showConfirmModal(
+        'Delete Collection',
+        'This will permanently delete all documents from the collection. This action cannot be undone. Type DELETE to confirm.',
+        async () => {
+            const btn = document.getElementById('deleteCollectionBtn');
+            setButtonLoading(btn, true, 'Deleting...');
+
+            const { data, error } = await apiClient.deleteCollection();
+
+            setButtonLoading(btn, false);
+
+            if (error) {
+                showToast(error, 'error');
+            } else {
+                showToast('Collection deleted successfully', 'success');
+
+                // Clear upload results
+                document.getElementById('uploadResult').innerHTML = '';
+                document.getElementById('addTextResult').innerHTML = '';
+
+                // Refresh collection info
+                refreshCollectionInfo();
+                refreshDocumentLibrary();
+            }
+        },
+        true // Require typing DELETE
+    );
+}
+
+/**
+ * Initialize the document library
+ */
+function initializeDocumentLibrary() {
+    const library = document.getElementById('documentLibrary');
+    const reingestInput = document.getElementById('reingestFileInput');
+
+    document.getElementById('refreshLibraryBtn').addEventListener('click', refreshDocumentLibrary);
+
+    library.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const row = button.closest('[data-document-id]');
+        const { documentId, filename } = row.dataset;
+
+        if (button.dataset.action === 'view-chunks') {
+            showDocumentChunks(documentId, filename);
+        } else if (button.dataset.action === 'reingest') {
+            // The file picker reports back through its change event
+            reingestInput.dataset.documentId = documentId;
+            reingestInput.dataset.filename = filename;
+            reingestInput.click();
+        } else if (button.dataset.action === 'delete-document') {
+            handleDeleteDocument(documentId, filename);
+        }
+    });
+
+    reingestInput.addEventListener('change', () => {
+        const [file] = reingestInput.files;
+        if (file) {
+            handleReingestDocument(reingestInput.dataset.documentId, reingestInput.dataset.filename, file);
+        }
+        reingestInput.value = '';
+    });
+
+    refreshDocumentLibrary();
+}
+
+/**
+ * Refresh the document library table
+ */
+async function refreshDocumentLibrary() {
+    const library = document.getElementById('documentLibrary');
+    library.innerHTML = Components.loadingSpinner('Loading documents...');
+
+    const { data, error } = await apiClient.listDocuments();
+
+    library.innerHTML = error
+        ? Components.errorAlert(error)
+        : Components.documentLibrary(data.documents);
+
+    if (!error) {
+        renderDocumentFilterOptions(data.documents);
+    }
+}
+
+/**
+ * Show the stored chunks of one document
+ * @param {string} documentId - Document ID
+ * @param {string} filename - Document filename
+ */
+async function showDocumentChunks(documentId, filename) {
+    const content = document.getElementById('documentChunksContent');
+    document.getElementById('documentChunksModalLabel').textContent = filename;
+    content.innerHTML = Components.loadingSpinner('Loading chunks...');
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('documentChunksModal')).show();
+
+    const { data, error } = await apiClient.getDocumentChunks(documentId);
+
+    content.innerHTML = error
+        ? Components.errorAlert(error)
+        : Components.documentChunks(data.chunks);
+}
+
+/**
+ * Delete one document after confirmation
+ * @param {string} documentId - Document ID
+ * @param {string} filename - Document filename
+ */
+function handleDeleteDocument(documentId, filename) {
+    showConfirmModal(
+        'Delete Document',
+        `This will permanently delete "${filename}" and all of its chunks. Other documents are not affected.`,
+        async () => {
+            const { data, error } = await apiClient.deleteDocument(documentId);
+
+            if (error) {
+                showToast(error, 'error');
+                return;
+            }
+
+            showToast(`Deleted ${filename} (${data.chunks_deleted} chunks)`, 'success');
+            refreshDocumentLibrary();
+            refreshCollectionInfo();
+        }
+    );
+}
+
+/**
+ * Replace the chunks of one document with a new file
+ * @param {string} documentId - Document ID
+ * @param {string} filename - Current document filename
+ * @param {File} file - Replacement file
+ */
+async function handleReingestDocument(documentId, filename, file) {
+    const validation = validateFile(file);
+    if (!validation.valid) {
+        showToast(validation.error, 'error');
+        return;
+    }
+
+    showToast(`Re-ingesting ${filename}...`, 'info');
+
+    const { data, error } = await apiClient.reingestDocument(documentId, file);
+
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    showToast(`Re-ingested ${data.filename} (${data.chunks_created} chunks)`, 'success');
+    refreshDocumentLibrary();
+    refreshCollectionInfo();
+}
+
+/**
+ * Initialize query form
+ */
+function initializeQueryForm() {
+    const form = document.getElementById('queryForm');
+    const questionInput = document.getElementById('questionInput');
+    const charCounter = document.getElementById('charCounter');
+    const timeoutInput = document.getElementById('queryTimeoutInput');
+    const stopBtn = document.getElementById('stopQueryBtn');
+
+    // Character counter
+    questionInput.addEventListener('input', () => {
+        const length = questionInput.value.length;
+        charCounter.textContent = `${length} / 1000`;
+
+        if (length > 900) {
+            charCounter.classList.add('warning');
+        } else {
+            charCounter.classList.remove('warning');
+        }
+
+        if (length > 950) {
+            charCounter.classList.add('danger');
+            charCounter.classList.remove('warning');
+        } else {
+            charCounter.classList.remove('danger');
+        }
+    });
+
+    // Restore saved timeout
+    const savedTimeout = localStorage.getItem('rag-qa-query-timeout');
+    if (savedTimeout !== null) {
+        timeoutInput.value = savedTimeout;
+    }
+
+    timeoutInput.addEventListener('change', () => {
+        localStorage.setItem('rag-qa-query-timeout', timeoutInput.value);
+    });
+
+    // Form submission
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleQuerySubmit();
+    });
+
+    stopBtn.addEventListener('click', stopActiveQuery);
+
+    // Answer / Search mode
+    document.querySelectorAll('input[name="queryMode"]').forEach((radio) => {
+        radio.addEventListener('change', updateQueryMode);
+    });
+
+    // Scope questions to a search hit
+    document.getElementById('resultsArea').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="ask-chunk"]');
+        if (button) {
+            setScopedChunk({ id: button.dataset.chunkId, label: button.dataset.chunkLabel });
+        }
+    });
+
+    document.getElementById('clearChunkScopeBtn').addEventListener('click', () => {
+        setScopedChunk(null);
+    });
+}
+
+/**
+ * Initialize the advanced query options and restore saved values
+ */
+function initializeQueryOptions() {
+    const saved = loadQueryOptions();
+
+    document.querySelectorAll('#advancedOptions [data-option]').forEach((input) => {
+        if (saved[input.dataset.option] !== undefined) {
+            input.value = saved[input.dataset.option];
+        }
+        input.addEventListener('change', saveQueryOptions);
+    });
+
+    document.getElementById('resetQueryOptionsBtn').addEventListener('click', () => {
+        document.querySelectorAll('#advancedOptions [data-option]').forEach((input) => {
+            input.value = '';
+        });
+        saveQueryOptions();
+    });
+
+    updateQueryOptionsBadge();
+}
+
+/**
+ * Load saved advanced query options
+ * @returns {Object} Saved input values by option name
+ */
+function loadQueryOptions() {
+    try {
+        return JSON.parse(localStorage.getItem(QUERY_OPTIONS_KEY) || '{}');
+    } catch (err) {
+        console.error('Failed to load query options:', err);
+        return {};
+    }
+}
+
+/**
+ * Save the advanced query options
+ */
+function saveQueryOptions() {
+    const values = {};
+    document.querySelectorAll('#advancedOptions [data-option]').forEach((input) => {
+        if (input.value !== '') {
+            values[input.dataset.option] = input.value;
+        }
+    });
+
+    localStorage.setItem(QUERY_OPTIONS_KEY, JSON.stringify(values));
+    updateQueryOptionsBadge();
+}
+
+/**
+ * Show how many advanced options are set on the panel toggle
+ */
+function updateQueryOptionsBadge() {
+    const count = Object.keys(loadQueryOptions()).length;
+    const badge = document.getElementById('advancedOptionsBadge');
+
+    badge.textContent = `${count} set`;
+    badge.classList.toggle('d-none', count === 0);
+}
+
+/**
+ * Fill the document filter with the ingested documents
+ * @param {Array} documents - Ingested documents ({document_id, filename})
+ */
+function renderDocumentFilterOptions(documents) {
+    const select = document.getElementById('filterDocumentSelect');
+    const selected = loadQueryOptions().document_id || '';
+
+    select.innerHTML = '<option value="">All documents</option>' + documents.map(doc => `
+        <option value="${escapeHtml(doc.document_id)}">${escapeHtml(doc.filename)}</option>
+    `).join('');
+
+    // Keep a saved filter even if its document is not listed (e.g. deleted meanwhile)
+    if (selected && !documents.some(doc => doc.document_id === selected)) {
+        select.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(selected)}">${escapeHtml(selected)}</option>`);
+    }
+    select.value = selected;
+}
+
+/**
+ * Get the advanced query options for a request
+ * @returns {{settings: Object|null, error: string|null}} Query settings ({topK, scoreThreshold, filters, temperature}) or a validation error
+ */
+function getQuerySettings() {
+    const inputs = [...document.querySelectorAll('#advancedOptions [data-option]')];
+
+    const invalid = inputs.find(input => !input.checkValidity());
+    if (invalid) {
+        const label = document.querySelector(`label[for="${invalid.id}"]`).textContent;
+        return { settings: null, error: `Invalid advanced option: ${label}` };
+    }
+
+    const values = Object.fromEntries(inputs.map(input => [input.dataset.option, input.value.trim()]));
+    const number = value => (value === '' ? null : Number(value));
+
+    const filters = {
+        document_id: values.document_id || null,
+        filename: values.filename || null,
+        page: number(values.page),
+        file_type: values.file_type || null
+    };
+    const hasFilters = Object.values(filters).some(value => value !== null);
+
+    return {
+        settings: {
+            topK: number(values.topK),
+            scoreThreshold: number(values.scoreThreshold),
+            temperature: number(values.temperature),
+            filters: hasFilters ? filters : null
+        },
+        error: null
+    };
+}
+
+/**
+ * Get the selected query mode
+ * @returns {string} 'answer', 'search' or 'compare'
+ */
+function getQueryMode() {
+    return document.querySelector('input[name="queryMode"]:checked').value;
+}
+
+/**
+ * Update the form for the selected query mode
+ */
+function updateQueryMode() {
+    const mode = getQueryMode();
+    const searchMode = mode === 'search';
+    const compareMode = mode === 'compare';
+    const submitBtn = document.getElementById('submitQueryBtn');
+
+    // Answer options do not apply to retrieval-only search
+    document.getElementById('answerOptions').classList.toggle('d-none', searchMode);
+    document.getElementById('temperatureGroup').classList.toggle('d-none', searchMode);
+    document.getElementById('chunkScope').classList.toggle('d-none', searchMode || !scopedChunk);
+
+    // Each compare configuration sets its own sources, evaluation and streaming
+    document.getElementById('compareOptions').classList.toggle('d-none', !compareMode);
+    document.querySelectorAll('#answerOptions .form-check').forEach((option) => {
+        option.classList.toggle('d-none', compareMode);
+    });
+
+    if (searchMode) {
+        submitBtn.innerHTML = '<i class="bi bi-search me-2"></i>Search';
+    } else if (compareMode) {
+        submitBtn.innerHTML = '<i class="bi bi-layout-split me-2"></i>Compare';
+    } else {
+        submitBtn.innerHTML = '<i class="bi bi-send me-2"></i>Ask Question';
+    }
+}
+
+/**
+ * Initialize the compare mode configurations and restore saved values
+ */
+function initializeCompareMode() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(COMPARE_CONFIGS_KEY) || '{}');
+    } catch (err) {
+        console.error('Failed to load compare configurations:', err);
+    }
+
+    document.querySelectorAll('[data-compare-config] [data-option]').forEach((input) => {
+        const value = saved[input.closest('[data-compare-config]').dataset.compareConfig]?.[input.dataset.option];
+        if (value !== undefined) {
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        }
+
+        input.addEventListener('change', saveCompareConfigs);
+    });
+}
+
+/**
+ * Save the compare mode configurations
+ */
+function saveCompareConfigs() {
+    const values = {};
+    document.querySelectorAll('[data-compare-config]').forEach((panel) => {
+        values[panel.dataset.compareConfig] = Object.fromEntries(
+            [...panel.querySelectorAll('[data-option]')].map(input => [
+                input.dataset.option,
+                input.type === 'checkbox' ? input.checked : input.value
+            ])
+        );
+    });
+
+    localStorage.setItem(COMPARE_CONFIGS_KEY, JSON.stringify(values));
+}
+
+/**
+ * Get both compare mode configurations; empty fields fall back to the shared settings
+ * @param {Object} sharedSettings - Settings from the advanced options
+ * @returns {{configs: Array|null, error: string|null}} Configurations ({label, settings, includeSources, enableEvaluation, stream}) or a validation error
+ */
+function getCompareConfigs(sharedSettings) {
+    const configs = [];
+
+    for (const panel of document.querySelectorAll('[data-compare-config]')) {
+        const label = panel.dataset.compareConfig;
+        const inputs = Object.fromEntries(
+            [...panel.querySelectorAll('[data-option]')].map(input => [input.dataset.option, input])
+        );
+
+        const invalid = Object.values(inputs).find(input => !input.checkValidity());
+        if (invalid) {
+            const name = panel.querySelector(`label[for="${invalid.id}"]`).textContent;
+            return { configs: null, error: `Invalid value in configuration ${label}: ${name}` };
+        }
+
+        const number = (name) => {
+            const value = inputs[name].value.trim();
+            return value === '' ? sharedSettings[name] : Number(value);
+        };
+
+        configs.push({
+            label,
+            settings: {
+                ...sharedSettings,
+                topK: number('topK'),
+                scoreThreshold: number('scoreThreshold'),
+                temperature: number('temperature')
+            },
+            includeSources: inputs.includeSources.checked,
+            enableEvaluation: inputs.enableEvaluation.checked,
+            stream: inputs.stream.checked
+        });
+    }
+
+    return { configs, error: null };
+}
+
+/**
+ * Scope subsequent questions to a single chunk, or clear the scope
+ * @param {Object|null} chunk - Chunk to scope to ({id, label}), or null
+ */
+function setScopedChunk(chunk) {
+    scopedChunk = chunk;
+    document.getElementById('chunkScopeLabel').textContent = chunk ? chunk.label : '';
+
+    if (chunk) {
+        // Asking about a chunk happens in Answer mode
+        document.getElementById('modeAnswer').checked = true;
+        document.getElementById('questionInput').focus();
+    }
+
+    updateQueryMode();
+}
+
+/**
+ * Initialize conversation threads
+ */
+function initializeConversations() {
+    const threadSelect = document.getElementById('threadSelect');
+    const newThreadBtn = document.getElementById('newThreadBtn');
+    const deleteThreadBtn = document.getElementById('deleteThreadBtn');
+
+    conversations = new ConversationStore();
+
+    threadSelect.addEventListener('change', () => {
+        conversations.select(threadSelect.value);
+        renderConversation();
+    });
+
+    newThreadBtn.addEventListener('click', () => {
+        conversations.create();
+        renderThreadSelector();
+        renderConversation();
+        document.getElementById('questionInput').focus();
+    });
+
+    deleteThreadBtn.addEventListener('click', () => {
+        showConfirmModal(
+            'Delete Conversation',
+            'This will permanently delete the current conversation and all of its answers.',
+            () => {
+                conversations.remove(conversations.activeId);
+                renderThreadSelector();
+                renderConversation();
+            }
+        );
+    });
+
+    renderThreadSelector();
+    renderConversation();
+}
+
+/**
+ * Render the thread selector options
+ */
+function renderThreadSelector() {
+    const threadSelect = document.getElementById('threadSelect');
+
+    threadSelect.innerHTML = conversations.list().map(thread => `
+        <option value="${thread.id}" ${thread.id === conversations.activeId ? 'selected' : ''}>
+            ${escapeHtml(thread.title)} (${thread.turns.length})
+        </option>
+    `).join('');
+}
+
+/**
+ * Render all turns of the active thread into the results area
+ */
+function renderConversation() {
+    const resultsArea = document.getElementById('resultsArea');
+    const thread = conversations.active();
+
+    if (!thread || thread.turns.length === 0) {
+        resultsArea.innerHTML = Components.emptyState('Ask a question to start the conversation', 'chat-dots');
+        return;
+    }
+
+    resultsArea.innerHTML = thread.turns.map((turn, index) => `
+        <div class="chat-turn" id="${thread.id}-turn${index}">
+            ${renderQueryResult(turn, `${thread.id}-turn${index}-sources`)}
+        </div>
+    `).join('');
+
+    initializeTooltips();
+}
+
+/**
+ * Build answer, sources and evaluation HTML for a query result
+ * @param {Object} data - Query result
+ * @param {string} accordionId - Unique ID for the sources accordion
+ * @returns {string} Result HTML
+ */
+function renderQueryResult(data, accordionId) {
+    // Display answer with citation markers linked to the sources
+    let html = Components.answerDisplay(data, false, accordionId);
+
+    // Display sources
+    if (data.sources && data.sources.length > 0) {
+        html += `
+            <div class="sources-section">
+                <div class="section-title">
+                    <i class="bi bi-file-text me-2"></i>
+                    Sources (${data.sources.length})
+                </div>
+                ${Components.sourceAccordion(data.sources, accordionId)}
+            </div>
+        `;
+    }
+
+    // Display evaluation
+    if (data.evaluation) {
+        html += Components.evaluationDisplay(data.evaluation);
+    }
+
+    // Export, thumbs up/down, reasons and corrections
+    if (data.answer) {
+        renderedResults.set(accordionId, data);
+        html += Components.exportMenu({ 'result-key': accordionId });
+        html += Components.feedbackControls(accordionId);
+    }
+
+    return html;
+}
+
+/**
+ * Append a new, empty turn to the results area
+ * @returns {HTMLElement} Turn element
+ */
+function createTurnElement() {
+    const resultsArea = document.getElementById('resultsArea');
+
+    // Remove the empty state of a fresh thread
+    const emptyState = resultsArea.querySelector(':scope > .empty-state');
+    if (emptyState) {
+        emptyState.remove();
+    }
+
+    const turnElement = document.createElement('div');
+    turnElement.className = 'chat-turn';
+    turnElement.id = `turn-${Date.now()}`;
+    resultsArea.appendChild(turnElement);
+
+    return turnElement;
+}
+
+/**
+ * Handle query submission
+ */
+async function handleQuerySubmit() {
+    const questionInput = document.getElementById('questionInput');
+    const question = questionInput.value.trim();
+
+    const useStreaming = document.getElementById('useStreamingCheck').checked;
+    const mode = getQueryMode();
+
+    // Validate question
+    const validation = validateQuestion(question);
+    if (!validation.valid) {
+        showToast(validation.error, 'error');
+        return;
+    }
+
+    const { settings, error: settingsError } = getQuerySettings();
+    if (settingsError) {
+        showToast(settingsError, 'error');
+        return;
+    }
+
+    const { configs, error: compareError } = mode === 'compare' ? getCompareConfigs(settings) : {};
+    if (compareError) {
+        showToast(compareError, 'error');
+        return;
+    }
+
+    const request = {
+        question,
+        mode,
+        useStreaming,
+        configs: configs || null,
+        includeSources: document.getElementById('includeSourcesCheck').checked,
+        enableEvaluation: document.getElementById('enableEvaluationCheck').checked,
+        documentIds: scopedChunk ? [scopedChunk.id] : null,
+        settings,
+        timeout: getQueryTimeout()
+    };
+
+    // Questions asked offline wait for the connection instead of failing
+    const offline = !navigator.onLine;
+    if (offline && !queueOfflineQuestion(request)) {
+        return;
+    }
+
+    // Clear input for the next follow-up; searches and comparisons keep it for refining
+    if (mode === 'answer') {
+        questionInput.value = '';
+        questionInput.dispatchEvent(new Event('input'));
+    }
+
+    if (!offline) {
+        await runQuery(request, createTurnElement());
+    }
+}
+
+/**
+ * Run a question and render the result into a turn
+ * @param {Object} request - Question and options ({question, mode, useStreaming, configs, includeSources, enableEvaluation, documentIds, settings, timeout})
+ * @param {HTMLElement} turnElement - Turn element to render into
+ * @returns {Promise<APIError|null>} Error the question failed with, or null
+ */
+async function runQuery(request, turnElement) {
+    const { question, mode, useStreaming, configs } = request;
+
+    // Starting a new question cancels the previous one
+    if (activeQuery) {
+        activeQuery.abort();
+    }
+    const controller = new AbortController();
+    activeQuery = controller;
+
+    const options = {
+        includeSources: request.includeSources,
+        enableEvaluation: request.enableEvaluation,
+        // Recent turns give follow-up questions their context
+        history: conversations.history(MAX_HISTORY_TURNS),
+        documentIds: request.documentIds,
+        settings: request.settings,
+        signal: controller.signal,
+        timeout: request.timeout
+    };
+
+    setQueryRunning(true);
+    const started = performance.now();
+    let error = null;
+
+    try {
+        if (mode === 'search') {
+            error = await handleSearchQuery(question, options, turnElement);
+        } else if (configs) {
+            error = await handleCompareQuery(question, options, configs, turnElement);
+        } else if (useStreaming) {
+            error = await handleStreamingQuery(question, options, turnElement);
+        } else {
+            error = await handleStandardQuery(question, options, turnElement);
+        }
+
+        // Stopped questions would skew the response times on the Status tab
+        if (!controller.signal.aborted) {
+            const duration = performance.now() - started;
+            statusMonitor.recordQuery(duration);
+            raiseAlert(alertRules.checkQuery(question, duration));
+        }
+    } catch (err) {
+        turnElement.innerHTML = Components.errorAlert(err.message);
+        showToast('Query failed', 'error');
+    } finally {
+        // A newer question may have taken over in the meantime
+        if (activeQuery === controller) {
+            activeQuery = null;
+            setQueryRunning(false);
+        }
+    }
+
+    return error;
+}
+
+/**
+ * Initialize online/offline detection, the offline banner and the queue of offline questions
+ */
+function initializeConnectivity() {
+    offlineQueue = new OfflineQueue();
+
+    window.addEventListener('offline', updateConnectivityBanner);
+    window.addEventListener('online', () => {
+        updateConnectivityBanner();
+        flushOfflineQueue();
+    });
+
+    // Questions queued before a reload show up as pending turns
+    renderQueuedQuestions();
+
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="cancel-queued"]');
+        if (!button) return;
+
+        offlineQueue.remove(button.dataset.queuedId);
+        button.closest('.chat-turn').remove();
+        updateConnectivityBanner();
+    });
+
+    updateConnectivityBanner();
+    if (navigator.onLine) {
+        flushOfflineQueue();
+    }
+}
+
+/**
+ * Show or hide the offline banner
+ */
+function updateConnectivityBanner() {
+    const banner = document.getElementById('connectivityBanner');
+    const queued = offlineQueue.forWorkspace(apiClient.workspace || 'default').length;
+    const pending = queued > 0
+        ? ` ${queued} queued question${queued === 1 ? '' : 's'} will be sent when the connection returns.`
+        : ' Questions you ask will be sent when the connection returns.';
+
+    banner.classList.toggle('d-none', navigator.onLine);
+    document.getElementById('connectivityMessage').textContent = `You are offline.${pending}`;
+}
+
+/**
+ * Queue a question asked while offline and show it as a pending turn
+ * @param {Object} request - Question and options, as passed to runQuery
+ * @returns {boolean} False if the queue is full
+ */
+function queueOfflineQuestion(request) {
+    const entry = offlineQueue.add(request, apiClient.workspace || 'default');
+    if (!entry) {
+        showToast(`You are offline and ${offlineQueue.maxEntries} questions are already queued`, 'error');
+        return false;
+    }
+
+    renderQueuedQuestion(entry);
+    updateConnectivityBanner();
+    showToast('You are offline. The question will be sent when the connection returns.', 'warning');
+    return true;
+}
+
+/**
+ * Show the questions queued in the active workspace as pending turns
+ */
+function renderQueuedQuestions() {
+    document.querySelectorAll('.chat-turn[data-queued-id]').forEach(turnElement => turnElement.remove());
+    offlineQueue.forWorkspace(apiClient.workspace || 'default').forEach(renderQueuedQuestion);
+}
+
+/**
+ * Add a pending turn for a queued question
+ * @param {Object} entry - Queued entry ({id, workspace, request, queuedAt})
+ */
+function renderQueuedQuestion(entry) {
+    const turnElement = createTurnElement();
+    turnElement.dataset.queuedId = entry.id;
+    turnElement.innerHTML = Components.queuedQuestion(entry);
+}
+
+/**
+ * Send the active workspace's queued questions one at a time, oldest first, into their pending turns
+ */
+async function flushOfflineQueue() {
+    if (flushingOfflineQueue) return;
+    flushingOfflineQueue = true;
+
+    try {
+        while (navigator.onLine) {
+            // Switching workspaces mid-flush leaves the rest for when their workspace is active again
+            const entry = offlineQueue.peek(apiClient.workspace || 'default');
+            if (!entry) break;
+
+            const turnElement = document.querySelector(`.chat-turn[data-queued-id="${entry.id}"]`) || createTurnElement();
+
+            const error = await runQuery(entry.request, turnElement);
+
+            // A dropped connection or a server error keeps the question queued for the next flush
+            if (error?.retryable) {
+                turnElement.dataset.queuedId = entry.id;
+                turnElement.innerHTML = Components.queuedQuestion(entry);
+                break;
+            }
+
+            offlineQueue.remove(entry.id);
+            delete turnElement.dataset.queuedId;
+            updateConnectivityBanner();
+        }
+    } finally {
+        flushingOfflineQueue = false;
+    }
+}
+
+/**
+ * Stop the query currently in flight
+ */
+function stopActiveQuery() {
+    if (activeQuery) {
+        activeQuery.abort();
+    }
+}
+
+/**
+ * Toggle the Stop button while a query is running
+ * @param {boolean} running - Whether a query is in flight
+ */
+function setQueryRunning(running) {
+    document.getElementById('stopQueryBtn').classList.toggle('d-none', !running);
+}
+
+/**
+ * Get the configured client-side query timeout
+ * @returns {number} Timeout in milliseconds (0 disables it)
+ */
+function getQueryTimeout() {
+    const seconds = Number(document.getElementById('queryTimeoutInput').value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Handle standard query
+ * @param {string} question - Question text
+ * @param {Object} options - Query options ({includeSources, enableEvaluation, history, documentIds, settings, signal, timeout})
+ * @param {HTMLElement} turnElement - Turn element to render into
+ * @returns {Promise<APIError|null>} Error the request failed with, or null
+ */
+async function handleStandardQuery(question, options, turnElement) {
+    // Show loading
+    turnElement.innerHTML = Components.loadingSpinner('Processing your question...');
+
+    // Make query
+    const { data, error, cancelled } = await apiClient.query(
+        question,
+        options.includeSources,
+        options.enableEvaluation,
+        options.history,
+        {
+            signal: options.signal,
+            timeout: options.timeout,
+            documentIds: options.documentIds,
+            settings: options.settings
+        }
+    );
+
+    if (cancelled) {
+        turnElement.innerHTML = Components.stoppedAnswer(question, '', 'Stopped before an answer arrived');
+        return null;
+    }
+
+    if (error) {
+        turnElement.innerHTML = Components.errorAlert(error);
+        showToast(error, 'error');
+        return error;
+    }
+
+    turnElement.innerHTML = renderQueryResult(data, `${turnElement.id}-sources`);
+
+    // Save turn to the active thread and the query history
+    conversations.addTurn(data);
+    renderThreadSelector();
+    saveToHistory(data);
+    raiseAlert(alertRules.checkFaithfulness(data.question, data.evaluation?.faithfulness));
+
+    // Re-initialize tooltips for new elements
+    initializeTooltips();
+
+    // Scroll to results
+    scrollToElement(turnElement);
+
+    showToast('Answer generated successfully', 'success');
+
+    return null;
+}
+
+/**
+ * Handle streaming query
+ * @param {string} question - Question text
+ * @param {Object} options - Query options ({includeSources, enableEvaluation, history, documentIds, settings, signal, timeout})
+ * @param {HTMLElement} turnElement - Turn element to render into
+ * @returns {Promise<APIError|null>} Error the request failed with, or null
+ */
+async function handleStreamingQuery(question, options, turnElement) {
+    // Create answer card with streaming cursor
+    turnElement.innerHTML = `
+        <div class="answer-card">
+            <div class="question-text">
+                <strong>Question:</strong> ${escapeHtml(question)}
+            </div>
+            <div class="answer-text markdown-body"></div>
+            <div class="mt-2">
+                <span class="badge bg-info stream-status">
+                    <i class="bi bi-broadcast me-1"></i>
+                    Streaming${Components.streamingIndicator()}
+                </span>
+            </div>
+        </div>
+    `;
+
+    const statusBadge = turnElement.querySelector('.stream-status');
+    const renderer = new StreamRenderer(turnElement.querySelector('.answer-text'));
+
+    scrollToElement(turnElement);
+
+    // Stream the response; the renderer batches chunks into one DOM update per frame
+    const { data, error, cancelled, timedOut } = await apiClient.queryStream(question, (chunk) => {
+        renderer.append(chunk);
+    }, options.history, {
+        includeSources: options.includeSources,
+        enableEvaluation: options.enableEvaluation,
+        documentIds: options.documentIds,
+        settings: options.settings,
+        signal: options.signal,
+        timeout: options.timeout,
+        onEvent: (event) => {
+            // Tokens are finished once sources arrive; evaluation may still be running
+            if (event.type === 'sources' && options.enableEvaluation) {
+                renderer.finish();
+                statusBadge.innerHTML = `
+                    <i class="bi bi-bar-chart me-1"></i>
+                    Evaluating${Components.streamingIndicator()}
+                `;
+            }
+        }
+    });
+
+    const fullAnswer = renderer.finish();
+
+    // Keep the partial answer when the stream was stopped or went quiet
+    if (cancelled || (timedOut && fullAnswer)) {
+        turnElement.innerHTML = Components.stoppedAnswer(question, fullAnswer, cancelled ? 'Stopped' : error);
+        return null;
+    }
+
+    if (error) {
+        turnElement.innerHTML = Components.errorAlert(error);
+        showToast(error, 'error');
+        return error;
+    }
+
+    // Final update - render answer, sources and evaluation like a standard result
+    turnElement.innerHTML = renderQueryResult(data, `${turnElement.id}-sources`);
+    initializeTooltips();
+
+    // Save turn to the active thread and the query history
+    conversations.addTurn(data);
+    renderThreadSelector();
+    saveToHistory(data);
+    raiseAlert(alertRules.checkFaithfulness(data.question, data.evaluation?.faithfulness));
+
+    showToast('Answer generated successfully', 'success');
+
+    return null;
+}
+
+/**
+ * Handle compare mode: the same question under two configurations at once, side by side
+ * Comparisons are experiments, so they are not added to the thread or the query history.
+ * @param {string} question - Question text
+ * @param {Object} options - Query options ({history, documentIds, signal, timeout})
+ * @param {Array} configs - Configurations from getCompareConfigs
+ * @param {HTMLElement} turnElement - Turn element to render into
+ * @returns {Promise<APIError|null>} Error both sides failed with, or null
+ */
+async function handleCompareQuery(question, options, configs, turnElement) {
+    turnElement.innerHTML = `
+        <div class="compare-result">
+            <div class="question-text">
+                <strong>Compare:</strong> ${escapeHtml(question)}
+            </div>
+            <div class="row g-3">
+                ${configs.map(config => `
+                    <div class="col-lg-6" data-compare-column="${config.label}">
+                        <div class="compare-column">
+                            <div class="compare-column-header">
+                                <span class="badge bg-primary me-2">${config.label}</span>
+                                ${Components.compareConfigSummary(config)}
+                            </div>
+                            <div class="answer-text markdown-body">${Components.loadingSpinner('Waiting for the answer...')}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    scrollToElement(turnElement);
+
+    const results = await Promise.all(configs.map(config => runCompareQuery(
+        question,
+        options,
+        config,
+        turnElement.querySelector(`[data-compare-column="${config.label}"] .answer-text`)
+    )));
+
+    if (results.some(result => result.cancelled)) {
+        turnElement.innerHTML = Components.stoppedAnswer(question, '', 'Comparison stopped');
+        return null;
+    }
+
+    const [resultA, resultB] = results;
+    const shared = Compare.sharedSources(resultA.sources, resultB.sources);
+    const sharedIndices = [shared.a, shared.b];
+
+    let html = `
+        <div class="compare-result">
+            <div class="question-text">
+                <strong>Compare:</strong> ${escapeHtml(question)}
+            </div>
+            <div class="row g-3">
+                ${configs.map((config, index) => `
+                    <div class="col-lg-6">
+                        ${Components.compareColumn(config.label, config, results[index], `${turnElement.id}-${config.label}-sources`, sharedIndices[index])}
+                    </div>
+                `).join('')}
+            </div>
+    `;
+
+    if (!resultA.error && !resultB.error) {
+        const runs = Compare.diffWords(resultA.answer, resultB.answer);
+        html += Components.answerDiff(runs, Compare.similarity(runs));
+    }
+
+    turnElement.innerHTML = `${html}</div>`;
+    initializeTooltips();
+
+    // One answer is still worth keeping, so only a comparison where both sides failed counts as failed
+    return resultA.error && resultB.error ? resultA.error : null;
+}
+
+/**
+ * Run one side of a comparison
+ * @param {string} question - Question text
+ * @param {Object} options - Query options ({history, documentIds, signal, timeout})
+ * @param {Object} config - Configuration ({settings, includeSources, enableEvaluation, stream})
+ * @param {HTMLElement} answerDiv - Element that shows the streamed answer
+ * @returns {Promise<Object>} Query result, {error} or {cancelled: true}
+ */
+async function runCompareQuery(question, options, config, answerDiv) {
+    const startTime = performance.now();
+    let response;
+
+    if (config.stream) {
+        // Two answers stream side by side, so neither one scrolls the page
+        const renderer = new StreamRenderer(answerDiv, { follow: false });
+        response = await apiClient.queryStream(question, (chunk) => {
+            renderer.append(chunk);
+        }, options.history, {
+            includeSources: config.includeSources,
+            enableEvaluation: config.enableEvaluation,
+            documentIds: options.documentIds,
+            settings: config.settings,
+            signal: options.signal,
+            timeout: options.timeout
+        });
+        renderer.finish();
+    } else {
+        response = await apiClient.query(
+            question,
+            config.includeSources,
+            config.enableEvaluation,
+            options.history,
+            {
+                signal: options.signal,
+                timeout: options.timeout,
+                documentIds: options.documentIds,
+                settings: config.settings
+            }
+        );
+    }
+
+    const { data, error, cancelled } = response;
+
+    if (cancelled) {
+        return { cancelled: true };
+    }
+
+    if (error) {
+        return { error };
+    }
+
+    // Plain text streams do not report a server-side time
+    return {
+        ...data,
+        processing_time_ms: data.processing_time_ms ?? Math.round(performance.now() - startTime)
+    };
+}
+
+/**
+ * Handle retrieval-only search: ranked chunks without LLM generation
+ * @param {string} question - Search text
+ * @param {Object} options - Query options ({settings, signal, timeout})
+ * @param {HTMLElement} turnElement - Turn element to render into
+ * @returns {Promise<APIError|null>} Error the request failed with, or null
+ */
+async function handleSearchQuery(question, options, turnElement) {
+    turnElement.innerHTML = Components.loadingSpinner('Searching documents...');
+
+    const { data, error, cancelled } = await apiClient.searchDocuments(question, {
+        settings: options.settings,
+        signal: options.signal,
+        timeout: options.timeout
+    });
+
+    if (cancelled) {
+        turnElement.remove();
+        return null;
+    }
+
+    if (error) {
+        turnElement.innerHTML = Components.errorAlert(error);
+        showToast(error, 'error');
+        return error;
+    }
+
+    turnElement.innerHTML = Components.searchResults(data.results, question);
+    scrollToElement(turnElement);
+
+    return null;
+}
+
+/**
+ * Initialize citation markers, code copy buttons and Export menus wherever an answer is shown
+ */
+function initializeAnswerActions() {
+    document.addEventListener('click', (e) => {
+        const marker = e.target.closest('[data-action="show-citation"]');
+        if (marker) {
+            Citations.show(marker);
+        }
+
+        const copyButton = e.target.closest('[data-action="copy-code"]');
+        if (copyButton) {
+            copyToClipboard(copyButton.closest('.code-block').querySelector('pre').textContent);
+        }
+
+        const exportButton = e.target.closest('[data-action="export-answer"]');
+        if (exportButton) {
+            const { format, resultKey } = exportButton.dataset;
+            if (resultKey) {
+                exportAnswer(resultKey, format);
+            } else {
+                exportSelectedHistory(format);
+            }
+        }
+    });
+}
+
+/**
+ * Export one rendered answer with its sources and scores
+ * @param {string} resultKey - Key of the rendered result
+ * @param {string} format - 'markdown', 'html' or 'pdf'
+ */
+function exportAnswer(resultKey, format) {
+    const result = renderedResults.get(resultKey);
+    if (!result) return;
+
+    AnswerExport.export([result], format, truncateText(result.question, 80));
+}
+
+/**
+ * Initialize the source viewer opened from source and search result buttons
+ */
+function initializeSourceViewer() {
+    sourceViewer = new SourceViewer(apiClient);
+
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="view-source"]');
+        if (!button) return;
+
+        const { documentId, fileType, filename, page, row } = button.dataset;
+        sourceViewer.open({
+            documentId,
+            fileType,
+            filename,
+            page: page !== undefined ? Number(page) : null,
+            row: row !== undefined ? Number(row) : null,
+            passage: button.closest('.accordion-body, .search-hit').querySelector('.source-content').textContent
+        });
+    });
+}
+
+/**
+ * Initialize answer feedback controls and the feedback review panel
+ */
+function initializeFeedback() {
+    feedbackStore = new FeedbackStore(apiClient);
+
+    document.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action="feedback-rate"], [data-action="feedback-submit"], [data-action="flag-source"]');
+        if (!button) return;
+
+        if (button.dataset.action === 'flag-source') {
+            const flagged = button.getAttribute('aria-pressed') !== 'true';
+            button.setAttribute('aria-pressed', String(flagged));
+            button.classList.toggle('active', flagged);
+            button.closest('.accordion-item').classList.toggle('source-flagged', flagged);
+            return;
+        }
+
+        const container = button.closest('.answer-feedback');
+        const form = container.querySelector('.feedback-form');
+
+        if (button.dataset.action === 'feedback-rate') {
+            container.dataset.rating = button.dataset.rating;
+            container.querySelectorAll('[data-action="feedback-rate"]').forEach(rateButton => {
+                rateButton.classList.toggle('active', rateButton === button);
+            });
+
+            // Reasons only apply to bad answers; a correction is welcome either way
+            form.querySelector('.feedback-reason-group').classList.toggle('d-none', button.dataset.rating === 'up');
+            form.classList.remove('d-none');
+            return;
+        }
 
-    // Set up tab event listeners
-    setupTabListeners();
+        await submitAnswerFeedback(container);
+    });
 
-    console.log('RAG Q&A System initialized');
-});
+    const feedbackPanel = document.getElementById('feedbackPanel');
+    feedbackPanel.addEventListener('show.bs.offcanvas', refreshFeedbackPanel);
 
-/**
- * Initialize document upload functionality
- */
-function initializeDocumentUpload() {
-    const dropZone = document.getElementById('dropZone');
-    const fileInput = document.getElementById('fileInput');
-    const deleteBtn = document.getElementById('deleteCollectionBtn');
+    document.getElementById('exportFeedbackJsonBtn').addEventListener('click', () => exportFeedback('json'));
+    document.getElementById('exportFeedbackCsvBtn').addEventListener('click', () => exportFeedback('csv'));
 
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFileUpload(file);
+    document.getElementById('syncFeedbackBtn').addEventListener('click', async () => {
+        const { sent, pending } = await feedbackStore.syncPending();
+        refreshFeedbackPanel();
+
+        if (pending > 0) {
+            showToast(`${pending} feedback entries could not be sent`, 'warning');
+        } else {
+            showToast(sent > 0 ? `Sent ${sent} feedback entries` : 'All feedback is already sent', 'success');
         }
     });
 
-    // Drag and drop events
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('drag-over');
+    document.getElementById('clearFeedbackBtn').addEventListener('click', () => {
+        showConfirmModal(
+            'Clear Feedback',
+            'This will delete the feedback log stored in this browser. Feedback already sent to the server is kept there.',
+            () => {
+                feedbackStore.clear();
+                refreshFeedbackPanel();
+                showToast('Feedback cleared', 'success');
+            }
+        );
     });
+}
 
-    dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('drag-over');
+/**
+ * Submit the feedback entered for one answer
+ * @param {HTMLElement} container - Feedback controls element
+ */
+async function submitAnswerFeedback(container) {
+    const key = container.dataset.feedbackKey;
+    const result = renderedResults.get(key);
+    if (!result || !container.dataset.rating) return;
+
+    const rating = container.dataset.rating;
+    const flaggedSources = [...document.querySelectorAll(`#${CSS.escape(key)} [data-action="flag-source"][aria-pressed="true"]`)]
+        .map(button => Number(button.dataset.sourceIndex));
+
+    const submitButton = container.querySelector('[data-action="feedback-submit"]');
+    submitButton.disabled = true;
+
+    const entry = await feedbackStore.submit({
+        rating,
+        reason: rating === 'down' ? container.querySelector('[name="reason"]').value || null : null,
+        correction: container.querySelector('[name="correction"]').value.trim() || null,
+        question: result.question,
+        answer: result.answer,
+        sources: result.sources || [],
+        flagged_sources: flaggedSources
     });
 
-    dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('drag-over');
+    container.querySelector('.feedback-form').classList.add('d-none');
+    container.querySelectorAll('[data-action="feedback-rate"]').forEach(rateButton => {
+        rateButton.disabled = true;
+    });
+    container.querySelector('.feedback-status').textContent = entry.synced
+        ? 'Thanks for the feedback'
+        : 'Saved locally; it will be sent when the server is reachable';
+}
 
-        const files = Array.from(e.dataTransfer.files);
-        if (files.length > 0) {
-            handleFileUpload(files[0]);
+/**
+ * Refresh the feedback review list
+ */
+function refreshFeedbackPanel() {
+    const entries = feedbackStore.list();
+    const positive = entries.filter(entry => entry.rating === 'up').length;
+    const pending = entries.filter(entry => !entry.synced).length;
+
+    document.getElementById('feedbackSummary').textContent = entries.length > 0
+        ? `${entries.length} entries: ${positive} positive, ${entries.length - positive} negative${pending ? `, ${pending} not sent` : ''}`
+        : '';
+
+    document.getElementById('feedbackList').innerHTML = entries.length > 0
+        ? entries.map(entry => Components.feedbackItem(entry)).join('')
+        : Components.emptyState('No feedback given yet', 'chat-square-heart');
+}
+
+/**
+ * Export the local feedback log
+ * @param {string} format - 'json' or 'csv'
+ */
+function exportFeedback(format) {
+    const entries = feedbackStore.list();
+
+    if (entries.length === 0) {
+        showToast('No feedback to export', 'warning');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadFile(FeedbackStore.toCSV(entries), `answer-feedback-${date}.csv`, 'text/csv');
+    } else {
+        downloadFile(FeedbackStore.toJSON(entries), `answer-feedback-${date}.json`, 'application/json');
+    }
+}
+
+/**
+ * Initialize the batch evaluation tab
+ */
+function initializeEvaluationTab() {
+    evaluationRunner = new EvaluationRunner(apiClient);
+
+    const datasetInput = document.getElementById('evalDatasetInput');
+
+    datasetInput.addEventListener('change', async () => {
+        const [file] = datasetInput.files;
+        if (file) {
+            await loadEvaluationDataset(file);
         }
     });
 
-    // Delete collection button
-    deleteBtn.addEventListener('click', handleDeleteCollection);
+    document.getElementById('runEvalBtn').addEventListener('click', runEvaluation);
+    document.getElementById('stopEvalBtn').addEventListener('click', () => evaluationRunner.stop());
+    document.getElementById('exportEvalJsonBtn').addEventListener('click', () => exportEvaluation('json'));
+    document.getElementById('exportEvalCsvBtn').addEventListener('click', () => exportEvaluation('csv'));
 }
 
 /**
- * Handle file upload
+ * Load and validate a golden dataset file
+ * @param {File} file - CSV or JSONL file
  */
-async function handleFileUpload(file) {
-    const uploadResult = document.getElementById('uploadResult');
-    const uploadProgress = document.getElementById('uploadProgress');
-    const uploadProgressBar = document.getElementById('uploadProgressBar');
+async function loadEvaluationDataset(file) {
+    const info = document.getElementById('evalDatasetInfo');
+    const runBtn = document.getElementById('runEvalBtn');
 
-    // Clear previous results
-    uploadResult.innerHTML = '';
+    const { rows, error } = EvaluationRunner.parseDataset(await file.text(), file.name);
 
-    // Validate file
-    const validation = validateFile(file);
-    if (!validation.valid) {
-        uploadResult.innerHTML = Components.errorAlert(validation.error);
+    if (error) {
+        evaluationDataset = null;
+        runBtn.disabled = true;
+        info.innerHTML = `<span class="text-danger">${escapeHtml(error)}</span>`;
         return;
     }
 
-    // Show progress bar
-    uploadProgress.style.display = 'block';
-    uploadProgressBar.style.width = '0%';
-    uploadProgressBar.textContent = '0%';
+    evaluationDataset = { name: file.name, rows };
+    runBtn.disabled = false;
 
-    try {
-        // Upload file
-        const { data, error } = await apiClient.uploadDocument(file, (progress) => {
-            const percent = Math.round(progress);
-            uploadProgressBar.style.width = `${percent}%`;
-            uploadProgressBar.textContent = `${percent}%`;
-        });
+    const withReference = rows.filter(row => row.reference).length;
+    info.textContent = `${rows.length} questions loaded from ${file.name} (${withReference} with reference answers)`;
+}
 
-        // Hide progress bar
-        uploadProgress.style.display = 'none';
+/**
+ * Run the loaded dataset and render results as they arrive
+ */
+async function runEvaluation() {
+    if (!evaluationDataset || evaluationRunner.isRunning()) return;
 
-        if (error) {
-            uploadResult.innerHTML = Components.errorAlert(error);
-            showToast(error, 'error');
-        } else {
-            uploadResult.innerHTML = Components.uploadResult(data);
-            showToast(`Successfully uploaded ${data.filename}`, 'success');
+    const { settings, error } = getQuerySettings();
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
 
-            // Refresh collection info
-            refreshCollectionInfo();
+    const runBtn = document.getElementById('runEvalBtn');
+    const stopBtn = document.getElementById('stopEvalBtn');
+    const progressBar = document.getElementById('evalProgressBar');
+    const progressText = document.getElementById('evalProgressText');
+    const total = evaluationDataset.rows.length;
+
+    runBtn.disabled = true;
+    stopBtn.classList.remove('d-none');
+    document.getElementById('evalProgress').classList.remove('d-none');
+    document.getElementById('evalResultsSection').classList.remove('d-none');
+    progressBar.style.width = '0%';
+    progressText.textContent = `0 / ${total}`;
+    renderEvaluationReport([]);
+
+    const results = await evaluationRunner.run(evaluationDataset.rows, {
+        settings,
+        timeout: getQueryTimeout(),
+        onResult: (result, done) => {
+            progressBar.style.width = `${(done / total) * 100}%`;
+            progressText.textContent = `${done} / ${total}`;
+            renderEvaluationReport(evaluationRunner.results);
         }
+    });
 
-    } catch (err) {
-        uploadProgress.style.display = 'none';
-        uploadResult.innerHTML = Components.errorAlert('Upload failed: ' + err.message);
-        showToast('Upload failed', 'error');
+    runBtn.disabled = false;
+    stopBtn.classList.add('d-none');
+
+    if (results.length < total) {
+        progressText.textContent = `Stopped after ${results.length} of ${total} questions`;
+        notifyJobFinished('Evaluation stopped', `Stopped after ${results.length} of ${total} questions`, 'warning');
+    } else {
+        progressText.textContent = `Completed ${total} questions`;
+        const failed = results.filter(result => result.error).length;
+        notifyJobFinished(
+            'Evaluation complete',
+            failed ? `${failed} of ${total} questions had errors` : `All ${total} questions answered`,
+            failed ? 'warning' : 'success'
+        );
     }
+    raiseAlert(alertRules.checkEvaluationRun(results));
 }
 
 /**
- * Handle delete collection
+ * Render the summary, worst performers and results table
+ * @param {Array} results - Run results so far
  */
-function handleDeleteCollection() {
-    showConfirmModal(
-        'Delete Collection',
-        'This will permanently delete all documents from the collection. This action cannot be undone. Type DELETE to confirm.',
-        async () => {
-            const btn = document.getElementById('deleteCollectionBtn');
-            setButtonLoading(btn, true, 'Deleting...');
-
-            const { data, error } = await apiClient.deleteCollection();
-
-            setButtonLoading(btn, false);
-
-            if (error) {
-                showToast(error, 'error');
-            } else {
-                showToast('Collection deleted successfully', 'success');
+function renderEvaluationReport(results) {
+    document.getElementById('evalSummary').innerHTML = results.length
+        ? Components.evaluationSummary(EvaluationRunner.summarize(results))
+        : '';
+    document.getElementById('evalWorst').innerHTML = Components.worstPerformers(EvaluationRunner.worst(results));
+    document.getElementById('evalResults').innerHTML = Components.evaluationResultsTable(results);
+}
 
-                // Clear upload result
-                document.getElementById('uploadResult').innerHTML = '';
+/**
+ * Export the latest evaluation results
+ * @param {string} format - 'json' or 'csv'
+ */
+function exportEvaluation(format) {
+    const results = evaluationRunner.results;
+    if (results.length === 0) {
+        showToast('No results to export', 'warning');
+        return;
+    }
 
-                // Refresh collection info
-                refreshCollectionInfo();
-            }
-        },
-        true // Require typing DELETE
-    );
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadFile(EvaluationRunner.toCSV(results), `evaluation-${date}.csv`, 'text/csv');
+    } else {
+        downloadFile(EvaluationRunner.toJSON(results), `evaluation-${date}.json`, 'application/json');
+    }
 }
 
 /**
- * Initialize query form
+ * Initialize query history panel
  */
-function initializeQueryForm() {
-    const form = document.getElementById('queryForm');
-    const questionInput = document.getElementById('questionInput');
-    const charCounter = document.getElementById('charCounter');
-    const useStreamingCheck = document.getElementById('useStreamingCheck');
-    const includeSourcesCheck = document.getElementById('includeSourcesCheck');
+function initializeQueryHistory() {
+    const historyPanel = document.getElementById('historyPanel');
+    const searchInput = document.getElementById('historySearchInput');
+    const historyList = document.getElementById('historyList');
 
-    // Character counter
-    questionInput.addEventListener('input', () => {
-        const length = questionInput.value.length;
-        charCounter.textContent = `${length} / 1000`;
+    queryHistory = new HistoryStore();
 
-        if (length > 900) {
-            charCounter.classList.add('warning');
-        } else {
-            charCounter.classList.remove('warning');
-        }
+    // Load entries whenever the panel opens
+    historyPanel.addEventListener('show.bs.offcanvas', refreshHistoryPanel);
 
-        if (length > 950) {
-            charCounter.classList.add('danger');
-            charCounter.classList.remove('warning');
-        } else {
-            charCounter.classList.remove('danger');
-        }
-    });
+    searchInput.addEventListener('input', debounce(refreshHistoryPanel, 250));
 
-    // Disable sources when streaming is enabled
-    useStreamingCheck.addEventListener('change', () => {
-        if (useStreamingCheck.checked) {
-            includeSourcesCheck.checked = false;
-            includeSourcesCheck.disabled = true;
-        } else {
-            includeSourcesCheck.disabled = false;
+    // Export checkboxes and view / re-run / delete buttons on history items
+    historyList.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = Number(button.closest('[data-history-id]').dataset.historyId);
+        const action = button.dataset.action;
+
+        if (action === 'select-history') {
+            if (button.checked) {
+                selectedHistoryIds.add(id);
+            } else {
+                selectedHistoryIds.delete(id);
+            }
+            renderHistoryExportMenu();
+        } else if (action === 'view') {
+            await showHistoryEntry(id);
+        } else if (action === 'rerun') {
+            await rerunHistoryEntry(id);
+        } else if (action === 'delete') {
+            await queryHistory.delete(id);
+            selectedHistoryIds.delete(id);
+            refreshHistoryPanel();
         }
     });
 
-    // Form submission
-    form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await handleQuerySubmit();
+    document.getElementById('exportHistoryJsonBtn').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => exportHistory('csv'));
+
+    document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+        showConfirmModal(
+            'Clear History',
+            'This will permanently delete every saved question and answer from this browser.',
+            async () => {
+                await queryHistory.clear();
+                selectedHistoryIds.clear();
+                refreshHistoryPanel();
+                showToast('History cleared', 'success');
+            }
+        );
     });
 }
 
 /**
- * Handle query submission
+ * Refresh the history list, applying the current search
  */
-async function handleQuerySubmit() {
-    const questionInput = document.getElementById('questionInput');
-    const question = questionInput.value.trim();
-    const resultsArea = document.getElementById('resultsArea');
-    const submitBtn = document.getElementById('submitQueryBtn');
-
-    const includeSources = document.getElementById('includeSourcesCheck').checked;
-    const enableEvaluation = document.getElementById('enableEvaluationCheck').checked;
-    const useStreaming = document.getElementById('useStreamingCheck').checked;
-
-    // Validate question
-    const validation = validateQuestion(question);
-    if (!validation.valid) {
-        showToast(validation.error, 'error');
-        return;
-    }
-
-    // Clear previous results
-    resultsArea.innerHTML = '';
+async function refreshHistoryPanel() {
+    const historyList = document.getElementById('historyList');
+    const term = document.getElementById('historySearchInput').value;
 
-    // Set button loading state
-    setButtonLoading(submitBtn, true, 'Processing...');
+    renderHistoryExportMenu();
 
     try {
-        if (useStreaming) {
-            await handleStreamingQuery(question);
-        } else {
-            await handleStandardQuery(question, includeSources, enableEvaluation);
-        }
+        const entries = await queryHistory.search(term);
+
+        historyList.innerHTML = entries.length > 0
+            ? entries.map(entry => Components.historyItem(entry, selectedHistoryIds.has(entry.id))).join('')
+            : Components.emptyState(term ? 'No matching questions' : 'No saved questions yet', 'clock-history');
     } catch (err) {
-        resultsArea.innerHTML = Components.errorAlert(err.message);
-        showToast('Query failed', 'error');
-    } finally {
-        setButtonLoading(submitBtn, false);
+        console.error('Failed to load history:', err);
+        historyList.innerHTML = Components.errorAlert('Query history is not available in this browser');
     }
 }
 
 /**
- * Handle standard query
+ * Render the Export menu for the selected history entries
  */
-async function handleStandardQuery(question, includeSources, enableEvaluation) {
-    const resultsArea = document.getElementById('resultsArea');
-    const startTime = Date.now();
+function renderHistoryExportMenu() {
+    const count = selectedHistoryIds.size;
+    document.getElementById('historyExportMenu').innerHTML = Components.exportMenu(
+        { history: 'selected' },
+        count ? `Export selected (${count})` : 'Export selected',
+        count === 0
+    );
+}
 
-    // Show loading
-    resultsArea.innerHTML = Components.loadingSpinner('Processing your question...');
+/**
+ * Export the selected history entries as one report, oldest first
+ * @param {string} format - 'markdown', 'html' or 'pdf'
+ */
+async function exportSelectedHistory(format) {
+    try {
+        const entries = (await Promise.all([...selectedHistoryIds].map(id => queryHistory.get(id))))
+            .filter(Boolean)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-    // Make query
-    const { data, error } = await apiClient.query(question, includeSources, enableEvaluation);
+        if (entries.length === 0) {
+            showToast('Select answers to export first', 'warning');
+            return;
+        }
 
-    if (error) {
-        resultsArea.innerHTML = Components.errorAlert(error);
-        showToast(error, 'error');
-        return;
+        AnswerExport.export(entries, format, 'Answer Report');
+    } catch (err) {
+        console.error('Failed to export answers:', err);
+        showToast('Failed to export answers', 'error');
     }
+}
 
-    // Display answer
-    let html = Components.answerDisplay(data);
-
-    // Display sources
-    if (includeSources && data.sources && data.sources.length > 0) {
-        html += `
-            <div class="sources-section">
-                <div class="section-title">
-                    <i class="bi bi-file-text me-2"></i>
-                    Sources (${data.sources.length})
-                </div>
-                ${Components.sourceAccordion(data.sources)}
-            </div>
-        `;
+/**
+ * Save a query result to the history store
+ * @param {Object} result - Query result
+ */
+async function saveToHistory(result) {
+    try {
+        await queryHistory.add(result);
+    } catch (err) {
+        console.error('Failed to save query history:', err);
     }
+}
 
-    // Display evaluation
-    if (enableEvaluation && data.evaluation) {
-        html += Components.evaluationDisplay(data.evaluation);
-    }
+/**
+ * Show a saved answer in the history modal
+ * @param {number} id - History entry ID
+ */
+async function showHistoryEntry(id) {
+    const entry = await queryHistory.get(id);
+    if (!entry) return;
 
-    resultsArea.innerHTML = html;
+    document.getElementById('historyEntryContent').innerHTML = `
+        <div class="text-muted small mb-2">${formatTimestamp(entry.timestamp)}</div>
+        ${renderQueryResult(entry, `history-${id}-sources`)}
+    `;
 
-    // Re-initialize tooltips for new elements
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('historyEntryModal')).show();
     initializeTooltips();
-
-    // Scroll to results
-    scrollToElement(resultsArea);
-
-    showToast('Answer generated successfully', 'success');
 }
 
 /**
- * Handle streaming query
+ * Ask a saved question again in the current conversation
+ * @param {number} id - History entry ID
  */
-async function handleStreamingQuery(question) {
-    const resultsArea = document.getElementById('resultsArea');
+async function rerunHistoryEntry(id) {
+    const entry = await queryHistory.get(id);
+    if (!entry) return;
 
-    // Create answer card with streaming cursor
-    resultsArea.innerHTML = `
-        <div class="answer-card">
-            <div class="question-text">
-                <strong>Question:</strong> ${escapeHtml(question)}
-            </div>
-            <div class="answer-text" id="streamingAnswer">${Components.streamingCursor()}</div>
-            <div class="mt-2">
-                <span class="badge bg-info">
-                    <i class="bi bi-broadcast me-1"></i>
-                    Streaming${Components.streamingIndicator()}
-                </span>
-            </div>
-        </div>
-    `;
+    bootstrap.Offcanvas.getOrCreateInstance(document.getElementById('historyPanel')).hide();
 
-    const answerDiv = document.getElementById('streamingAnswer');
-    let fullAnswer = '';
+    const questionInput = document.getElementById('questionInput');
+    questionInput.value = entry.question;
+    questionInput.dispatchEvent(new Event('input'));
 
-    // Stream the response
-    const { data, error } = await apiClient.queryStream(question, (chunk) => {
-        fullAnswer += chunk;
-        // Update answer text (keep cursor at end)
-        answerDiv.innerHTML = escapeHtml(fullAnswer) + Components.streamingCursor();
-        // Auto-scroll
-        answerDiv.scrollTop = answerDiv.scrollHeight;
-    });
+    await handleQuerySubmit();
+}
 
-    if (error) {
-        resultsArea.innerHTML = Components.errorAlert(error);
-        showToast(error, 'error');
-        return;
-    }
+/**
+ * Export the full history
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportHistory(format) {
+    try {
+        const entries = await queryHistory.getAll();
 
-    // Final update - remove cursor and streaming indicator
-    answerDiv.innerHTML = escapeHtml(fullAnswer);
-    resultsArea.querySelector('.badge').remove();
+        if (entries.length === 0) {
+            showToast('No history to export', 'warning');
+            return;
+        }
 
-    showToast('Answer generated successfully', 'success');
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            downloadFile(HistoryStore.toCSV(entries), `query-history-${date}.csv`, 'text/csv');
+        } else {
+            downloadFile(HistoryStore.toJSON(entries), `query-history-${date}.json`, 'application/json');
+        }
+    } catch (err) {
+        console.error('Failed to export history:', err);
+        showToast('Failed to export history', 'error');
+    }
 }
 
 /**
@@ -456,47 +2669,86 @@ async function refreshCollectionInfo() {
 }
 
 /**
- * Initialize health check polling
+ * Initialize health polling, the navbar indicator and the Status tab history controls
  */
 function initializeHealthCheck() {
-    // Initial check
-    updateHealthIndicator();
+    const intervalSelect = document.getElementById('pollInterval');
+    const pauseBtn = document.getElementById('pausePollingBtn');
 
-    // Poll every 30 seconds
-    healthCheckInterval = setInterval(() => {
-        updateHealthIndicator();
-    }, 30000);
+    statusMonitor = new StatusMonitor(apiClient, {
+        onChange: () => {
+            renderHealthIndicator();
+            renderStatusHistory();
+        },
+        onSample: (sample, previous) => {
+            raiseAlert(alertRules.checkStatus(sample, previous));
+        }
+    });
+
+    intervalSelect.value = String(statusMonitor.settings.intervalMs);
+    intervalSelect.addEventListener('change', () => {
+        statusMonitor.setInterval(Number(intervalSelect.value));
+    });
+
+    pauseBtn.addEventListener('click', () => {
+        statusMonitor.setPaused(!statusMonitor.settings.paused);
+    });
+
+    statusMonitor.start();
+}
+
+/**
+ * Check health now; the result is shown by the status monitor
+ * @returns {Promise<Object>} Recorded check
+ */
+function updateHealthIndicator() {
+    return statusMonitor.check();
 }
 
 /**
  * Update health indicator in navbar
+ * Outside of healthy, it shows how long the state has lasted, so a blip can be told from an outage.
  */
-async function updateHealthIndicator() {
+function renderHealthIndicator() {
     const healthStatus = document.getElementById('healthStatus');
+    const latest = statusMonitor.latest();
+    if (!latest) return;
 
-    // Set checking state
+    const statusText = { healthy: 'Healthy', degraded: 'Degraded', down: 'Unhealthy' }[latest.state];
+    const statusClass = latest.state === 'healthy' ? 'healthy' : 'unhealthy';
+    const since = statusMonitor.stateSince();
+    const duration = formatDuration(Date.now() - since);
+
+    healthStatus.title = `${statusText} for ${duration}, since ${new Date(since).toLocaleTimeString()}`;
     healthStatus.innerHTML = `
-        <span class="status-dot checking"></span>
-        <span class="fw-semibold">Checking...</span>
+        <span class="status-dot ${statusClass}"></span>
+        <span class="fw-semibold">${statusText}</span>
+        ${latest.state === 'healthy' ? '' : `<small class="opacity-75">${duration}</small>`}
     `;
+}
 
-    // Fetch readiness status
-    const { data, error } = await apiClient.readinessCheck();
-
-    if (error) {
-        healthStatus.innerHTML = `
-            <span class="status-dot unhealthy"></span>
-            <span class="fw-semibold">Unhealthy</span>
-        `;
+/**
+ * Render the Status tab health history and polling controls
+ */
+function renderStatusHistory() {
+    const { paused } = statusMonitor.settings;
+    const pauseBtn = document.getElementById('pausePollingBtn');
+    const nextCheck = document.getElementById('nextCheck');
+
+    document.getElementById('statusHistoryContent').innerHTML =
+        Components.statusHistory(statusMonitor.snapshot());
+
+    pauseBtn.innerHTML = paused
+        ? '<i class="bi bi-play-fill me-1"></i>Resume'
+        : '<i class="bi bi-pause-fill me-1"></i>Pause';
+
+    if (paused) {
+        nextCheck.textContent = 'Polling paused.';
+    } else if (statusMonitor.nextCheckAt) {
+        const backoff = statusMonitor.failures > 0 ? ' (backing off while the service is down)' : '';
+        nextCheck.textContent = `Next check at ${new Date(statusMonitor.nextCheckAt).toLocaleTimeString()}${backoff}`;
     } else {
-        const isHealthy = data.status === 'ready' && data.qdrant_connected;
-        const statusClass = isHealthy ? 'healthy' : 'unhealthy';
-        const statusText = isHealthy ? 'Healthy' : 'Degraded';
-
-        healthStatus.innerHTML = `
-            <span class="status-dot ${statusClass}"></span>
-            <span class="fw-semibold">${statusText}</span>
-        `;
+        nextCheck.textContent = 'Checking...';
     }
 }
 
@@ -524,7 +2776,7 @@ function setupTabListeners() {
  * Cleanup on page unload
  */
 window.addEventListener('beforeunload', () => {
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
+    if (statusMonitor) {
+        statusMonitor.stop();
     }
 });
@@ -0,0 +1,108 @@
+/**
+ * Credentials for deployments behind an auth proxy, kept in sessionStorage for the browser tab
+ */
+
+// Token claims that name the signed-in user, in order of preference
+const IDENTITY_CLAIMS = ['name', 'preferred_username', 'email', 'sub'];
+
+class AuthSession {
+    /**
+     * @param {string} storageKey - sessionStorage key for the credentials
+     */
+    constructor(storageKey = 'rag-qa-auth') {
+        this.storageKey = storageKey;
+        this.credentials = this.load();
+    }
+
+    /**
+     * Load the credentials of this tab
+     * @returns {{type: string, value: string}|null} Credentials, or null when signed out
+     */
+    load() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.storageKey) || 'null');
+            const valid = saved && ['apiKey', 'bearer'].includes(saved.type) && typeof saved.value === 'string';
+            return valid ? saved : null;
+        } catch (err) {
+            console.error('Failed to load credentials:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Store credentials for this tab
+     * @param {string} type - 'apiKey' or 'bearer'
+     * @param {string} value - API key or bearer token
+     */
+    set(type, value) {
+        this.credentials = { type, value };
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.credentials));
+        } catch (err) {
+            console.error('Failed to save credentials:', err);
+        }
+    }
+
+    /**
+     * Forget the credentials
+     */
+    clear() {
+        this.credentials = null;
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (err) {
+            console.error('Failed to clear credentials:', err);
+        }
+    }
+
+    /**
+     * Get the headers that authenticate a request
+     * @returns {Object} `X-API-Key` or `Authorization` header, or no headers when signed out
+     */
+    headers() {
+        if (!this.credentials) return {};
+
+        return this.credentials.type === 'bearer'
+            ? { 'Authorization': `Bearer ${this.credentials.value}` }
+            : { 'X-API-Key': this.credentials.value };
+    }
+
+    /**
+     * Describe who is signed in
+     * @returns {string|null} Name from the token claims, a masked API key, or null when signed out
+     */
+    identity() {
+        if (!this.credentials) return null;
+
+        const { type, value } = this.credentials;
+        if (type === 'apiKey') {
+            return `API key ••••${value.slice(-4)}`;
+        }
+
+        const claims = AuthSession.tokenClaims(value);
+        const claim = IDENTITY_CLAIMS.find(name => typeof claims?.[name] === 'string' && claims[name]);
+        return claim ? claims[claim] : 'Bearer token';
+    }
+
+    /**
+     * Read the payload of a JWT without verifying it (the server does that)
+     * @param {string} token - Bearer token
+     * @returns {Object|null} Claims, or null if the token is not a JWT
+     */
+    static tokenClaims(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            const claims = JSON.parse(new TextDecoder().decode(bytes));
+            return claims && typeof claims === 'object' ? claims : null;
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+// Export for use in other scripts
+window.AuthSession = AuthSession;
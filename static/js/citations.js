@@ -0,0 +1,228 @@
+/**
+ * Client-side citation matching between answer sentences and source chunks
+ */
+
+const Citations = {
+    // Common words that say nothing about where a claim came from
+    stopWords: new Set([
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her',
+        'was', 'one', 'our', 'out', 'has', 'his', 'how', 'its', 'may', 'who', 'did', 'yes',
+        'she', 'too', 'use', 'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they',
+        'been', 'were', 'what', 'when', 'which', 'their', 'there', 'these', 'those', 'than',
+        'then', 'them', 'also', 'into', 'such', 'some', 'more', 'most', 'other', 'about',
+        'based', 'would', 'could', 'should', 'does', 'each', 'only', 'very', 'context'
+    ]),
+
+    /**
+     * Split text into sentences without losing any characters
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Sentences, including their trailing whitespace
+     */
+    splitSentences(text) {
+        const sentences = [];
+        const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            sentences.push(text.slice(start, end));
+            start = end;
+        }
+
+        if (start < text.length) {
+            sentences.push(text.slice(start));
+        }
+
+        return sentences;
+    },
+
+    /**
+     * Get the significant words of a text
+     * @param {string} text - Text to tokenize
+     * @returns {Set<string>} Lowercase words longer than two characters
+     */
+    words(text) {
+        return new Set(
+            (text || '')
+                .toLowerCase()
+                .split(/[^\p{L}\p{N}]+/u)
+                .filter(word => word.length > 2 && !this.stopWords.has(word))
+        );
+    },
+
+    /**
+     * Share of a sentence's words that also appear in another word set
+     * @param {Set<string>} sentenceWords - Words of the sentence
+     * @param {Set<string>} otherWords - Words to compare against
+     * @returns {number} Overlap between 0 and 1
+     */
+    overlap(sentenceWords, otherWords) {
+        if (sentenceWords.size === 0) return 0;
+
+        let shared = 0;
+        sentenceWords.forEach((word) => {
+            if (otherWords.has(word)) shared++;
+        });
+        return shared / sentenceWords.size;
+    },
+
+    /**
+     * Match each answer sentence to the source chunks that support it
+     * @param {string} answer - Answer text
+     * @param {Array} sources - Source documents ({content, metadata})
+     * @param {Object} options - Matching options ({minWords, threshold, maxCitations})
+     * @returns {Array<{text: string, citations: Array<{sourceIndex: number, passage: string}>}>} Annotated sentences
+     */
+    match(answer, sources, options = {}) {
+        const { minWords = 2, threshold = 0.5, maxCitations = 2 } = options;
+
+        const chunks = (sources || []).map((source) => {
+            const passages = this.splitSentences(source.content || '');
+            return {
+                words: this.words(source.content),
+                passages: passages.map(passage => ({ text: passage.trim(), words: this.words(passage) }))
+            };
+        });
+
+        return this.splitSentences(answer || '').map((sentence) => {
+            const sentenceWords = this.words(sentence);
+            if (sentenceWords.size < minWords) {
+                return { text: sentence, citations: [] };
+            }
+
+            const citations = chunks
+                .map((chunk, sourceIndex) => ({ sourceIndex, score: this.overlap(sentenceWords, chunk.words) }))
+                .filter(candidate => candidate.score >= threshold)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, maxCitations)
+                .sort((a, b) => a.sourceIndex - b.sourceIndex)
+                .map(({ sourceIndex }) => {
+                    // The chunk sentence closest to the claim is the supporting passage
+                    const best = chunks[sourceIndex].passages.reduce((top, passage) => {
+                        const score = this.overlap(sentenceWords, passage.words);
+                        return score > top.score ? { text: passage.text, score } : top;
+                    }, { text: '', score: 0 });
+
+                    return { sourceIndex, passage: best.text };
+                });
+
+            return { text: sentence, citations };
+        });
+    },
+
+    /**
+     * Add numbered citation markers to rendered answer HTML
+     * @param {string} html - Sanitized answer HTML
+     * @param {Array} sources - Source documents shown in the accordion
+     * @param {string} accordionId - ID of the sources accordion the markers point to
+     * @returns {string} Answer HTML with citation markers
+     */
+    annotate(html, sources, accordionId) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        const blockSelector = 'p, li, td, th, h1, h2, h3, h4, h5, h6';
+        container.querySelectorAll(blockSelector).forEach((block) => {
+            // Nested blocks are annotated on their own; code is never cited
+            if (block.querySelector(blockSelector) || block.closest('pre')) return;
+
+            let offset = 0;
+            const inserts = [];
+
+            this.match(block.textContent, sources).forEach(({ text, citations }) => {
+                offset += text.length;
+                if (citations.length > 0) {
+                    // Place markers after the sentence, before its trailing whitespace
+                    inserts.push({ offset: offset - (text.length - text.trimEnd().length), citations });
+                }
+            });
+
+            // Insert from the end so earlier offsets stay valid
+            inserts.reverse().forEach(({ offset: position, citations }) => {
+                this.insertAt(block, position, citations.map(citation => this.marker(citation, accordionId)));
+            });
+        });
+
+        return container.innerHTML;
+    },
+
+    /**
+     * Create a citation marker button
+     * @param {Object} citation - Citation ({sourceIndex, passage})
+     * @param {string} accordionId - ID of the sources accordion
+     * @returns {HTMLElement} Marker element
+     */
+    marker({ sourceIndex, passage }, accordionId) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'citation-marker';
+        button.title = `Show source ${sourceIndex + 1}`;
+        button.textContent = `[${sourceIndex + 1}]`;
+        Object.assign(button.dataset, {
+            action: 'show-citation',
+            accordionId,
+            sourceIndex: String(sourceIndex),
+            passage
+        });
+        return button;
+    },
+
+    /**
+     * Insert nodes at a character offset within an element's text
+     * @param {HTMLElement} element - Element to insert into
+     * @param {number} offset - Offset into the element's textContent
+     * @param {Array<Node>} nodes - Nodes to insert
+     */
+    insertAt(element, offset, nodes) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let remaining = offset;
+        let node;
+
+        while ((node = walker.nextNode()) !== null) {
+            if (remaining <= node.length) {
+                const after = node.splitText(remaining);
+                after.before(...nodes);
+                return;
+            }
+            remaining -= node.length;
+        }
+
+        element.append(...nodes);
+    },
+
+    /**
+     * Escape text and wrap a passage in <mark>
+     * @param {string} text - Source chunk text
+     * @param {string} passage - Passage to highlight
+     * @returns {string} Escaped HTML with the passage highlighted
+     */
+    highlightPassage(text, passage) {
+        const start = passage ? text.indexOf(passage) : -1;
+        if (start === -1) return escapeHtml(text);
+
+        const end = start + passage.length;
+        return `${escapeHtml(text.slice(0, start))}<mark class="citation-passage">${escapeHtml(passage)}</mark>${escapeHtml(text.slice(end))}`;
+    },
+
+    /**
+     * Open the cited accordion item and highlight its supporting passage
+     * @param {HTMLElement} marker - Clicked citation marker
+     */
+    show(marker) {
+        const { accordionId, sourceIndex, passage } = marker.dataset;
+        const collapse = document.getElementById(`${accordionId}-collapse${sourceIndex}`);
+        if (!collapse) return;
+
+        const content = collapse.querySelector('.source-content');
+        if (content) {
+            content.innerHTML = this.highlightPassage(content.textContent, passage);
+        }
+
+        bootstrap.Collapse.getOrCreateInstance(collapse, { toggle: false }).show();
+        scrollToElement(collapse.closest('.accordion-item'));
+    }
+};
+
+// Export for use in other scripts
+window.Citations = Citations;
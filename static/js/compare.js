@@ -0,0 +1,130 @@
+/**
+ * A/B comparison helpers: word-level answer diff and source overlap
+ */
+
+const Compare = {
+    /**
+     * Split text into words, dropping whitespace
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
+     */
+    words(text) {
+        return (text || '').split(/\s+/).filter(Boolean);
+    },
+
+    /**
+     * Word-level diff of two answers (longest common subsequence)
+     * @param {string} before - Answer A
+     * @param {string} after - Answer B
+     * @returns {Array<{type: string, text: string}>} Runs of 'equal', 'delete' (only in A) and 'insert' (only in B) words
+     */
+    diffWords(before, after) {
+        const a = this.words(before);
+        const b = this.words(after);
+
+        // Shared head and tail need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const width = midB.length + 1;
+
+        // lengths[i * width + j] = LCS length of midA[i:] and midB[j:]
+        const lengths = new Uint32Array((midA.length + 1) * width);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = midA[i] === midB[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const tokens = a.slice(0, start).map(text => ({ type: 'equal', text }));
+        let i = 0;
+        let j = 0;
+
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                tokens.push({ type: 'equal', text: midA[i] });
+                i++;
+                j++;
+            } else if (i < midA.length && (j === midB.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                tokens.push({ type: 'delete', text: midA[i] });
+                i++;
+            } else {
+                tokens.push({ type: 'insert', text: midB[j] });
+                j++;
+            }
+        }
+
+        a.slice(endA).forEach(text => tokens.push({ type: 'equal', text }));
+
+        // Merge consecutive words of the same type into runs
+        return tokens.reduce((runs, token) => {
+            const last = runs[runs.length - 1];
+            if (last && last.type === token.type) {
+                last.text += ` ${token.text}`;
+            } else {
+                runs.push({ ...token });
+            }
+            return runs;
+        }, []);
+    },
+
+    /**
+     * Share of words the two answers have in common
+     * @param {Array<{type: string, text: string}>} runs - Diff from diffWords
+     * @returns {number} Similarity between 0 and 1
+     */
+    similarity(runs) {
+        const count = type => runs
+            .filter(run => run.type === type)
+            .reduce((total, run) => total + this.words(run.text).length, 0);
+
+        const equal = count('equal');
+        const total = 2 * equal + count('insert') + count('delete');
+        return total === 0 ? 1 : (2 * equal) / total;
+    },
+
+    /**
+     * Identify a source chunk across responses
+     * @param {Object} source - Source ({content, metadata})
+     * @returns {string} Chunk key
+     */
+    sourceKey(source) {
+        const metadata = source.metadata || {};
+        if (metadata._id) {
+            return String(metadata._id);
+        }
+        return `${metadata.source || ''}:${metadata.page ?? ''}:${source.content}`;
+    },
+
+    /**
+     * Find the sources both responses retrieved
+     * @param {Array} sourcesA - Sources of answer A
+     * @param {Array} sourcesB - Sources of answer B
+     * @returns {{a: Set<number>, b: Set<number>}} Indices of shared sources in each list
+     */
+    sharedSources(sourcesA = [], sourcesB = []) {
+        const keysA = new Set((sourcesA || []).map(source => this.sourceKey(source)));
+        const keysB = new Set((sourcesB || []).map(source => this.sourceKey(source)));
+        const shared = (sources, otherKeys) => new Set(
+            (sources || [])
+                .map((source, index) => (otherKeys.has(this.sourceKey(source)) ? index : -1))
+                .filter(index => index !== -1)
+        );
+
+        return { a: shared(sourcesA, keysB), b: shared(sourcesB, keysA) };
+    }
+};
+
+// Export for use in other scripts
+window.Compare = Compare;
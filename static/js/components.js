@@ -6,9 +6,11 @@ const Components = {
     /**
      * Create source accordion HTML
      * @param {Array} sources - Array of source documents
+     * @param {string} accordionId - Unique accordion element ID
+     * @param {Set<number>|null} sharedIndices - Indices of sources another answer also used (compare mode)
      * @returns {string} Accordion HTML
      */
-    sourceAccordion(sources) {
+    sourceAccordion(sources, accordionId = 'sourcesAccordion', sharedIndices = null) {
         if (!sources || sources.length === 0) {
             return '<div class="empty-state"><p class="text-muted">No sources available</p></div>';
         }
@@ -16,31 +18,40 @@ const Components = {
         const accordionItems = sources.map((source, index) => {
             const sourceTitle = source.metadata?.source || source.metadata?.filename || 'Unknown Source';
             const page = source.metadata?.page ? ` (Page ${source.metadata.page})` : '';
-            const metadata = Object.entries(source.metadata || {})
-                .filter(([key]) => key !== 'source' && key !== 'filename')
-                .map(([key, value]) => `<span class="badge bg-secondary me-1">${key}: ${value}</span>`)
-                .join('');
+            const metadata = this.metadataBadges(source.metadata);
 
             return `
                 <div class="accordion-item">
-                    <h2 class="accordion-header" id="heading${index}">
+                    <h2 class="accordion-header" id="${accordionId}-heading${index}">
                         <button class="accordion-button ${index !== 0 ? 'collapsed' : ''}"
                                 type="button"
                                 data-bs-toggle="collapse"
-                                data-bs-target="#collapse${index}"
+                                data-bs-target="#${accordionId}-collapse${index}"
                                 aria-expanded="${index === 0 ? 'true' : 'false'}"
-                                aria-controls="collapse${index}">
-                            <i class="bi bi-file-text me-2"></i>
-                            ${escapeHtml(sourceTitle)}${page}
+                                aria-controls="${accordionId}-collapse${index}">
+                            <span class="badge bg-primary me-2">${index + 1}</span>
+                            <i class="bi ${getFileIcon(source.metadata?.file_type)} me-2"></i>
+                            ${escapeHtml(sourceTitle)}${escapeHtml(page)}
+                            ${sharedIndices?.has(index) ? '<span class="badge bg-success ms-2" title="Retrieved by both configurations">In both</span>' : ''}
                         </button>
                     </h2>
-                    <div id="collapse${index}"
+                    <div id="${accordionId}-collapse${index}"
                          class="accordion-collapse collapse ${index === 0 ? 'show' : ''}"
-                         aria-labelledby="heading${index}"
-                         data-bs-parent="#sourcesAccordion">
+                         aria-labelledby="${accordionId}-heading${index}"
+                         data-bs-parent="#${accordionId}">
                         <div class="accordion-body">
-                            <pre class="source-content">${escapeHtml(source.content)}</pre>
-                            ${metadata ? `<div class="source-metadata">${metadata}</div>` : ''}
+                            ${this.sectionPath(source.metadata)}
+                            ${this.sourceContent(source, `${accordionId}-raw${index}`)}
+                            <div class="d-flex justify-content-between align-items-center">
+                                <div class="source-metadata">${metadata}</div>
+                                ${this.viewSourceButton(source.metadata, sourceTitle)}
+                                <button type="button" class="btn btn-sm btn-outline-secondary source-flag ms-1"
+                                        data-action="flag-source" data-source-index="${index}" aria-pressed="false"
+                                        title="Flag this chunk as irrelevant to the question">
+                                    <i class="bi bi-flag me-1"></i>
+                                    Irrelevant
+                                </button>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -48,12 +59,167 @@ const Components = {
         }).join('');
 
         return `
-            <div class="accordion" id="sourcesAccordion">
+            <div class="accordion" id="${accordionId}">
                 ${accordionItems}
             </div>
         `;
     },
 
+    /**
+     * Create badges for a chunk's metadata
+     * Values can come from uploaded files and tags, so keys and values are escaped.
+     * @param {Object} metadata - Source metadata
+     * @returns {string} Badge HTML, leaving out fields shown elsewhere and internal bookkeeping
+     */
+    metadataBadges(metadata) {
+        const hidden = [
+            'source', 'filename', 'heading_path', 'json_path',
+            'document_id', 'content_hash', 'uploaded_at', 'chunk_index'
+        ];
+
+        return Object.entries(metadata || {})
+            .filter(([key]) => !hidden.includes(key) && !key.startsWith('_'))
+            .map(([key, value]) => `<span class="badge bg-secondary me-1">${escapeHtml(key)}: ${escapeHtml(String(value))}</span>`)
+            .join('');
+    },
+
+    /**
+     * Create the heading path or JSON path of a chunk within its document
+     * @param {Object} metadata - Source metadata
+     * @returns {string} Breadcrumb HTML, or an empty string for unstructured sources
+     */
+    sectionPath(metadata) {
+        if (metadata?.heading_path) {
+            const headings = metadata.heading_path.split(' > ').map(heading => escapeHtml(heading));
+            return `
+                <div class="section-path" title="Section">
+                    <i class="bi bi-list-nested me-1"></i>
+                    ${headings.join('<i class="bi bi-chevron-right mx-1"></i>')}
+                </div>
+            `;
+        }
+
+        if (metadata?.json_path) {
+            return `
+                <div class="section-path" title="JSON path">
+                    <i class="bi bi-braces me-1"></i>
+                    <code>${escapeHtml(metadata.json_path)}</code>
+                </div>
+            `;
+        }
+
+        return '';
+    },
+
+    /**
+     * Create a chunk's content HTML; Markdown chunks are rendered, with the raw text on demand
+     * @param {Object} source - Source ({content, metadata})
+     * @param {string} rawId - Element ID for the raw text
+     * @returns {string} Content HTML
+     */
+    sourceContent(source, rawId) {
+        if (source.metadata?.file_type !== 'md' || !Markdown.isAvailable()) {
+            return `<pre class="source-content">${escapeHtml(source.content)}</pre>`;
+        }
+
+        return `
+            <div class="source-rendered markdown-body">${Markdown.render(source.content)}</div>
+            <button type="button" class="btn btn-sm btn-link px-0" data-bs-toggle="collapse"
+                    data-bs-target="#${rawId}" aria-expanded="false" aria-controls="${rawId}">
+                <i class="bi bi-markdown me-1"></i>
+                Markdown source
+            </button>
+            <pre class="source-content collapse" id="${rawId}">${escapeHtml(source.content)}</pre>
+        `;
+    },
+
+    /**
+     * Create the button that opens a chunk in its original document
+     * @param {Object} metadata - Source metadata
+     * @param {string} filename - File name shown in the viewer
+     * @returns {string} Button HTML, or an empty string if the original is not available
+     */
+    viewSourceButton(metadata, filename) {
+        if (!SourceViewer.isAvailable(metadata)) {
+            return '';
+        }
+
+        return `
+            <button type="button" class="btn btn-sm btn-outline-primary ms-auto text-nowrap"
+                    data-action="view-source"
+                    data-document-id="${escapeHtml(metadata.document_id)}"
+                    data-file-type="${escapeHtml(metadata.file_type)}"
+                    data-filename="${escapeHtml(filename)}"
+                    ${Number.isInteger(metadata.page) ? `data-page="${metadata.page}"` : ''}
+                    ${Number.isInteger(metadata.row) ? `data-row="${metadata.row}"` : ''}
+                    title="Open this passage in the original document">
+                <i class="bi bi-file-earmark-text me-1"></i>
+                View in document
+            </button>
+        `;
+    },
+
+    /**
+     * Create ranked search results HTML
+     * @param {Array} results - Search results ({id, content, metadata, relevance_score})
+     * @param {string} query - Search query, used to highlight matching terms
+     * @returns {string} Search results HTML
+     */
+    searchResults(results, query) {
+        if (!results || results.length === 0) {
+            return this.emptyState('No matching chunks found', 'search');
+        }
+
+        const hits = results.map((result, index) => {
+            const sourceTitle = result.metadata?.source || result.metadata?.filename || 'Unknown Source';
+            const page = result.metadata?.page !== undefined ? ` (Page ${result.metadata.page})` : '';
+            const label = `${sourceTitle}${page}`;
+            const metadata = this.metadataBadges(result.metadata);
+
+            return `
+                <div class="search-hit">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div class="fw-semibold">
+                            <span class="badge bg-dark me-2">#${index + 1}</span>
+                            <i class="bi ${getFileIcon(result.metadata?.file_type)} me-1"></i>
+                            ${escapeHtml(label)}
+                        </div>
+                        <span class="badge bg-${getScoreColor(result.relevance_score)}">
+                            Score: ${result.relevance_score.toFixed(4)}
+                        </span>
+                    </div>
+                    ${this.sectionPath(result.metadata)}
+                    <pre class="source-content mt-2">${highlightTerms(result.content, query)}</pre>
+                    <div class="d-flex justify-content-between align-items-center mt-2">
+                        <div>${metadata}</div>
+                        <div class="d-flex gap-1">
+                            ${this.viewSourceButton(result.metadata, sourceTitle)}
+                            ${result.id ? `
+                                <button type="button" class="btn btn-sm btn-outline-primary"
+                                        data-action="ask-chunk"
+                                        data-chunk-id="${escapeHtml(result.id)}"
+                                        data-chunk-label="${escapeHtml(label)}">
+                                    <i class="bi bi-chat-left-text me-1"></i>
+                                    Ask about this chunk
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="search-results">
+                <div class="question-text">
+                    <strong>Search:</strong> ${escapeHtml(query)}
+                    <span class="badge bg-info ms-2">${results.length} chunks</span>
+                </div>
+                ${hits}
+            </div>
+        `;
+    },
+
     /**
      * Create evaluation display HTML
      * @param {Object} evaluation - Evaluation scores
@@ -203,6 +369,451 @@ const Components = {
         `;
     },
 
+    /**
+     * Create upload queue row HTML
+     * @param {Object} item - Upload queue item
+     * @returns {string} Queue row HTML
+     */
+    uploadQueueItem(item) {
+        const statusBadge = {
+            queued: '<span class="badge bg-secondary">Queued</span>',
+            uploading: '<span class="badge bg-primary">Uploading</span>',
+            done: `<span class="badge bg-success">${item.result?.chunks_created || 0} chunks</span>`,
+            error: '<span class="badge bg-danger">Failed</span>',
+            invalid: '<span class="badge bg-danger">Invalid</span>',
+            cancelled: '<span class="badge bg-warning text-dark">Cancelled</span>'
+        }[item.status];
+
+        const percent = Math.round(item.progress);
+        const barClass = {
+            done: 'bg-success',
+            error: 'bg-danger',
+            cancelled: 'bg-warning'
+        }[item.status] || 'progress-bar-striped progress-bar-animated';
+
+        const actions = [];
+        if (item.status === 'queued' || item.status === 'uploading') {
+            actions.push(`
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="cancel" title="Cancel upload">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            `);
+        }
+        if (item.status === 'error' || item.status === 'cancelled') {
+            actions.push(`
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="retry" title="Retry upload">
+                    <i class="bi bi-arrow-clockwise"></i>
+                </button>
+            `);
+        }
+
+        return `
+            <div class="upload-queue-item" data-upload-id="${item.id}">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div class="upload-file-name">
+                        <i class="bi bi-file-earmark me-2"></i>
+                        ${escapeHtml(item.file.name)}
+                        <span class="text-muted small ms-2">${formatFileSize(item.file.size)}</span>
+                    </div>
+                    <div class="d-flex align-items-center gap-2">
+                        ${statusBadge}
+                        ${actions.join('')}
+                    </div>
+                </div>
+                ${item.status === 'invalid' ? '' : `
+                    <div class="progress mt-2">
+                        <div class="progress-bar ${barClass}" role="progressbar" style="width: ${percent}%">${percent}%</div>
+                    </div>
+                `}
+                ${item.error && item.status !== 'cancelled' ? `<div class="text-danger small mt-1">${escapeHtml(item.error)}</div>` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the list of unfinished resumable uploads
+     * @param {Array} uploads - Records from ResumableUploader.interrupted ({fingerprint, filename, size, receivedBytes, startedAt})
+     * @returns {string} List HTML, or an empty string if there are none
+     */
+    interruptedUploads(uploads) {
+        if (!uploads || uploads.length === 0) {
+            return '';
+        }
+
+        const rows = uploads.map((upload) => {
+            const percent = upload.receivedBytes === null ? null : Math.round((upload.receivedBytes / upload.size) * 100);
+
+            return `
+                <div class="d-flex justify-content-between align-items-center gap-2 py-1" data-fingerprint="${escapeHtml(upload.fingerprint)}">
+                    <div class="text-break">
+                        <i class="bi bi-file-earmark-arrow-up me-1"></i>
+                        ${escapeHtml(upload.filename)}
+                        <span class="text-muted small ms-1">
+                            ${percent === null ? formatFileSize(upload.size) : `${percent}% of ${formatFileSize(upload.size)}`}
+                            &middot; started ${formatRelativeTime(upload.startedAt)}
+                        </span>
+                    </div>
+                    <div class="btn-group btn-group-sm flex-shrink-0">
+                        <button type="button" class="btn btn-outline-primary" data-action="resume-upload" title="Select the same file to continue">
+                            <i class="bi bi-play-fill me-1"></i>Resume
+                        </button>
+                        <button type="button" class="btn btn-outline-danger" data-action="discard-upload" title="Discard the uploaded parts">
+                            <i class="bi bi-x-lg"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="alert alert-warning interrupted-uploads">
+                <div class="fw-semibold mb-1">
+                    <i class="bi bi-pause-circle me-1"></i>
+                    Unfinished uploads
+                </div>
+                <p class="small mb-2">Select the same file again to continue where the upload stopped.</p>
+                ${rows}
+            </div>
+        `;
+    },
+
+    /**
+     * Create the preflight report for files about to be uploaded
+     * @param {Array} reports - Preflight reports ({file, hash, error, warnings, preview})
+     * @returns {string} Report HTML
+     */
+    preflightReport(reports) {
+        return reports.map((report, index) => {
+            let status;
+            if (report.error) {
+                status = `<span class="badge bg-danger">${escapeHtml(report.error)}</span>`;
+            } else if (report.warnings.length > 0) {
+                status = report.warnings.map(warning => `<span class="badge bg-warning text-dark">${escapeHtml(warning)}</span>`).join(' ');
+            } else {
+                status = '<span class="badge bg-success">Ready</span>';
+            }
+
+            return `
+                <div class="preflight-item" data-preflight-index="${index}">
+                    <div class="d-flex align-items-start gap-2">
+                        <input class="form-check-input mt-1" type="checkbox" id="preflight-${index}"
+                               ${report.error ? 'disabled' : ''} ${!report.error && report.warnings.length === 0 ? 'checked' : ''}>
+                        <div class="flex-grow-1">
+                            <label class="form-check-label fw-semibold" for="preflight-${index}">
+                                ${escapeHtml(report.file.name)}
+                            </label>
+                            <span class="text-muted small ms-2">${formatFileSize(report.file.size)}</span>
+                            ${report.hash ? `<span class="text-muted small ms-2" title="SHA-256 ${report.hash}">${report.hash.slice(0, 12)}</span>` : ''}
+                            <div class="mt-1">${status}</div>
+                            ${report.preview ? `
+                                <details class="mt-2" ${reports.length <= 3 ? 'open' : ''}>
+                                    <summary class="small text-muted">Preview</summary>
+                                    ${this.filePreview(report.preview)}
+                                </details>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Create a file preview HTML
+     * @param {Object} preview - Preview from UploadPreflight.preview
+     * @returns {string} Preview HTML
+     */
+    filePreview(preview) {
+        if (preview.type === 'csv') {
+            const [header = [], ...rows] = preview.rows;
+            return `
+                <div class="table-responsive file-preview">
+                    <table class="table table-sm table-bordered mb-0">
+                        <thead class="table-light">
+                            <tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(truncateText(cell, 80))}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        if (preview.type === 'pdf') {
+            return `
+                <div class="small text-muted mb-1">Page 1 of ${preview.pages}</div>
+                <pre class="file-preview">${escapeHtml(preview.text || 'No text found on the first page')}</pre>
+            `;
+        }
+
+        return `<pre class="file-preview">${escapeHtml(preview.lines.join('\n'))}</pre>`;
+    },
+
+    /**
+     * Create upload batch summary HTML
+     * @param {Object} summary - Summary from UploadQueue.summary()
+     * @returns {string} Summary HTML
+     */
+    uploadSummary(summary) {
+        const allDone = summary.failed === 0;
+
+        return `
+            <div class="upload-result">
+                <div class="result-title">
+                    <i class="bi ${allDone ? 'bi-check-circle-fill text-success' : 'bi-exclamation-circle-fill text-warning'} me-2"></i>
+                    Batch ${allDone ? 'Complete' : 'Finished with Errors'}
+                </div>
+                <div class="result-details">
+                    <span class="badge bg-primary">Files: ${summary.done} / ${summary.total}</span>
+                    <span class="badge bg-info">Chunks: ${summary.chunks}</span>
+                    ${summary.failed ? `<span class="badge bg-danger">Failed: ${summary.failed}</span>` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create query history list item HTML
+     * @param {Object} entry - History entry
+     * @param {boolean} selected - Whether the entry is selected for export
+     * @returns {string} History item HTML
+     */
+    historyItem(entry, selected = false) {
+        const faithfulness = entry.evaluation?.faithfulness;
+        const scoreBadge = faithfulness !== null && faithfulness !== undefined
+            ? `<span class="badge bg-${getScoreColor(faithfulness)}">F ${faithfulness.toFixed(2)}</span>`
+            : '';
+
+        return `
+            <div class="history-item" data-history-id="${entry.id}">
+                <div class="d-flex gap-2">
+                    <input type="checkbox" class="form-check-input flex-shrink-0 mt-1" data-action="select-history" ${selected ? 'checked' : ''} aria-label="Select for export">
+                    <div class="history-question">${escapeHtml(truncateText(entry.question, 120))}</div>
+                </div>
+                <div class="history-answer text-muted small">${escapeHtml(truncateText(entry.answer, 160))}</div>
+                <div class="d-flex justify-content-between align-items-center mt-2">
+                    <div class="d-flex align-items-center gap-1 small text-muted">
+                        <span title="${escapeHtml(formatTimestamp(entry.timestamp))}">${formatRelativeTime(entry.timestamp)}</span>
+                        ${entry.sources?.length ? `<span class="badge bg-secondary">${entry.sources.length} sources</span>` : ''}
+                        ${scoreBadge}
+                    </div>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" data-action="view" title="View answer">
+                            <i class="bi bi-eye"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-primary" data-action="rerun" title="Ask again">
+                            <i class="bi bi-arrow-repeat"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-danger" data-action="delete" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create document library table HTML
+     * @param {Array} documents - Ingested documents ({document_id, filename, file_type, chunk_count, uploaded_at, tags})
+     * @returns {string} Document table HTML
+     */
+    documentLibrary(documents) {
+        if (!documents || documents.length === 0) {
+            return this.emptyState('No documents ingested yet', 'folder2-open');
+        }
+
+        const rows = documents.map(doc => `
+            <tr data-document-id="${escapeHtml(doc.document_id)}" data-filename="${escapeHtml(doc.filename)}">
+                <td class="text-break">
+                    <i class="bi ${getFileIcon(doc.file_type)} me-1"></i>
+                    ${escapeHtml(doc.filename)}
+                    ${(doc.tags || []).map(tag => `<span class="badge rounded-pill bg-light text-dark border ms-1">${escapeHtml(tag)}</span>`).join('')}
+                </td>
+                <td><span class="badge bg-secondary text-uppercase">${escapeHtml(doc.file_type || '?')}</span></td>
+                <td>${doc.chunk_count}</td>
+                <td class="small text-muted">
+                    ${doc.uploaded_at
+                        ? `<span title="${escapeHtml(formatTimestamp(doc.uploaded_at))}">${formatRelativeTime(doc.uploaded_at)}</span>`
+                        : 'Unknown'}
+                </td>
+                <td class="text-end">
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" data-action="view-chunks" title="Browse chunks">
+                            <i class="bi bi-eye"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-primary" data-action="reingest" title="Re-ingest from a new file">
+                            <i class="bi bi-arrow-repeat"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-danger" data-action="delete-document" title="Delete document">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle document-library">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Type</th>
+                            <th>Chunks</th>
+                            <th>Uploaded</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Create document chunk list HTML
+     * @param {Array} chunks - Stored chunks ({id, content, metadata})
+     * @returns {string} Chunk list HTML
+     */
+    documentChunks(chunks) {
+        return chunks.map((chunk, index) => {
+            const page = chunk.metadata?.page !== undefined ? `Page ${chunk.metadata.page}` : '';
+
+            return `
+                <div class="document-chunk">
+                    <div class="d-flex justify-content-between small text-muted mb-1">
+                        <span>Chunk ${index + 1}${page ? ` &middot; ${escapeHtml(page)}` : ''}</span>
+                        <span>${chunk.content.length} characters</span>
+                    </div>
+                    ${this.sectionPath(chunk.metadata)}
+                    <pre class="source-content">${escapeHtml(chunk.content)}</pre>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Create a score badge for evaluation tables
+     * @param {number|null} score - Score value (0-1)
+     * @returns {string} Badge HTML
+     */
+    scoreBadge(score) {
+        if (score === null || score === undefined) {
+            return '<span class="badge bg-secondary">N/A</span>';
+        }
+        return `<span class="badge bg-${getScoreColor(score)}">${score.toFixed(2)}</span>`;
+    },
+
+    /**
+     * Create batch evaluation summary HTML
+     * @param {Object} summary - Summary from EvaluationRunner.summarize
+     * @returns {string} Summary HTML
+     */
+    evaluationSummary(summary) {
+        const metricRow = (label, stats) => `
+            <tr>
+                <th>${label}</th>
+                <td>${this.scoreBadge(stats.mean)}</td>
+                <td>${this.scoreBadge(stats.median)}</td>
+                <td>${this.scoreBadge(stats.min)}</td>
+            </tr>
+        `;
+
+        return `
+            <div class="row g-3">
+                <div class="col-md-4">${this.collectionStat(String(summary.total), 'Questions Run')}</div>
+                <div class="col-md-4">${this.collectionStat(String(summary.scored), 'Scored')}</div>
+                <div class="col-md-4">${this.collectionStat(String(summary.failed), 'With Errors')}</div>
+            </div>
+            <table class="table table-sm align-middle mt-3 evaluation-summary">
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>Mean</th>
+                        <th>Median</th>
+                        <th>Min</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${metricRow('Faithfulness', summary.faithfulness)}
+                    ${metricRow('Answer Relevancy', summary.answer_relevancy)}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Create worst performers list HTML
+     * @param {Array} results - Lowest scoring results
+     * @returns {string} Worst performers HTML
+     */
+    worstPerformers(results) {
+        if (results.length === 0) return '';
+
+        const items = results.map(result => `
+            <li class="list-group-item">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <div>
+                        <span class="text-muted me-1">#${result.index}</span>
+                        ${escapeHtml(result.question)}
+                        <div class="small text-muted mt-1">${escapeHtml(truncateText(result.answer || '', 200))}</div>
+                    </div>
+                    <div class="text-nowrap">
+                        <span class="small text-muted">F</span> ${this.scoreBadge(result.faithfulness)}
+                        <span class="small text-muted ms-1">AR</span> ${this.scoreBadge(result.answer_relevancy)}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+
+        return `
+            <h5>Worst Performers</h5>
+            <ul class="list-group">${items}</ul>
+        `;
+    },
+
+    /**
+     * Create batch evaluation results table HTML
+     * @param {Array} results - Run results
+     * @returns {string} Results table HTML
+     */
+    evaluationResultsTable(results) {
+        const rows = results.map(result => `
+            <tr>
+                <td class="text-muted">${result.index}</td>
+                <td>
+                    ${escapeHtml(result.question)}
+                    ${result.reference ? `<div class="small text-muted mt-1"><strong>Reference:</strong> ${escapeHtml(truncateText(result.reference, 200))}</div>` : ''}
+                </td>
+                <td class="small">
+                    ${result.answer ? escapeHtml(truncateText(result.answer, 200)) : ''}
+                    ${result.error ? `<div class="text-danger mt-1">${escapeHtml(result.error)}</div>` : ''}
+                </td>
+                <td>${this.scoreBadge(result.faithfulness)}</td>
+                <td>${this.scoreBadge(result.answer_relevancy)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle evaluation-results">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Question</th>
+                            <th>Answer</th>
+                            <th>Faithfulness</th>
+                            <th>Relevancy</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
     /**
      * Create status card HTML
      * @param {string} label - Status label
@@ -219,6 +830,77 @@ const Components = {
         `;
     },
 
+    /**
+     * Create the session health history: summary figures, check timeline, question timings and flaps
+     * @param {Object} history - History from StatusMonitor.snapshot
+     * @returns {string} Status history HTML
+     */
+    statusHistory(history) {
+        const { samples, queryTimings, flaps, uptime, since, latency } = history;
+
+        if (!samples.length) {
+            return `<p class="text-muted mb-0">No checks yet.</p>`;
+        }
+
+        const stateLabels = { healthy: 'Healthy', degraded: 'Degraded', down: 'Unhealthy' };
+        const current = samples[samples.length - 1];
+        const percentiles = (stats) => stats.count
+            ? `${formatProcessingTime(stats.p50)} / ${formatProcessingTime(stats.p95)}`
+            : '-';
+
+        // Bar height shows the response time; failed checks are drawn full height
+        const maxLatency = Math.max(1, ...samples.map(sample => sample.latencyMs || 0));
+        const checkBars = samples.map(sample => {
+            const height = sample.latencyMs === null ? 100 : Math.max(8, (sample.latencyMs / maxLatency) * 100);
+            const detail = sample.latencyMs === null ? String(sample.error) : formatProcessingTime(sample.latencyMs);
+            const title = `${new Date(sample.time).toLocaleTimeString()}: ${stateLabels[sample.state]} (${detail})`;
+            return `<span class="timeline-bar state-${sample.state}" style="height: ${height}%" title="${escapeHtml(title)}"></span>`;
+        }).join('');
+
+        const maxDuration = Math.max(1, ...queryTimings.map(timing => timing.durationMs));
+        const queryBars = queryTimings.map(timing => {
+            const height = Math.max(8, (timing.durationMs / maxDuration) * 100);
+            const title = `${new Date(timing.time).toLocaleTimeString()}: ${formatProcessingTime(timing.durationMs)}`;
+            return `<span class="timeline-bar state-query" style="height: ${height}%" title="${escapeHtml(title)}"></span>`;
+        }).join('');
+
+        const flapItems = flaps.slice(-5).reverse().map(flap => `
+            <li>
+                <i class="bi ${flap.connected ? 'bi-plug text-success' : 'bi-plug-fill text-danger'} me-1"></i>
+                Qdrant ${flap.connected ? 'reconnected' : 'disconnected'} at ${new Date(flap.time).toLocaleTimeString()}
+            </li>
+        `).join('');
+
+        return `
+            <div class="row g-2 mb-3">
+                <div class="col-6 col-md-3">${this.collectionStat(`${(uptime * 100).toFixed(1)}%`, 'Session Uptime')}</div>
+                <div class="col-6 col-md-3">${this.collectionStat(`${stateLabels[current.state]} ${formatDuration(Date.now() - since)}`, 'Current State')}</div>
+                <div class="col-6 col-md-3">${this.collectionStat(String(flaps.length), 'Qdrant Flaps')}</div>
+                <div class="col-6 col-md-3">${this.collectionStat(String(samples.length), 'Checks')}</div>
+            </div>
+
+            <div class="d-flex justify-content-between small text-muted">
+                <span>Checks (bar height: response time)</span>
+                <span>p50 / p95: ${percentiles(latency.health)}</span>
+            </div>
+            <div class="status-timeline" role="img" aria-label="Timeline of the last ${samples.length} health checks">${checkBars}</div>
+            <div class="d-flex justify-content-between small text-muted mb-3">
+                <span>${new Date(samples[0].time).toLocaleTimeString()}</span>
+                <span>${new Date(current.time).toLocaleTimeString()}</span>
+            </div>
+
+            <div class="d-flex justify-content-between small text-muted">
+                <span>Questions (time to finished answer)</span>
+                <span>p50 / p95: ${percentiles(latency.queries)}</span>
+            </div>
+            ${queryTimings.length
+                ? `<div class="status-timeline mb-3" role="img" aria-label="Response times of the last ${queryTimings.length} questions">${queryBars}</div>`
+                : '<p class="small text-muted">No questions asked yet.</p>'}
+
+            ${flapItems ? `<ul class="list-unstyled small mb-0 status-flaps">${flapItems}</ul>` : ''}
+        `;
+    },
+
     /**
      * Create collection stat card HTML
      * @param {string} value - Stat value
@@ -254,17 +936,23 @@ const Components = {
      * Create answer display HTML
      * @param {Object} queryResult - Query result object
      * @param {boolean} isStreaming - Whether this is a streaming response
+     * @param {string} accordionId - Sources accordion to link citation markers to
      * @returns {string} Answer display HTML
      */
-    answerDisplay(queryResult, isStreaming = false) {
+    answerDisplay(queryResult, isStreaming = false, accordionId = null) {
         const questionHtml = `
             <div class="question-text">
                 <strong>Question:</strong> ${escapeHtml(queryResult.question)}
             </div>
         `;
 
+        let renderedAnswer = Markdown.render(queryResult.answer, { streaming: isStreaming });
+        if (accordionId && queryResult.sources?.length) {
+            renderedAnswer = Citations.annotate(renderedAnswer, queryResult.sources, accordionId);
+        }
+
         const answerHtml = `
-            <div class="answer-text">${escapeHtml(queryResult.answer)}</div>
+            <div class="answer-text markdown-body">${renderedAnswer}</div>
         `;
 
         const processingTimeHtml = queryResult.processing_time_ms
@@ -285,9 +973,403 @@ const Components = {
         `;
     },
 
+    /**
+     * Create the Export menu of an answer or of selected history entries
+     * @param {Object} attributes - Data attributes identifying what to export, e.g. {'result-key': key}
+     * @param {string} label - Button label
+     * @param {boolean} disabled - Whether the menu is disabled
+     * @returns {string} Export menu HTML
+     */
+    exportMenu(attributes, label = 'Export', disabled = false) {
+        const data = Object.entries(attributes)
+            .map(([name, value]) => `data-${name}="${escapeHtml(String(value))}"`)
+            .join(' ');
+        const item = (format, icon, text) => `
+            <li>
+                <button type="button" class="dropdown-item" data-action="export-answer" data-format="${format}" ${data}>
+                    <i class="bi ${icon} me-2"></i>${text}
+                </button>
+            </li>
+        `;
+
+        return `
+            <div class="dropdown export-menu">
+                <button type="button" class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false" ${disabled ? 'disabled' : ''}>
+                    <i class="bi bi-box-arrow-up me-1"></i>
+                    ${escapeHtml(label)}
+                </button>
+                <ul class="dropdown-menu">
+                    ${item('markdown', 'bi-markdown', 'Markdown')}
+                    ${item('html', 'bi-filetype-html', 'HTML page')}
+                    ${item('pdf', 'bi-printer', 'Print / PDF')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Create answer feedback controls HTML
+     * @param {string} feedbackKey - Key of the rendered result the feedback is about
+     * @returns {string} Feedback controls HTML
+     */
+    feedbackControls(feedbackKey) {
+        return `
+            <div class="answer-feedback" data-feedback-key="${escapeHtml(feedbackKey)}">
+                <div class="d-flex align-items-center gap-2">
+                    <span class="small text-muted">Was this answer helpful?</span>
+                    <button type="button" class="btn btn-sm btn-outline-success" data-action="feedback-rate" data-rating="up" title="Good answer">
+                        <i class="bi bi-hand-thumbs-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="feedback-rate" data-rating="down" title="Bad answer">
+                        <i class="bi bi-hand-thumbs-down"></i>
+                    </button>
+                    <span class="feedback-status small text-muted"></span>
+                </div>
+                <div class="feedback-form mt-2 d-none">
+                    <div class="row g-2">
+                        <div class="col-sm-4 feedback-reason-group">
+                            <select class="form-select form-select-sm" name="reason" aria-label="Reason">
+                                <option value="">Reason...</option>
+                                <option value="wrong">Wrong</option>
+                                <option value="incomplete">Incomplete</option>
+                                <option value="hallucinated">Hallucinated</option>
+                                <option value="bad_sources">Bad sources</option>
+                            </select>
+                        </div>
+                        <div class="col-sm-8">
+                            <textarea class="form-control form-control-sm" name="correction" rows="2" maxlength="5000"
+                                      placeholder="Correction or expected answer (optional)"></textarea>
+                        </div>
+                    </div>
+                    <div class="small text-muted mt-1">Flag irrelevant chunks in the sources below before submitting.</div>
+                    <button type="button" class="btn btn-sm btn-primary mt-2" data-action="feedback-submit">
+                        Submit feedback
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create feedback log entry HTML
+     * @param {Object} entry - Feedback entry
+     * @returns {string} Feedback entry HTML
+     */
+    feedbackItem(entry) {
+        const reasons = {
+            wrong: 'Wrong',
+            incomplete: 'Incomplete',
+            hallucinated: 'Hallucinated',
+            bad_sources: 'Bad sources'
+        };
+        const flagged = (entry.flagged_sources || [])
+            .map(index => entry.sources?.[index]?.metadata?.source || `Source ${index + 1}`);
+
+        return `
+            <div class="history-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="history-question">${escapeHtml(truncateText(entry.question, 120))}</div>
+                    <i class="bi bi-hand-thumbs-${entry.rating === 'up' ? 'up text-success' : 'down text-danger'} ms-2"></i>
+                </div>
+                <div class="history-answer text-muted small">${escapeHtml(truncateText(entry.answer, 160))}</div>
+                ${entry.correction ? `<div class="small mt-1"><strong>Correction:</strong> ${escapeHtml(truncateText(entry.correction, 200))}</div>` : ''}
+                <div class="d-flex flex-wrap align-items-center gap-1 small text-muted mt-2">
+                    <span title="${escapeHtml(formatTimestamp(entry.created_at))}">${formatRelativeTime(entry.created_at)}</span>
+                    ${entry.reason ? `<span class="badge bg-warning text-dark">${reasons[entry.reason] || escapeHtml(entry.reason)}</span>` : ''}
+                    ${flagged.map(name => `<span class="badge bg-secondary"><i class="bi bi-flag me-1"></i>${escapeHtml(name)}</span>`).join('')}
+                    ${entry.synced ? '' : '<span class="badge bg-light text-dark border">Local only</span>'}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Describe a compare mode configuration
+     * @param {Object} config - Configuration ({settings, includeSources, enableEvaluation, stream})
+     * @returns {string} Badges HTML
+     */
+    compareConfigSummary(config) {
+        const { topK, scoreThreshold, temperature } = config.settings;
+        const items = [
+            `top-k ${topK ?? 'default'}`,
+            scoreThreshold !== null ? `min score ${scoreThreshold}` : null,
+            `temperature ${temperature ?? 'default'}`,
+            config.stream ? 'streaming' : 'standard',
+            config.enableEvaluation ? 'RAGAS' : null,
+            config.includeSources ? null : 'no sources'
+        ].filter(Boolean);
+
+        return items.map(item => `<span class="badge bg-light text-dark border me-1">${escapeHtml(item)}</span>`).join('');
+    },
+
+    /**
+     * Create one column of a side-by-side comparison
+     * @param {string} label - Configuration label ('A' or 'B')
+     * @param {Object} config - Configuration ({settings, includeSources, enableEvaluation, stream})
+     * @param {Object} result - Query result, or {error}
+     * @param {string} accordionId - Unique ID for the sources accordion
+     * @param {Set<number>} sharedIndices - Indices of sources the other column also used
+     * @returns {string} Column HTML
+     */
+    compareColumn(label, config, result, accordionId, sharedIndices) {
+        let body;
+
+        if (result.error) {
+            body = this.errorAlert(result.error);
+        } else {
+            body = this.answerDisplay(result, false, accordionId);
+
+            if (result.sources && result.sources.length > 0) {
+                body += `
+                    <div class="sources-section">
+                        <div class="section-title">
+                            <i class="bi bi-file-text me-2"></i>
+                            Sources (${result.sources.length}, ${sharedIndices.size} shared)
+                        </div>
+                        ${this.sourceAccordion(result.sources, accordionId, sharedIndices)}
+                    </div>
+                `;
+            }
+
+            body += this.evaluationDisplay(result.evaluation);
+        }
+
+        return `
+            <div class="compare-column">
+                <div class="compare-column-header">
+                    <span class="badge bg-primary me-2">${escapeHtml(label)}</span>
+                    ${this.compareConfigSummary(config)}
+                </div>
+                ${body}
+            </div>
+        `;
+    },
+
+    /**
+     * Create a word-level diff of two answers
+     * @param {Array<{type: string, text: string}>} runs - Diff runs from Compare.diffWords
+     * @param {number} similarity - Share of common words (0-1)
+     * @returns {string} Diff HTML
+     */
+    answerDiff(runs, similarity) {
+        const text = runs.map((run) => {
+            if (run.type === 'insert') {
+                return `<ins title="Only in B">${escapeHtml(run.text)}</ins>`;
+            }
+            if (run.type === 'delete') {
+                return `<del title="Only in A">${escapeHtml(run.text)}</del>`;
+            }
+            return escapeHtml(run.text);
+        }).join(' ');
+
+        return `
+            <div class="answer-diff">
+                <div class="section-title d-flex justify-content-between align-items-center">
+                    <span>
+                        <i class="bi bi-file-diff me-2"></i>
+                        Answer differences
+                    </span>
+                    <span class="badge bg-secondary">${Math.round(similarity * 100)}% words in common</span>
+                </div>
+                <div class="small text-muted mb-2">
+                    <del>Only in A</del> <ins>Only in B</ins>
+                </div>
+                <div class="answer-diff-text">${text}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create stopped answer HTML, keeping any partial answer
+     * @param {string} question - Question text
+     * @param {string} partialAnswer - Answer text received before stopping
+     * @param {string} reason - Why the answer stopped
+     * @returns {string} Stopped answer HTML
+     */
+    stoppedAnswer(question, partialAnswer, reason) {
+        return `
+            <div class="answer-card answer-stopped">
+                <div class="question-text">
+                    <strong>Question:</strong> ${escapeHtml(question)}
+                </div>
+                ${partialAnswer ? `<div class="answer-text markdown-body">${Markdown.render(partialAnswer, { streaming: true })}</div>` : ''}
+                <div class="mt-2">
+                    <span class="badge bg-secondary">
+                        <i class="bi bi-stop-circle me-1"></i>
+                        ${escapeHtml(reason)}
+                    </span>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the navbar identity: the signed-in user with a menu, or a sign-in button
+     * @param {string|null} identity - Signed-in identity, or null when signed out
+     * @returns {string} Identity HTML
+     */
+    authIdentity(identity) {
+        if (!identity) {
+            return `
+                <button type="button" class="btn btn-sm btn-outline-light" data-action="sign-in">
+                    <i class="bi bi-box-arrow-in-right me-1"></i>
+                    Sign in
+                </button>
+            `;
+        }
+
+        return `
+            <div class="dropdown">
+                <button type="button" class="btn btn-sm btn-outline-light dropdown-toggle auth-identity" data-bs-toggle="dropdown" aria-expanded="false" title="${escapeHtml(identity)}">
+                    <i class="bi bi-person-circle me-1"></i>
+                    ${escapeHtml(identity)}
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    <li>
+                        <button type="button" class="dropdown-item" data-action="sign-in">
+                            <i class="bi bi-key me-2"></i>Change credentials
+                        </button>
+                    </li>
+                    <li>
+                        <button type="button" class="dropdown-item text-danger" data-action="sign-out">
+                            <i class="bi bi-box-arrow-right me-2"></i>Sign out
+                        </button>
+                    </li>
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the navbar workspace switcher
+     * @param {Array} workspaces - Workspaces ({id, name}), default first
+     * @param {string} activeId - ID of the active workspace
+     * @returns {string} Workspace switcher HTML
+     */
+    workspaceSwitcher(workspaces, activeId) {
+        const active = workspaces.find(workspace => workspace.id === activeId);
+        const name = active ? active.name : 'Workspace';
+        const isDefault = activeId === 'default';
+
+        const items = workspaces.map(workspace => `
+            <li>
+                <button type="button" class="dropdown-item ${workspace.id === activeId ? 'active' : ''}" data-action="switch-workspace" data-workspace-id="${escapeHtml(workspace.id)}">
+                    ${escapeHtml(workspace.name)}
+                </button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="dropdown">
+                <button type="button" class="btn btn-sm btn-outline-light dropdown-toggle workspace-switcher" data-bs-toggle="dropdown" aria-expanded="false" title="Workspace: ${escapeHtml(name)}">
+                    <i class="bi bi-collection me-1"></i>
+                    ${escapeHtml(name)}
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    <li><h6 class="dropdown-header">Workspaces</h6></li>
+                    ${items}
+                    <li><hr class="dropdown-divider"></li>
+                    <li>
+                        <button type="button" class="dropdown-item" data-action="new-workspace">
+                            <i class="bi bi-plus-lg me-2"></i>New workspace
+                        </button>
+                    </li>
+                    <li>
+                        <button type="button" class="dropdown-item" data-action="rename-workspace" ${active ? '' : 'disabled'}>
+                            <i class="bi bi-pencil me-2"></i>Rename
+                        </button>
+                    </li>
+                    <li>
+                        <button type="button" class="dropdown-item text-danger" data-action="delete-workspace" ${active && !isDefault ? '' : 'disabled'}>
+                            <i class="bi bi-trash me-2"></i>Delete
+                        </button>
+                    </li>
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Create the navbar notification center: a bell with the unread count and the recent history
+     * @param {Array} entries - Notifications, newest first
+     * @param {number} unread - Number of unread notifications
+     * @returns {string} Notification center HTML
+     */
+    notificationCenter(entries, unread) {
+        const icons = {
+            success: 'bi-check-circle text-success',
+            error: 'bi-x-circle text-danger',
+            warning: 'bi-exclamation-triangle text-warning',
+            info: 'bi-info-circle text-info'
+        };
+
+        const items = entries.slice(0, 20).map(entry => `
+            <li class="notification-item ${entry.read ? '' : 'unread'}">
+                <i class="bi ${icons[entry.type] || icons.info} me-2"></i>
+                <div class="flex-grow-1">
+                    ${entry.title ? `<div class="fw-semibold">${escapeHtml(entry.title)}</div>` : ''}
+                    <div>${escapeHtml(entry.message)}</div>
+                    <div class="text-muted">
+                        ${entry.kind === 'alert' ? '<span class="badge bg-secondary me-1">Alert</span>' : ''}
+                        ${formatRelativeTime(entry.time)}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+
+        return `
+            <div class="dropdown">
+                <button type="button" class="btn btn-sm btn-outline-light position-relative" data-bs-toggle="dropdown" data-bs-auto-close="outside" aria-expanded="false" aria-label="Notifications${unread ? `, ${unread} unread` : ''}">
+                    <i class="bi bi-bell"></i>
+                    ${unread ? `<span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">${unread > 99 ? '99+' : unread}</span>` : ''}
+                </button>
+                <div class="dropdown-menu dropdown-menu-end notification-menu p-0">
+                    <div class="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+                        <strong class="small">Notifications</strong>
+                        <div class="btn-group btn-group-sm">
+                            <button type="button" class="btn btn-link btn-sm text-decoration-none" data-action="alert-settings">
+                                <i class="bi bi-sliders me-1"></i>Alert rules
+                            </button>
+                            <button type="button" class="btn btn-link btn-sm text-decoration-none text-danger" data-action="clear-notifications" ${entries.length ? '' : 'disabled'}>
+                                Clear
+                            </button>
+                        </div>
+                    </div>
+                    ${items
+                        ? `<ul class="list-unstyled mb-0 notification-list">${items}</ul>`
+                        : '<p class="small text-muted text-center my-3">No notifications yet.</p>'}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Create a pending turn for a question queued while offline
+     * @param {Object} entry - Queued entry ({id, request, queuedAt})
+     * @returns {string} Queued question HTML
+     */
+    queuedQuestion(entry) {
+        return `
+            <div class="answer-card answer-queued">
+                <div class="question-text">
+                    <strong>Question:</strong> ${escapeHtml(entry.request.question)}
+                </div>
+                <div class="d-flex align-items-center gap-2 mt-2">
+                    <span class="badge bg-warning text-dark">
+                        <i class="bi bi-clock me-1"></i>
+                        Queued ${formatRelativeTime(entry.queuedAt)} &middot; sent when back online
+                    </span>
+                    <button type="button" class="btn btn-sm btn-link text-danger p-0" data-action="cancel-queued" data-queued-id="${escapeHtml(entry.id)}">
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
     /**
      * Create error alert HTML
-     * @param {string} error - Error message
+     * @param {string|APIError} error - Error message, or an API error whose request ID is shown for support
      * @returns {string} Error alert HTML
      */
     errorAlert(error) {
@@ -295,6 +1377,7 @@ const Components = {
             <div class="alert alert-danger alert-dismissible fade show" role="alert">
                 <i class="bi bi-exclamation-triangle me-2"></i>
                 <strong>Error:</strong> ${escapeHtml(error)}
+                ${error?.status && error.requestId ? `<div class="small text-muted mt-1">Request ID: <code>${escapeHtml(error.requestId)}</code></div>` : ''}
                 <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
             </div>
         `;
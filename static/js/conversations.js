@@ -0,0 +1,160 @@
+/**
+ * Conversation thread store for multi-turn chat
+ */
+
+class ConversationStore {
+    /**
+     * @param {string} storageKey - localStorage key for saved threads
+     * @param {number} maxThreads - Maximum number of threads to keep
+     */
+    constructor(storageKey = 'rag-qa-conversations', maxThreads = 20) {
+        this.storageKey = storageKey;
+        this.maxThreads = maxThreads;
+        this.threads = [];
+        this.activeId = null;
+        this.load();
+    }
+
+    /**
+     * Load threads from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.threads = Array.isArray(saved.threads) ? saved.threads : [];
+            this.activeId = saved.activeId || null;
+        } catch (err) {
+            console.error('Failed to load conversations:', err);
+            this.threads = [];
+            this.activeId = null;
+        }
+
+        if (!this.active()) {
+            this.create();
+        }
+    }
+
+    /**
+     * Persist threads to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                threads: this.threads,
+                activeId: this.activeId
+            }));
+        } catch (err) {
+            console.error('Failed to save conversations:', err);
+        }
+    }
+
+    /**
+     * Get threads, most recently updated first
+     * @returns {Array} Threads
+     */
+    list() {
+        return [...this.threads].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * Get the active thread
+     * @returns {object|undefined} Active thread
+     */
+    active() {
+        return this.threads.find(thread => thread.id === this.activeId);
+    }
+
+    /**
+     * Create a new thread and make it active
+     * @returns {object} New thread
+     */
+    create() {
+        const now = new Date().toISOString();
+        const thread = {
+            id: `thread-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            title: 'New conversation',
+            createdAt: now,
+            updatedAt: now,
+            turns: []
+        };
+
+        this.threads.push(thread);
+        this.activeId = thread.id;
+
+        // Drop the oldest threads beyond the limit
+        if (this.threads.length > this.maxThreads) {
+            this.threads = this.list().slice(0, this.maxThreads);
+        }
+
+        this.save();
+        return thread;
+    }
+
+    /**
+     * Switch the active thread
+     * @param {string} id - Thread ID
+     * @returns {object|undefined} Selected thread
+     */
+    select(id) {
+        if (this.threads.some(thread => thread.id === id)) {
+            this.activeId = id;
+            this.save();
+        }
+        return this.active();
+    }
+
+    /**
+     * Delete a thread; a fresh thread is created if none remain active
+     * @param {string} id - Thread ID
+     */
+    remove(id) {
+        this.threads = this.threads.filter(thread => thread.id !== id);
+
+        if (this.activeId === id) {
+            const [latest] = this.list();
+            this.activeId = latest ? latest.id : null;
+        }
+
+        if (!this.active()) {
+            this.create();
+        } else {
+            this.save();
+        }
+    }
+
+    /**
+     * Append a completed question/answer turn to the active thread
+     * @param {object} turn - Query result ({question, answer, sources, evaluation, processing_time_ms})
+     */
+    addTurn(turn) {
+        const thread = this.active();
+        if (!thread) return;
+
+        if (thread.turns.length === 0) {
+            thread.title = truncateText(turn.question, 60);
+        }
+
+        thread.turns.push({ ...turn, timestamp: new Date().toISOString() });
+        thread.updatedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Build conversation history for the API from the active thread
+     * @param {number} maxTurns - Number of most recent turns to include
+     * @returns {Array<{role: string, content: string}>} Chat messages
+     */
+    history(maxTurns = 5) {
+        const thread = this.active();
+        if (!thread) return [];
+
+        return thread.turns.slice(-maxTurns).flatMap(turn => [
+            { role: 'user', content: turn.question },
+            // Keep long answers within the API's message size limit
+            { role: 'assistant', content: truncateText(turn.answer, 4000) }
+        ]);
+    }
+}
+
+// Export for use in other scripts
+window.ConversationStore = ConversationStore;
@@ -0,0 +1,215 @@
+/**
+ * Batch evaluation of golden question sets with RAGAS scores
+ */
+
+class EvaluationRunner {
+    /**
+     * @param {APIClient} client - API client used to run the queries
+     */
+    constructor(client) {
+        this.client = client;
+        this.results = [];
+        this.controller = null;
+    }
+
+    /**
+     * Parse a golden dataset
+     * CSV files need a `question` column; JSONL files need a `question` field per line.
+     * A reference answer is read from `reference`, `reference_answer`, `ground_truth` or `answer`.
+     * @param {string} text - File contents
+     * @param {string} filename - File name, used to pick the format
+     * @returns {{rows: Array<{question: string, reference: string|null}>, error: string|null}} Parsed rows or error
+     */
+    static parseDataset(text, filename) {
+        const referenceKeys = ['reference', 'reference_answer', 'ground_truth', 'answer'];
+        const toRow = (record) => {
+            const referenceKey = referenceKeys.find(key => record[key]);
+            return {
+                question: String(record.question || '').trim(),
+                reference: referenceKey ? String(record[referenceKey]) : null
+            };
+        };
+
+        let records;
+
+        if (filename.toLowerCase().endsWith('.csv')) {
+            const [header, ...lines] = parseCSV(text);
+            if (!header) {
+                return { rows: [], error: 'The file is empty' };
+            }
+
+            const columns = header.map(name => name.trim().toLowerCase());
+            if (!columns.includes('question')) {
+                return { rows: [], error: 'CSV needs a "question" column' };
+            }
+
+            records = lines.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i]])));
+        } else {
+            records = [];
+            const lines = text.split(/\r?\n/);
+
+            for (let i = 0; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+                try {
+                    records.push(JSON.parse(lines[i]));
+                } catch (err) {
+                    return { rows: [], error: `Invalid JSON on line ${i + 1}` };
+                }
+            }
+        }
+
+        const rows = records.map(toRow);
+        const invalid = rows.findIndex(row => !validateQuestion(row.question).valid);
+        if (invalid !== -1) {
+            return {
+                rows: [],
+                error: `Row ${invalid + 1}: ${validateQuestion(rows[invalid].question).error}`
+            };
+        }
+
+        if (rows.length === 0) {
+            return { rows: [], error: 'The dataset has no questions' };
+        }
+
+        return { rows, error: null };
+    }
+
+    /**
+     * Run every row through the query API with evaluation enabled, one at a time
+     * @param {Array<{question: string, reference: string|null}>} rows - Dataset rows
+     * @param {Object} options - Run options ({settings, timeout, onResult})
+     * @returns {Promise<Array>} Results, including those finished before a stop
+     */
+    async run(rows, options = {}) {
+        const { settings, timeout, onResult } = options;
+
+        this.controller = new AbortController();
+        this.results = [];
+
+        for (let index = 0; index < rows.length; index++) {
+            if (this.controller.signal.aborted) break;
+
+            const row = rows[index];
+            const { data, error, cancelled } = await this.client.query(row.question, true, true, [], {
+                signal: this.controller.signal,
+                timeout,
+                settings
+            });
+
+            if (cancelled) break;
+
+            const result = {
+                index: index + 1,
+                question: row.question,
+                reference: row.reference,
+                answer: data?.answer ?? null,
+                faithfulness: data?.evaluation?.faithfulness ?? null,
+                answer_relevancy: data?.evaluation?.answer_relevancy ?? null,
+                sources: data?.sources?.length ?? 0,
+                processing_time_ms: data?.processing_time_ms ?? null,
+                error: error?.message || data?.evaluation?.error || null
+            };
+
+            this.results.push(result);
+            if (onResult) onResult(result, index + 1, rows.length);
+        }
+
+        this.controller = null;
+        return this.results;
+    }
+
+    /**
+     * Stop the current run after the question in flight
+     */
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Check whether a run is in progress
+     * @returns {boolean} True while running
+     */
+    isRunning() {
+        return this.controller !== null;
+    }
+
+    /**
+     * Mean, median and minimum of a list of scores
+     * @param {Array<number>} values - Scores
+     * @returns {{mean: number|null, median: number|null, min: number|null}} Statistics
+     */
+    static stats(values) {
+        if (values.length === 0) {
+            return { mean: null, median: null, min: null };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return {
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            min: sorted[0]
+        };
+    }
+
+    /**
+     * Roll up results into aggregate scores
+     * @param {Array} results - Run results
+     * @returns {Object} Summary ({total, scored, failed, faithfulness, answer_relevancy})
+     */
+    static summarize(results) {
+        const scores = key => results.map(result => result[key]).filter(value => value !== null);
+
+        return {
+            total: results.length,
+            scored: results.filter(result => result.faithfulness !== null || result.answer_relevancy !== null).length,
+            failed: results.filter(result => result.error).length,
+            faithfulness: this.stats(scores('faithfulness')),
+            answer_relevancy: this.stats(scores('answer_relevancy'))
+        };
+    }
+
+    /**
+     * Get the lowest scoring results; the weaker of the two metrics decides
+     * @param {Array} results - Run results
+     * @param {number} count - Number of results to return
+     * @returns {Array} Worst results, lowest first
+     */
+    static worst(results, count = 5) {
+        const score = result => Math.min(result.faithfulness ?? 1, result.answer_relevancy ?? 1);
+
+        return results
+            .filter(result => result.faithfulness !== null || result.answer_relevancy !== null)
+            .sort((a, b) => score(a) - score(b))
+            .slice(0, count);
+    }
+
+    /**
+     * Serialize results and their summary to JSON
+     * @param {Array} results - Run results
+     * @returns {string} JSON text
+     */
+    static toJSON(results) {
+        return JSON.stringify({ summary: this.summarize(results), results }, null, 2);
+    }
+
+    /**
+     * Serialize results to CSV with one row per question
+     * @param {Array} results - Run results
+     * @returns {string} CSV text
+     */
+    static toCSV(results) {
+        const columns = [
+            'index', 'question', 'reference', 'answer', 'faithfulness',
+            'answer_relevancy', 'sources', 'processing_time_ms', 'error'
+        ];
+
+        return toCSV([columns, ...results.map(result => columns.map(column => result[column]))]);
+    }
+}
+
+// Export for use in other scripts
+window.EvaluationRunner = EvaluationRunner;
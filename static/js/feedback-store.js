@@ -0,0 +1,158 @@
+/**
+ * Answer feedback log: sent to the feedback endpoint, kept locally as fallback
+ */
+
+class FeedbackStore {
+    /**
+     * @param {APIClient} client - API client used to send feedback
+     * @param {string} storageKey - localStorage key for the local log
+     * @param {number} maxEntries - Maximum number of entries to keep
+     */
+    constructor(client, storageKey = 'rag-qa-feedback', maxEntries = 500) {
+        this.client = client;
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this.load();
+    }
+
+    /**
+     * Load the local log
+     * @returns {Array} Feedback entries, newest first
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+            console.error('Failed to load feedback:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the local log
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries.slice(0, this.maxEntries)));
+        } catch (err) {
+            console.error('Failed to save feedback:', err);
+        }
+    }
+
+    /**
+     * Record feedback locally and send it to the server
+     * @param {Object} feedback - Feedback ({rating, reason, correction, question, answer, sources, flagged_sources})
+     * @returns {Promise<Object>} Stored entry; `synced` tells whether the server accepted it
+     */
+    async submit(feedback) {
+        const entry = {
+            ...feedback,
+            client_id: `fb-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            created_at: new Date().toISOString(),
+            synced: false,
+            server_id: null
+        };
+
+        this.entries.unshift(entry);
+        this.save();
+
+        await this.send(entry);
+        return entry;
+    }
+
+    /**
+     * Send one entry to the feedback endpoint
+     * @param {Object} entry - Local feedback entry
+     * @returns {Promise<boolean>} True if the server stored it
+     */
+    async send(entry) {
+        const { synced, server_id: serverId, ...payload } = entry;
+        const { data, error } = await this.client.submitFeedback(payload);
+
+        if (error) {
+            // Kept locally; a later sync retries it
+            console.warn('Feedback kept locally:', error);
+            return false;
+        }
+
+        entry.synced = true;
+        entry.server_id = data.id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Retry sending entries the server has not accepted yet
+     * @returns {Promise<{sent: number, pending: number}>} Sync result
+     */
+    async syncPending() {
+        let sent = 0;
+
+        for (const entry of this.entries.filter(item => !item.synced)) {
+            if (await this.send(entry)) {
+                sent++;
+            } else {
+                break;
+            }
+        }
+
+        return { sent, pending: this.entries.filter(item => !item.synced).length };
+    }
+
+    /**
+     * Get all entries, newest first
+     * @returns {Array} Feedback entries
+     */
+    list() {
+        return this.entries;
+    }
+
+    /**
+     * Delete the local log
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * Serialize entries to JSON
+     * @param {Array} entries - Feedback entries
+     * @returns {string} JSON text
+     */
+    static toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    /**
+     * Serialize entries to CSV with one row per feedback
+     * @param {Array} entries - Feedback entries
+     * @returns {string} CSV text
+     */
+    static toCSV(entries) {
+        const columns = [
+            'created_at', 'rating', 'reason', 'question', 'answer', 'correction',
+            'flagged_sources', 'sources', 'synced'
+        ];
+
+        const rows = entries.map(entry => [
+            entry.created_at,
+            entry.rating,
+            entry.reason,
+            entry.question,
+            entry.answer,
+            entry.correction,
+            (entry.flagged_sources || [])
+                .map(index => entry.sources?.[index]?.metadata?.source || `#${index + 1}`)
+                .join('; '),
+            (entry.sources || []).map(source => source.metadata?.source || '').join('; '),
+            entry.synced
+        ]);
+
+        return toCSV([columns, ...rows]);
+    }
+}
+
+// Export for use in other scripts
+window.FeedbackStore = FeedbackStore;
@@ -0,0 +1,161 @@
+/**
+ * Query history store backed by IndexedDB
+ */
+
+class HistoryStore {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     */
+    constructor(dbName = 'rag-qa-history') {
+        this.dbName = dbName;
+        this.storeName = 'queries';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    store.createIndex('timestamp', 'timestamp');
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<any>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save a query response
+     * @param {Object} result - Query response ({question, answer, sources, evaluation, processing_time_ms})
+     * @returns {Promise<number>} ID of the saved entry
+     */
+    add(result) {
+        return this.run('readwrite', store => store.add({
+            question: result.question,
+            answer: result.answer,
+            sources: result.sources || null,
+            evaluation: result.evaluation || null,
+            processing_time_ms: result.processing_time_ms ?? null,
+            timestamp: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Get a single entry
+     * @param {number} id - Entry ID
+     * @returns {Promise<Object|undefined>} History entry
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Get all entries, newest first
+     * @returns {Promise<Array>} History entries
+     */
+    async getAll() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.reverse();
+    }
+
+    /**
+     * Full-text search over questions and answers
+     * @param {string} term - Search text; every word must match
+     * @returns {Promise<Array>} Matching entries, newest first
+     */
+    async search(term) {
+        const entries = await this.getAll();
+        const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (words.length === 0) return entries;
+
+        return entries.filter((entry) => {
+            const text = `${entry.question} ${entry.answer}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Delete a single entry
+     * @param {number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete all entries
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Serialize entries to JSON
+     * @param {Array} entries - History entries
+     * @returns {string} JSON text
+     */
+    static toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    /**
+     * Serialize entries to CSV with one row per query
+     * @param {Array} entries - History entries
+     * @returns {string} CSV text
+     */
+    static toCSV(entries) {
+        const columns = [
+            'id', 'timestamp', 'question', 'answer', 'processing_time_ms',
+            'faithfulness', 'answer_relevancy', 'sources'
+        ];
+
+        const rows = entries.map(entry => [
+            entry.id,
+            entry.timestamp,
+            entry.question,
+            entry.answer,
+            entry.processing_time_ms,
+            entry.evaluation?.faithfulness,
+            entry.evaluation?.answer_relevancy,
+            (entry.sources || []).map(source => source.metadata?.source || '').join('; ')
+        ]);
+
+        return toCSV([columns, ...rows]);
+    }
+}
+
+// Export for use in other scripts
+window.HistoryStore = HistoryStore;
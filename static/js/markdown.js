@@ -0,0 +1,111 @@
+/**
+ * Markdown rendering for answers: parse, sanitize, highlight code
+ */
+
+const Markdown = {
+    // Only these tags and attributes survive sanitization
+    allowedTags: [
+        'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+        'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a'
+    ],
+    allowedAttributes: ['href', 'title', 'class', 'align', 'start'],
+
+    /**
+     * Check whether the Markdown libraries are loaded
+     * @returns {boolean} True if marked and DOMPurify are available
+     */
+    isAvailable() {
+        return typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined';
+    },
+
+    /**
+     * Make partial Markdown from a stream render like its finished form
+     * @param {string} text - Markdown received so far
+     * @returns {string} Markdown with open blocks closed
+     */
+    closeOpenBlocks(text) {
+        let lines = text.split('\n');
+
+        // A table row still being written would render as a ragged row or a paragraph
+        const last = lines[lines.length - 1];
+        if (last.trimStart().startsWith('|') && !last.trimEnd().endsWith('|')) {
+            lines = lines.slice(0, -1);
+        }
+
+        // Close an unterminated code fence with the same marker it was opened with
+        const fences = lines.filter(line => /^\s*(```|~~~)/.test(line));
+        if (fences.length % 2 === 1) {
+            const marker = fences[fences.length - 1].trim().slice(0, 3);
+            lines.push(marker);
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Render Markdown to sanitized HTML with highlighted code blocks
+     * @param {string} text - Markdown text
+     * @param {Object} options - Render options ({streaming})
+     * @returns {string} Safe HTML
+     */
+    render(text, options = {}) {
+        if (!text) return '';
+        if (!this.isAvailable()) return `<p class="plain-answer">${escapeHtml(text)}</p>`;
+
+        const source = options.streaming ? this.closeOpenBlocks(text) : text;
+        const html = DOMPurify.sanitize(marked.parse(source, { gfm: true, breaks: true }), {
+            ALLOWED_TAGS: this.allowedTags,
+            ALLOWED_ATTR: this.allowedAttributes,
+            ALLOW_DATA_ATTR: false
+        });
+
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        container.querySelectorAll('a').forEach((link) => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+
+        container.querySelectorAll('pre > code').forEach(code => this.decorateCodeBlock(code));
+
+        return container.innerHTML;
+    },
+
+    /**
+     * Highlight a code block and wrap it with a language label and copy button
+     * @param {HTMLElement} code - <code> element inside a <pre>
+     */
+    decorateCodeBlock(code) {
+        const pre = code.parentElement;
+        const languageClass = [...code.classList].find(name => name.startsWith('language-'));
+        const language = languageClass ? languageClass.slice('language-'.length) : '';
+
+        if (typeof hljs !== 'undefined') {
+            if (language && hljs.getLanguage(language)) {
+                code.innerHTML = hljs.highlight(code.textContent, { language }).value;
+            } else {
+                code.innerHTML = hljs.highlightAuto(code.textContent).value;
+            }
+            code.classList.add('hljs');
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+        wrapper.innerHTML = `
+            <div class="code-block-header">
+                <span>${escapeHtml(language || 'code')}</span>
+                <button type="button" class="btn btn-sm btn-link" data-action="copy-code" title="Copy code">
+                    <i class="bi bi-clipboard me-1"></i>Copy
+                </button>
+            </div>
+        `;
+
+        pre.replaceWith(wrapper);
+        wrapper.appendChild(pre);
+    }
+};
+
+// Export for use in other scripts
+window.Markdown = Markdown;
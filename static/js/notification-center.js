@@ -0,0 +1,144 @@
+/**
+ * History of toasts and alerts, kept in localStorage, with browser notifications for alerts
+ */
+
+class NotificationCenter {
+    /**
+     * @param {string} storageKey - localStorage key for the history
+     * @param {number} maxEntries - Maximum number of notifications kept
+     */
+    constructor(storageKey = 'rag-qa-notifications', maxEntries = 100) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this.load();
+        this.onChange = null;
+    }
+
+    /**
+     * Load the history
+     * @returns {Array} Notifications, newest first
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+            console.error('Failed to load notifications:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the history and tell the listener
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (err) {
+            console.error('Failed to save notifications:', err);
+        }
+
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * Add a notification
+     * @param {Object} notification - Notification ({kind: 'toast'|'alert', type, title, message})
+     * @returns {Object} Stored entry, with id, time and read flag
+     */
+    add(notification) {
+        const entry = {
+            id: `notification-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            kind: notification.kind || 'toast',
+            type: notification.type || 'info',
+            title: notification.title || null,
+            message: notification.message,
+            time: new Date().toISOString(),
+            read: false
+        };
+
+        this.entries = [entry, ...this.entries].slice(0, this.maxEntries);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Count notifications not seen yet
+     * @returns {number} Unread count
+     */
+    unreadCount() {
+        return this.entries.filter(entry => !entry.read).length;
+    }
+
+    /**
+     * Mark every notification as seen
+     */
+    markAllRead() {
+        if (!this.unreadCount()) return;
+
+        this.entries = this.entries.map(entry => ({ ...entry, read: true }));
+        this.save();
+    }
+
+    /**
+     * Remove all notifications
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * Check whether the browser supports notifications
+     * @returns {boolean} True if the Notification API is available
+     */
+    static desktopSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /**
+     * Ask the browser for permission to show notifications; must run from a user action
+     * @returns {Promise<string>} 'granted', 'denied' or 'default' ('unsupported' without the API)
+     */
+    static async requestPermission() {
+        if (!NotificationCenter.desktopSupported()) return 'unsupported';
+
+        try {
+            return await Notification.requestPermission();
+        } catch (err) {
+            console.error('Failed to request notification permission:', err);
+            return Notification.permission;
+        }
+    }
+
+    /**
+     * Show an entry as a browser notification; clicking it brings this tab to the front
+     * @param {Object} entry - Stored entry
+     * @param {string} tag - Notifications with the same tag replace each other
+     * @returns {boolean} True if the notification was shown
+     */
+    notifyDesktop(entry, tag = null) {
+        if (!NotificationCenter.desktopSupported() || Notification.permission !== 'granted') return false;
+
+        try {
+            const notification = new Notification(entry.title || 'RAG Q&A System', {
+                body: entry.message,
+                tag: tag || entry.id
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+            return true;
+        } catch (err) {
+            // Some browsers only allow notifications from a service worker
+            console.error('Failed to show notification:', err);
+            return false;
+        }
+    }
+}
+
+// Export for use in other scripts
+window.NotificationCenter = NotificationCenter;
@@ -0,0 +1,97 @@
+/**
+ * Questions asked while offline, kept in localStorage until the connection returns
+ */
+
+class OfflineQueue {
+    /**
+     * @param {string} storageKey - localStorage key for the queue
+     * @param {number} maxEntries - Maximum number of queued questions
+     */
+    constructor(storageKey = 'rag-qa-offline-questions', maxEntries = 20) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this.load();
+    }
+
+    /**
+     * Load the queue
+     * @returns {Array} Queued entries, oldest first
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+            console.error('Failed to load queued questions:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the queue
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (err) {
+            console.error('Failed to save queued questions:', err);
+        }
+    }
+
+    /**
+     * Queue a question
+     * @param {Object} request - Question and its options, as passed to runQuery
+     * @param {string} workspace - Workspace the question was asked in
+     * @returns {Object|null} Queued entry ({id, workspace, request, queuedAt}), or null if the queue is full
+     */
+    add(request, workspace) {
+        if (this.entries.length >= this.maxEntries) {
+            return null;
+        }
+
+        const entry = {
+            id: `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            workspace,
+            request,
+            queuedAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Remove a question from the queue
+     * @param {string} id - Entry ID
+     * @returns {Object|undefined} Removed entry
+     */
+    remove(id) {
+        const entry = this.entries.find(item => item.id === id);
+        this.entries = this.entries.filter(item => item.id !== id);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Get the questions asked in a workspace
+     * They are only sent while that workspace is active, against its documents.
+     * @param {string} workspace - Workspace ID
+     * @returns {Array} Entries of the workspace, oldest first
+     */
+    forWorkspace(workspace) {
+        return this.entries.filter(entry => entry.workspace === workspace);
+    }
+
+    /**
+     * Get the oldest question of a workspace without removing it
+     * @param {string} workspace - Workspace ID
+     * @returns {Object|undefined} Oldest entry of the workspace
+     */
+    peek(workspace) {
+        return this.entries.find(entry => entry.workspace === workspace);
+    }
+}
+
+// Export for use in other scripts
+window.OfflineQueue = OfflineQueue;
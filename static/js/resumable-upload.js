@@ -0,0 +1,349 @@
+/**
+ * Resumable uploads: large files are sent in parts with per-part retries, and resumed after a reload
+ */
+
+// Retry policy for a failed part
+const PART_MAX_ATTEMPTS = 5;
+const PART_RETRY_BASE_MS = 1000;
+const PART_RETRY_MAX_MS = 30000;
+
+class ResumableUploader {
+    /**
+     * @param {APIClient} client - API client used for uploads
+     * @param {object} options - Uploader options
+     * @param {number} options.concurrency - Parts of one file uploaded in parallel
+     * @param {string} options.dbName - IndexedDB database remembering unfinished uploads
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.concurrency = options.concurrency || 3;
+        this.dbName = options.dbName || 'rag-qa-uploads';
+        this.storeName = 'sessions';
+        this.dbPromise = null;
+        this.limits = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'fingerprint' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<any>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Identify a file across page reloads
+     * Sessions belong to a workspace, so the same file uploaded to two workspaces has two fingerprints.
+     * @param {File} file - File being uploaded
+     * @param {string|null} workspace - Workspace ID the file is uploaded to (null for the default one)
+     * @returns {string} Fingerprint from the workspace, name, size and modification time
+     */
+    static fingerprint(file, workspace) {
+        return `${workspace || 'default'}:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    /**
+     * Get the workspace uploads currently go to
+     * @returns {string} Workspace ID ('default' for the default workspace)
+     */
+    workspace() {
+        return this.client.workspace || 'default';
+    }
+
+    /**
+     * Get the server's threshold and part size, or null to use one-shot uploads
+     * @returns {Promise<Object|null>} Upload limits
+     */
+    async getLimits() {
+        if (!this.limits) {
+            const { data, error } = await this.client.getUploadLimits();
+            if (error) {
+                console.warn('Upload limits unavailable, uploading files in one request:', error);
+                return null;
+            }
+            this.limits = data;
+        }
+        return this.limits;
+    }
+
+    /**
+     * Upload a file: one request for small files, resumable parts above the server's threshold
+     * Takes the same arguments and resolves like APIClient.uploadDocument.
+     * @param {File} file - File to upload
+     * @param {Function} onProgress - Called with the overall percentage
+     * @param {AbortSignal} signal - Optional signal to cancel the upload
+     * @returns {Promise<{data: any, error: any}>} Upload result
+     */
+    async uploadDocument(file, onProgress, signal) {
+        const limits = await this.getLimits();
+
+        if (!limits || file.size <= limits.chunked_upload_threshold_bytes) {
+            return this.client.uploadDocument(file, onProgress, signal);
+        }
+
+        return this.uploadInParts(file, onProgress, signal);
+    }
+
+    /**
+     * Upload a file in parts, skipping parts the server already has
+     * @param {File} file - File to upload
+     * @param {Function} onProgress - Called with the overall percentage
+     * @param {AbortSignal} signal - Optional signal to cancel the upload
+     * @returns {Promise<{data: any, error: any}>} Upload result
+     */
+    async uploadInParts(file, onProgress, signal) {
+        const fingerprint = ResumableUploader.fingerprint(file, this.workspace());
+        const { session, error } = await this.resumeOrStart(file);
+        if (error) {
+            return { data: null, error };
+        }
+
+        const { upload_id: uploadId, part_size: partSize, total_parts: totalParts } = session;
+        const partLength = index => Math.min(partSize, file.size - index * partSize);
+        const received = new Set(session.received_parts);
+        const pending = [...Array(totalParts).keys()].filter(index => !received.has(index));
+
+        // One progress bar across all parts: finished parts plus the bytes sent of parts in flight
+        let doneBytes = [...received].reduce((sum, index) => sum + partLength(index), 0);
+        const inFlight = new Map();
+        const report = () => {
+            const sending = [...inFlight.values()].reduce((sum, loaded) => sum + loaded, 0);
+            onProgress?.(((doneBytes + sending) / file.size) * 100);
+        };
+        report();
+
+        // Stops the other parts when one fails for good, or when the caller cancels
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel, { once: true });
+        let failure = null;
+
+        const worker = async () => {
+            while (pending.length > 0 && !controller.signal.aborted) {
+                const index = pending.shift();
+                const blob = file.slice(index * partSize, index * partSize + partLength(index));
+
+                const result = await this.uploadPartWithRetry(uploadId, index, blob, (loaded) => {
+                    inFlight.set(index, loaded);
+                    report();
+                }, controller.signal);
+
+                inFlight.delete(index);
+
+                if (result.error) {
+                    failure = failure || result;
+                    controller.abort();
+                    return;
+                }
+
+                doneBytes += partLength(index);
+                report();
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+        signal?.removeEventListener('abort', cancel);
+
+        if (signal?.aborted) {
+            await this.discard(fingerprint);
+            return { data: null, error: new APIError('Upload cancelled', { code: 'cancelled' }) };
+        }
+
+        if (failure) {
+            // An expired session cannot be resumed; the next attempt starts over
+            if (failure.error.status === 404) {
+                await this.forget(fingerprint);
+                return { data: null, error: failure.error };
+            }
+            return {
+                data: null,
+                error: new APIError(`${failure.error.message}. Parts already sent are kept; retry to resume.`, failure.error)
+            };
+        }
+
+        const { data, error: completeError } = await this.client.completeUploadSession(uploadId);
+
+        // The server removes the session once the file is ingested or rejected; after a lost
+        // response or a server error it is kept, and retrying the file completes it again
+        if (!completeError || (completeError.status && completeError.status < 500)) {
+            await this.forget(fingerprint);
+        }
+
+        return { data, error: completeError };
+    }
+
+    /**
+     * Continue the saved session of a file, or start a new one
+     * @param {File} file - File to upload
+     * @returns {Promise<{session: Object, error: APIError}>} Session state or error
+     */
+    async resumeOrStart(file) {
+        const fingerprint = ResumableUploader.fingerprint(file, this.workspace());
+        const saved = await this.get(fingerprint);
+
+        if (saved) {
+            const { data, error } = await this.client.getUploadSession(saved.uploadId);
+            if (data) {
+                return { session: data, error: null };
+            }
+            if (error.status !== 404) {
+                return { session: null, error };
+            }
+            await this.forget(fingerprint);
+        }
+
+        const { data, error } = await this.client.createUploadSession(file.name, file.size);
+        if (error) {
+            return { session: null, error };
+        }
+
+        await this.remember({
+            fingerprint,
+            workspace: this.workspace(),
+            uploadId: data.upload_id,
+            filename: file.name,
+            size: file.size,
+            startedAt: new Date().toISOString()
+        });
+
+        return { session: data, error: null };
+    }
+
+    /**
+     * Upload one part, retrying network errors, rate limits and server errors with backoff
+     * @param {string} uploadId - Upload session ID
+     * @param {number} index - Part index
+     * @param {Blob} blob - Part contents
+     * @param {Function} onProgress - Called with the bytes of this part sent so far
+     * @param {AbortSignal} signal - Signal to stop retrying
+     * @returns {Promise<{data: any, error: APIError}>} Result of the last attempt
+     */
+    async uploadPartWithRetry(uploadId, index, blob, onProgress, signal) {
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.client.uploadPart(uploadId, index, blob, onProgress, signal);
+
+            if (!result.error || signal.aborted || !result.error.retryable || attempt >= PART_MAX_ATTEMPTS) {
+                return result;
+            }
+
+            onProgress(0);
+            const delay = result.error.retryAfter ?? APIClient.backoff(attempt, PART_RETRY_BASE_MS, PART_RETRY_MAX_MS);
+            await APIClient.sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Get the saved session of a file
+     * @param {string} fingerprint - File fingerprint
+     * @returns {Promise<Object|undefined>} Saved record ({fingerprint, workspace, uploadId, filename, size, startedAt})
+     */
+    async get(fingerprint) {
+        try {
+            return await this.run('readonly', store => store.get(fingerprint));
+        } catch (err) {
+            console.warn('Saved uploads unavailable:', err);
+            return undefined;
+        }
+    }
+
+    /**
+     * Save the session of a file so it can be resumed after a reload
+     * @param {Object} record - Record to save
+     */
+    async remember(record) {
+        try {
+            await this.run('readwrite', store => store.put(record));
+        } catch (err) {
+            console.warn('Could not save upload for resuming:', err);
+        }
+    }
+
+    /**
+     * Drop the saved session of a file
+     * @param {string} fingerprint - File fingerprint
+     */
+    async forget(fingerprint) {
+        try {
+            await this.run('readwrite', store => store.delete(fingerprint));
+        } catch (err) {
+            console.warn('Could not remove saved upload:', err);
+        }
+    }
+
+    /**
+     * Cancel an unfinished upload on the server and forget it
+     * @param {string} fingerprint - File fingerprint
+     */
+    async discard(fingerprint) {
+        const saved = await this.get(fingerprint);
+        if (saved) {
+            await this.client.cancelUploadSession(saved.uploadId);
+            await this.forget(fingerprint);
+        }
+    }
+
+    /**
+     * List unfinished uploads of the active workspace that can still be resumed, with their progress
+     * Sessions that expired on the server are forgotten.
+     * @returns {Promise<Array>} Records with receivedBytes (null if the server could not be reached)
+     */
+    async interrupted() {
+        let records;
+        try {
+            records = await this.run('readonly', store => store.getAll());
+        } catch (err) {
+            console.warn('Saved uploads unavailable:', err);
+            return [];
+        }
+
+        // Other workspaces' sessions are not found under this one's header, and must not be forgotten
+        const workspace = this.workspace();
+        const results = await Promise.all(records.filter(record => record.workspace === workspace).map(async (record) => {
+            const { data, error } = await this.client.getUploadSession(record.uploadId);
+            if (error?.status === 404) {
+                await this.forget(record.fingerprint);
+                return null;
+            }
+
+            const receivedBytes = data
+                ? data.received_parts.reduce((sum, index) => sum + Math.min(data.part_size, data.size - index * data.part_size), 0)
+                : null;
+            return { ...record, receivedBytes };
+        }));
+
+        return results.filter(Boolean);
+    }
+}
+
+// Export for use in other scripts
+window.ResumableUploader = ResumableUploader;
@@ -0,0 +1,321 @@
+/**
+ * Source viewer: shows a cited chunk inside its original file (PDF, TXT, Markdown, CSV or pasted note)
+ */
+
+// Bundled PDF.js worker, served with the rest of the static files
+const PDF_WORKER_URL = '/static/vendor/pdfjs/pdf.worker.min.mjs';
+
+/**
+ * Options for opening an untrusted PDF: never compile font or function code with eval,
+ * so a crafted file cannot run script in this page (CVE-2024-4367)
+ * @param {Object} source - Where the PDF comes from ({data} or {range}), and other options
+ * @returns {Object} Options for pdfjsLib.getDocument
+ */
+function pdfOptions(source) {
+    return { ...source, isEvalSupported: false };
+}
+
+// CSV rows shown around the cited row
+const CSV_ROW_WINDOW = 50;
+
+class SourceViewer {
+    /**
+     * @param {APIClient} client - API client used to fetch original files
+     */
+    constructor(client) {
+        this.client = client;
+        this.modalElement = document.getElementById('sourceViewerModal');
+        this.title = document.getElementById('sourceViewerTitle');
+        this.body = document.getElementById('sourceViewerBody');
+        this.pager = document.getElementById('sourceViewerPager');
+        this.downloadLink = document.getElementById('sourceViewerDownload');
+        this.pdf = null;
+        this.target = null;
+
+        this.pager.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page-step]');
+            if (button && this.pdf) {
+                this.renderPdfPage(this.pageNumber + Number(button.dataset.pageStep));
+            }
+        });
+
+        this.modalElement.addEventListener('hidden.bs.modal', () => {
+            this.closePdf();
+            this.body.innerHTML = '';
+        });
+    }
+
+    /**
+     * Check whether a source can be opened in the viewer
+     * @param {Object} metadata - Source metadata
+     * @returns {boolean} True for PDF, TXT, Markdown, CSV and note chunks that carry a document ID
+     */
+    static isAvailable(metadata) {
+        return Boolean(metadata?.document_id) && ['pdf', 'txt', 'md', 'csv', 'note'].includes(metadata.file_type);
+    }
+
+    /**
+     * Open a source in its original document
+     * @param {Object} target - Source to show ({documentId, filename, fileType, page, row, passage})
+     */
+    async open(target) {
+        this.target = target;
+        this.closePdf();
+        this.title.textContent = target.filename || 'Source';
+        this.pager.classList.add('d-none');
+        this.downloadLink.classList.add('d-none');
+        this.body.innerHTML = Components.loadingSpinner('Loading original document...');
+
+        bootstrap.Modal.getOrCreateInstance(this.modalElement).show();
+
+        const { data: file, error } = await this.client.getDocumentFile(target.documentId);
+
+        // A newer source may have been opened while this one was loading
+        if (this.target !== target) return;
+
+        if (error) {
+            this.body.innerHTML = Components.errorAlert(error);
+            return;
+        }
+
+        if (this.downloadLink.href.startsWith('blob:')) {
+            URL.revokeObjectURL(this.downloadLink.href);
+        }
+        this.downloadLink.href = URL.createObjectURL(file);
+        this.downloadLink.download = target.filename || 'document';
+        this.downloadLink.classList.remove('d-none');
+
+        try {
+            if (target.fileType === 'pdf') {
+                await this.openPdf(file);
+            } else if (target.fileType === 'csv') {
+                this.renderCsv(await file.text());
+            } else {
+                this.renderText(await file.text());
+            }
+        } catch (err) {
+            console.error('Failed to render source:', err);
+            this.body.innerHTML = Components.errorAlert(`Could not display the document: ${err.message}`);
+        }
+    }
+
+    /**
+     * Release the PDF currently shown, if any
+     */
+    closePdf() {
+        if (this.pdf) {
+            this.pdf.destroy();
+            this.pdf = null;
+        }
+    }
+
+    /**
+     * Load a PDF and show the cited page
+     * @param {Blob} file - PDF file
+     */
+    async openPdf(file) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('the PDF renderer is not available');
+        }
+
+        const target = this.target;
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+        const pdf = await pdfjsLib.getDocument(pdfOptions({ data: await file.arrayBuffer() })).promise;
+
+        if (this.target !== target) {
+            pdf.destroy();
+            return;
+        }
+        this.pdf = pdf;
+
+        // Chunk metadata counts pages from 0
+        const citedPage = Number.isInteger(this.target.page) ? this.target.page + 1 : 1;
+        this.citedPage = Math.min(Math.max(citedPage, 1), this.pdf.numPages);
+
+        await this.renderPdfPage(this.citedPage);
+    }
+
+    /**
+     * Render one PDF page, highlighting the passage on the cited page
+     * @param {number} pageNumber - Page number, from 1
+     */
+    async renderPdfPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.pdf.numPages) return;
+
+        this.pageNumber = pageNumber;
+        this.updatePager();
+
+        const page = await this.pdf.getPage(pageNumber);
+        const width = this.body.clientWidth - 32 || 800;
+        const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+        const ratio = window.devicePixelRatio || 1;
+
+        const container = document.createElement('div');
+        container.className = 'pdf-page';
+        container.style.width = `${viewport.width}px`;
+        container.style.height = `${viewport.height}px`;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        container.appendChild(canvas);
+
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+        }).promise;
+
+        // Another page may have been requested meanwhile
+        if (this.pageNumber !== pageNumber) return;
+
+        this.body.innerHTML = '';
+        this.body.appendChild(container);
+
+        if (pageNumber !== this.citedPage) return;
+
+        const { items } = await page.getTextContent();
+        const matched = SourceViewer.findPieces(items.map(item => item.str), this.target.passage);
+
+        if (matched.length === 0) {
+            this.showNotice('The passage could not be located on this page; showing the cited page.');
+            return;
+        }
+
+        for (const index of matched) {
+            const item = items[index];
+            const transform = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const height = Math.hypot(transform[2], transform[3]);
+
+            const highlight = document.createElement('div');
+            highlight.className = 'pdf-highlight';
+            highlight.style.left = `${transform[4]}px`;
+            highlight.style.top = `${transform[5] - height}px`;
+            highlight.style.width = `${item.width * viewport.scale}px`;
+            highlight.style.height = `${height}px`;
+            container.appendChild(highlight);
+        }
+
+        container.querySelector('.pdf-highlight').scrollIntoView({ block: 'center' });
+    }
+
+    /**
+     * Update the page navigation for the current PDF
+     */
+    updatePager() {
+        this.pager.classList.remove('d-none');
+        this.pager.querySelector('[data-page-step="-1"]').disabled = this.pageNumber <= 1;
+        this.pager.querySelector('[data-page-step="1"]').disabled = this.pageNumber >= this.pdf.numPages;
+        this.pager.querySelector('.page-label').textContent = `Page ${this.pageNumber} of ${this.pdf.numPages}`;
+    }
+
+    /**
+     * Render a text file with the cited lines highlighted
+     * @param {string} text - File contents
+     */
+    renderText(text) {
+        const lines = text.split(/\r?\n/);
+        const matched = new Set(SourceViewer.findPieces(lines, this.target.passage));
+
+        this.body.innerHTML = `
+            <pre class="source-file">${lines.map((line, index) => `<span class="source-line${matched.has(index) ? ' highlighted' : ''}"><span class="line-number">${index + 1}</span>${escapeHtml(line)}</span>`).join('')}</pre>
+        `;
+
+        if (matched.size === 0) {
+            this.showNotice('The passage could not be located in the file.');
+            return;
+        }
+
+        this.body.querySelector('.source-line.highlighted').scrollIntoView({ block: 'center' });
+    }
+
+    /**
+     * Render a CSV file around the cited row
+     * @param {string} text - File contents
+     */
+    renderCsv(text) {
+        const [header = [], ...rows] = parseCSV(text);
+        const row = Number.isInteger(this.target.row) ? this.target.row : null;
+        const first = row === null ? 0 : Math.max(row - CSV_ROW_WINDOW, 0);
+        const last = Math.min(first + 2 * CSV_ROW_WINDOW, rows.length);
+
+        this.body.innerHTML = `
+            <div class="small text-muted mb-2">
+                Showing rows ${first + 1}-${last} of ${rows.length}${row !== null ? `; cited row ${row + 1} is highlighted` : ''}
+            </div>
+            <div class="table-responsive">
+                <table class="table table-sm table-bordered source-table">
+                    <thead class="table-light">
+                        <tr><th>#</th>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${rows.slice(first, last).map((cells, offset) => `
+                            <tr class="${first + offset === row ? 'highlighted' : ''}">
+                                <td class="text-muted">${first + offset + 1}</td>
+                                ${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const highlighted = this.body.querySelector('tr.highlighted');
+        if (highlighted) {
+            highlighted.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Show a notice above the rendered document
+     * @param {string} message - Notice text
+     */
+    showNotice(message) {
+        this.body.insertAdjacentHTML('afterbegin', `
+            <div class="alert alert-warning py-2 small">
+                <i class="bi bi-info-circle me-1"></i>
+                ${escapeHtml(message)}
+            </div>
+        `);
+    }
+
+    /**
+     * Find the pieces of text (lines, PDF text runs) that hold a passage
+     * Whitespace is ignored, as extraction and chunking both reflow it. Source
+     * excerpts in answers are cut to 500 characters, so a prefix match is
+     * extended to the excerpt's length.
+     * @param {Array<string>} pieces - Text pieces in document order
+     * @param {string} passage - Chunk text
+     * @returns {Array<number>} Indices of the pieces the passage covers
+     */
+    static findPieces(pieces, passage) {
+        const squash = text => text.replace(/\s+/g, '').toLowerCase();
+        const needle = squash(passage.replace(/\.\.\.$/, ''));
+        if (!needle) return [];
+
+        const offsets = [];
+        let haystack = '';
+        for (const piece of pieces) {
+            offsets.push(haystack.length);
+            haystack += squash(piece);
+        }
+
+        let start = -1;
+        for (const length of [needle.length, 120, 40]) {
+            start = haystack.indexOf(needle.slice(0, length));
+            if (start !== -1) break;
+        }
+        if (start === -1) return [];
+
+        const end = Math.min(start + needle.length, haystack.length);
+
+        return [...pieces.keys()].filter((index) => {
+            const pieceStart = offsets[index];
+            const pieceEnd = pieceStart + squash(pieces[index]).length;
+            return pieceEnd > start && pieceStart < end;
+        });
+    }
+}
+
+// Export for use in other scripts
+window.SourceViewer = SourceViewer;
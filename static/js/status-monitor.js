@@ -0,0 +1,327 @@
+/**
+ * Health polling with a session history of results, response times and uptime
+ */
+
+// Polling intervals the Status tab offers, in milliseconds
+const POLL_INTERVALS = [10000, 30000, 60000, 300000];
+
+// Longest wait between checks while the service is down
+const MAX_POLL_BACKOFF_MS = 300000;
+
+class StatusMonitor {
+    /**
+     * @param {APIClient} apiClient - Client used for the readiness checks
+     * @param {Object} options - Monitor options
+     * @param {string} options.storageKey - localStorage key for the polling settings
+     * @param {number} options.maxSamples - Checks kept in the history
+     * @param {number} options.maxQueries - Question timings kept for percentiles
+     * @param {Function} options.onChange - Called after every check and settings change
+     * @param {Function} options.onSample - Called with each new check and the one before it
+     */
+    constructor(apiClient, options = {}) {
+        this.apiClient = apiClient;
+        this.storageKey = options.storageKey || 'rag-qa-status-settings';
+        this.maxSamples = options.maxSamples || 240;
+        this.maxQueries = options.maxQueries || 100;
+        this.onChange = options.onChange || null;
+        this.onSample = options.onSample || null;
+
+        this.settings = this.load();
+        this.samples = [];
+        this.queryTimings = [];
+        this.failures = 0;
+        this.timer = null;
+        this.checking = null;
+        this.nextCheckAt = null;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Load the polling settings
+     * @returns {{intervalMs: number, paused: boolean}} Polling settings
+     */
+    load() {
+        const defaults = { intervalMs: 30000, paused: false };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return {
+                intervalMs: POLL_INTERVALS.includes(saved.intervalMs) ? saved.intervalMs : defaults.intervalMs,
+                paused: saved.paused === true
+            };
+        } catch (err) {
+            console.error('Failed to load status settings:', err);
+            return defaults;
+        }
+    }
+
+    /**
+     * Persist the polling settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (err) {
+            console.error('Failed to save status settings:', err);
+        }
+    }
+
+    /**
+     * Check now and keep polling unless paused
+     */
+    start() {
+        this.check();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextCheckAt = null;
+    }
+
+    /**
+     * Change the polling interval
+     * @param {number} intervalMs - One of POLL_INTERVALS
+     */
+    setInterval(intervalMs) {
+        if (!POLL_INTERVALS.includes(intervalMs)) return;
+
+        this.settings.intervalMs = intervalMs;
+        this.save();
+        this.schedule();
+        this.notify();
+    }
+
+    /**
+     * Pause or resume polling; resuming checks right away
+     * @param {boolean} paused - Whether to pause
+     */
+    setPaused(paused) {
+        this.settings.paused = paused;
+        this.save();
+
+        if (paused) {
+            this.stop();
+            this.notify();
+        } else {
+            this.check();
+        }
+    }
+
+    /**
+     * Time until the next check: the interval, doubled for each failed check in a row while down
+     * @returns {number} Delay in milliseconds
+     */
+    nextDelay() {
+        if (this.failures === 0) {
+            return this.settings.intervalMs;
+        }
+        const backoff = this.settings.intervalMs * 2 ** (this.failures - 1);
+        return Math.min(backoff, Math.max(MAX_POLL_BACKOFF_MS, this.settings.intervalMs));
+    }
+
+    /**
+     * Schedule the next check, replacing any scheduled one
+     */
+    schedule() {
+        this.stop();
+        if (this.settings.paused) return;
+
+        const delay = this.nextDelay();
+        this.nextCheckAt = Date.now() + delay;
+        this.timer = setTimeout(() => this.check(), delay);
+    }
+
+    /**
+     * Run one readiness check and record it
+     * Checks requested while one is running share its result.
+     * @returns {Promise<Object>} Recorded sample
+     */
+    check() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    /**
+     * Send the readiness check, timed on the client
+     * @returns {Promise<Object>} Recorded sample
+     */
+    async runCheck() {
+        this.stop();
+
+        const started = performance.now();
+        // A single attempt, so blips show up in the history instead of being retried away
+        const { data, error } = await this.apiClient.readinessCheck({ retry: false });
+        const latencyMs = Math.round(performance.now() - started);
+
+        let state = 'down';
+        if (!error) {
+            state = data.status === 'ready' && data.qdrant_connected ? 'healthy' : 'degraded';
+        }
+
+        const sample = {
+            time: Date.now(),
+            state,
+            qdrantConnected: error ? null : Boolean(data.qdrant_connected),
+            latencyMs: error ? null : latencyMs,
+            data: error ? null : data,
+            error: error || null
+        };
+
+        const previous = this.latest();
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+        this.failures = state === 'down' ? this.failures + 1 : 0;
+
+        this.schedule();
+        this.notify();
+        if (this.onSample) {
+            this.onSample(sample, previous);
+        }
+        return sample;
+    }
+
+    /**
+     * Record how long a question took in this browser
+     * @param {number} durationMs - Time from sending the question to the finished answer
+     */
+    recordQuery(durationMs) {
+        this.queryTimings.push({ time: Date.now(), durationMs: Math.round(durationMs) });
+        if (this.queryTimings.length > this.maxQueries) {
+            this.queryTimings.shift();
+        }
+        this.notify();
+    }
+
+    /**
+     * Call the change listener
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * Get the latest check
+     * @returns {Object|undefined} Latest sample
+     */
+    latest() {
+        return this.samples[this.samples.length - 1];
+    }
+
+    /**
+     * Find when the current state began
+     * @returns {number|null} Timestamp of the first check in the current state
+     */
+    stateSince() {
+        const latest = this.latest();
+        if (!latest) return null;
+
+        let since = latest.time;
+        for (let i = this.samples.length - 1; i >= 0 && this.samples[i].state === latest.state; i--) {
+            since = this.samples[i].time;
+        }
+        return since;
+    }
+
+    /**
+     * List the times the Qdrant connection dropped or came back
+     * @returns {Array} Flaps ({time, connected}), oldest first
+     */
+    flaps() {
+        const flaps = [];
+        let previous = null;
+
+        this.samples.forEach(sample => {
+            if (sample.qdrantConnected === null) return;
+            if (previous !== null && sample.qdrantConnected !== previous) {
+                flaps.push({ time: sample.time, connected: sample.qdrantConnected });
+            }
+            previous = sample.qdrantConnected;
+        });
+
+        return flaps;
+    }
+
+    /**
+     * Share of the session the service was healthy; each check's result counts until the next one
+     * @returns {number|null} Uptime from 0 to 1, or null before the first check
+     */
+    uptime() {
+        if (!this.samples.length) return null;
+
+        let up = 0;
+        let total = 0;
+        this.samples.forEach((sample, index) => {
+            const next = this.samples[index + 1];
+            const duration = (next ? next.time : Date.now()) - sample.time;
+            total += duration;
+            if (sample.state === 'healthy') {
+                up += duration;
+            }
+        });
+
+        if (total === 0) {
+            return this.latest().state === 'healthy' ? 1 : 0;
+        }
+        return up / total;
+    }
+
+    /**
+     * Median and 95th percentile of health check and question response times
+     * @returns {{health: Object, queries: Object}} Each {p50, p95, count}; percentiles are null without data
+     */
+    latencyStats() {
+        const health = this.samples.map(sample => sample.latencyMs).filter(ms => ms !== null);
+        const queries = this.queryTimings.map(timing => timing.durationMs);
+
+        const summarize = (values) => ({
+            p50: StatusMonitor.percentile(values, 50),
+            p95: StatusMonitor.percentile(values, 95),
+            count: values.length
+        });
+
+        return { health: summarize(health), queries: summarize(queries) };
+    }
+
+    /**
+     * Collect everything the Status tab shows
+     * @returns {Object} History ({samples, queryTimings, flaps, uptime, since, latency})
+     */
+    snapshot() {
+        return {
+            samples: this.samples,
+            queryTimings: this.queryTimings,
+            flaps: this.flaps(),
+            uptime: this.uptime(),
+            since: this.stateSince(),
+            latency: this.latencyStats()
+        };
+    }
+
+    /**
+     * Nearest-rank percentile
+     * @param {Array<number>} values - Values in any order
+     * @param {number} p - Percentile from 0 to 100
+     * @returns {number|null} Percentile, or null for no values
+     */
+    static percentile(values, p) {
+        if (!values.length) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+        return sorted[rank - 1];
+    }
+}
+
+// Export for use in other scripts
+window.StatusMonitor = StatusMonitor;
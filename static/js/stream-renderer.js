@@ -0,0 +1,128 @@
+/**
+ * Incremental rendering of streamed answers
+ */
+
+// Distance from the bottom of the viewport, in pixels, that still counts as following the stream
+const FOLLOW_THRESHOLD_PX = 48;
+
+class StreamRenderer {
+    /**
+     * Render a streamed Markdown answer into an element, at most once per animation frame
+     *
+     * Finished blocks (text before a blank line outside a code fence) are rendered once and
+     * appended; only the block still being written is rendered again on the next frame.
+     *
+     * @param {HTMLElement} container - Element that shows the answer
+     * @param {Object} options - Renderer options
+     * @param {boolean} options.follow - Keep the end of the answer in view while the reader is there
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.follow = options.follow ?? true;
+        this.text = '';
+        this.settledLength = 0;
+        this.frame = null;
+
+        this.container.innerHTML = `<div class="stream-tail">${Components.streamingCursor()}</div>`;
+        this.tail = this.container.querySelector('.stream-tail');
+    }
+
+    /**
+     * Add streamed text; the DOM is updated on the next animation frame
+     * @param {string} chunk - New text
+     */
+    append(chunk) {
+        this.text += chunk;
+
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.update(true);
+            });
+        }
+    }
+
+    /**
+     * Render everything received and remove the cursor
+     * @returns {string} Full answer text
+     */
+    finish() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.update(false);
+        return this.text;
+    }
+
+    /**
+     * Find where the finished blocks end
+     * @returns {number} Offset just after the last blank line outside a code fence
+     */
+    settledEnd() {
+        const pending = this.text.slice(this.settledLength);
+        let offset = 0;
+        let end = 0;
+        let inFence = false;
+
+        // The last line may still be growing, so it is never counted
+        const lines = pending.split('\n');
+        lines.slice(0, -1).forEach(line => {
+            offset += line.length + 1;
+
+            if (/^\s{0,3}(```|~~~)/.test(line)) {
+                inFence = !inFence;
+            } else if (!inFence && !line.trim()) {
+                end = offset;
+            }
+        });
+
+        return this.settledLength + end;
+    }
+
+    /**
+     * Append newly finished blocks and redraw the block being written
+     * @param {boolean} streaming - Whether more text may follow
+     */
+    update(streaming) {
+        const following = this.follow && this.isFollowing();
+
+        const end = streaming ? this.settledEnd() : this.text.length;
+        if (end > this.settledLength) {
+            const blocks = Markdown.render(this.text.slice(this.settledLength, end));
+            this.tail.insertAdjacentHTML('beforebegin', blocks);
+            this.settledLength = end;
+        }
+
+        const open = this.text.slice(this.settledLength);
+        this.tail.innerHTML = streaming
+            ? Markdown.render(open, { streaming: true }) + Components.streamingCursor()
+            : '';
+
+        if (following) {
+            this.scrollToEnd();
+        }
+    }
+
+    /**
+     * Check whether the end of the answer is on screen, i.e. the reader has not scrolled away
+     * @returns {boolean} True if the answer's last line is within the viewport
+     */
+    isFollowing() {
+        const { top, bottom } = this.container.getBoundingClientRect();
+        return top < window.innerHeight && bottom <= window.innerHeight + FOLLOW_THRESHOLD_PX;
+    }
+
+    /**
+     * Scroll just far enough to show the end of the answer
+     */
+    scrollToEnd() {
+        const overflow = this.container.getBoundingClientRect().bottom - window.innerHeight;
+        if (overflow > 0) {
+            window.scrollBy(0, overflow + FOLLOW_THRESHOLD_PX / 2);
+        }
+    }
+}
+
+// Export for use in other scripts
+window.StreamRenderer = StreamRenderer;
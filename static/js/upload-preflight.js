@@ -0,0 +1,285 @@
+/**
+ * Upload preflight: size, content type and duplicate checks with previews, before files are queued
+ */
+
+// Bytes read to recognise a file's real type
+const SNIFF_BYTES = 8192;
+
+// Largest file read whole for the duplicate and JSON checks; SubtleCrypto cannot hash a stream,
+// and larger files are checked on the server after uploading
+const MAX_READ_BYTES = 32 * 1024 * 1024;
+
+// Preview sizes
+const PREVIEW_BYTES = 64 * 1024;
+const PREVIEW_LINES = 10;
+const PREVIEW_ROWS = 5;
+const PREVIEW_CHARS = 800;
+
+class UploadPreflight {
+    /**
+     * @param {APIClient} client - API client used to read limits and the document library
+     */
+    constructor(client) {
+        this.client = client;
+        this.limits = null;
+    }
+
+    /**
+     * Get the server's upload limits, falling back to validateFile's extension check if they cannot be read
+     * @returns {Promise<Object>} Limits ({maxSize, extensions} for validateFile, plus chunkedThreshold and maxChunkedSize)
+     */
+    async getLimits() {
+        if (!this.limits) {
+            const { data, error } = await this.client.getUploadLimits();
+            if (error) {
+                console.warn('Upload limits unavailable:', error);
+                return { maxSize: null };
+            }
+            this.limits = {
+                maxSize: data.max_upload_size_bytes,
+                extensions: data.supported_extensions,
+                chunkedThreshold: data.chunked_upload_threshold_bytes,
+                maxChunkedSize: data.max_chunked_upload_size_bytes
+            };
+        }
+        return this.limits;
+    }
+
+    /**
+     * Get the content hashes of files already in the collection
+     * @returns {Promise<Map<string, string>>} Filename by SHA-256
+     */
+    async getKnownHashes() {
+        const { data, error } = await this.client.listDocuments();
+        if (error) {
+            console.warn('Document library unavailable for duplicate checks:', error);
+            return new Map();
+        }
+
+        return new Map(
+            data.documents
+                .filter(doc => doc.content_hash)
+                .map(doc => [doc.content_hash, doc.filename])
+        );
+    }
+
+    /**
+     * Check a batch of files
+     * @param {File[]} files - Files to check
+     * @returns {Promise<Array>} One report per file ({file, hash, error, warnings, preview})
+     */
+    async check(files) {
+        const [limits, knownHashes] = await Promise.all([this.getLimits(), this.getKnownHashes()]);
+        const batchHashes = new Map();
+        const reports = [];
+
+        // One at a time: hashing reads the whole file
+        for (const file of files) {
+            const report = await this.checkFile(file, limits);
+
+            if (report.hash) {
+                if (knownHashes.has(report.hash)) {
+                    report.warnings.push(`Already uploaded as ${knownHashes.get(report.hash)}`);
+                } else if (batchHashes.has(report.hash)) {
+                    report.warnings.push(`Same content as ${batchHashes.get(report.hash)} in this batch`);
+                } else {
+                    batchHashes.set(report.hash, file.name);
+                }
+            }
+
+            reports.push(report);
+        }
+
+        return reports;
+    }
+
+    /**
+     * Check one file
+     * @param {File} file - File to check
+     * @param {Object} limits - Upload limits ({maxSize, extensions, chunkedThreshold, maxChunkedSize})
+     * @returns {Promise<Object>} Report ({file, hash, error, warnings, preview})
+     */
+    async checkFile(file, limits) {
+        const report = { file, hash: null, error: null, warnings: [], preview: null };
+
+        // Files above the threshold go up in resumable parts, which have their own limit
+        const maxSize = limits.maxChunkedSize && file.size > limits.chunkedThreshold
+            ? limits.maxChunkedSize
+            : limits.maxSize;
+        const validation = validateFile(file, { ...limits, maxSize });
+        if (!validation.valid) {
+            report.error = validation.error;
+            return report;
+        }
+
+        const extension = file.name.toLowerCase().split('.').pop();
+        const detected = UploadPreflight.detectType(new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer()));
+        const expected = { pdf: 'pdf', docx: 'zip' }[extension] || 'text';
+
+        if (detected !== expected) {
+            report.error = `The content looks like ${UploadPreflight.typeLabels[detected]}, not a .${extension} file`;
+            return report;
+        }
+
+        if (file.size <= MAX_READ_BYTES) {
+            try {
+                report.hash = await UploadPreflight.sha256(file);
+            } catch (err) {
+                // SubtleCrypto is only available on secure origins
+                console.warn('Could not hash file:', err);
+            }
+        }
+
+        if (extension === 'json' && file.size <= MAX_READ_BYTES) {
+            try {
+                JSON.parse(await file.text());
+            } catch (err) {
+                report.error = `Not valid JSON: ${err.message}`;
+                return report;
+            }
+        }
+
+        try {
+            report.preview = await UploadPreflight.preview(file, extension);
+            if (report.preview?.type === 'pdf' && !report.preview.text) {
+                report.warnings.push('No text on the first page; scanned pages cannot be indexed');
+            }
+        } catch (err) {
+            report.warnings.push(`No preview: ${err.message}`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Recognise a file's type from its first bytes
+     * @param {Uint8Array} bytes - Start of the file
+     * @returns {string} 'pdf', 'zip', 'png', 'jpeg', 'gif', 'binary' or 'text'
+     */
+    static detectType(bytes) {
+        const startsWith = signature => signature.every((byte, i) => bytes[i] === byte);
+
+        if (startsWith([0x25, 0x50, 0x44, 0x46, 0x2d])) return 'pdf';
+        if (startsWith([0x50, 0x4b, 0x03, 0x04])) return 'zip';
+        if (startsWith([0x89, 0x50, 0x4e, 0x47])) return 'png';
+        if (startsWith([0xff, 0xd8, 0xff])) return 'jpeg';
+        if (startsWith([0x47, 0x49, 0x46, 0x38])) return 'gif';
+
+        if (bytes.includes(0)) return 'binary';
+
+        // The sniffed block may end inside a multi-byte character
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, Math.max(bytes.length - 3, 0)));
+            return 'text';
+        } catch (err) {
+            return 'binary';
+        }
+    }
+
+    /**
+     * Compute the SHA-256 of a file
+     * @param {File} file - File to hash
+     * @returns {Promise<string>} Hex digest
+     */
+    static async sha256(file) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Let PDF.js read a file in the ranges it asks for, instead of loading it whole
+     * @param {File} file - PDF file
+     * @returns {PDFDataRangeTransport} Range source for pdfjsLib.getDocument
+     */
+    static pdfRange(file) {
+        const transport = new pdfjsLib.PDFDataRangeTransport(file.size, new Uint8Array(0));
+        transport.requestDataRange = (begin, end) => {
+            file.slice(begin, end).arrayBuffer()
+                .then(buffer => transport.onDataRange(begin, new Uint8Array(buffer)))
+                .catch(err => console.warn('Could not read PDF range:', err));
+        };
+        return transport;
+    }
+
+    /**
+     * Build a preview of a file's contents
+     * @param {File} file - File to preview
+     * @param {string} extension - File extension without the dot
+     * @returns {Promise<Object|null>} Preview ({type: 'pdf', pages, text}, {type: 'csv', rows} or {type: 'txt', lines});
+     *     null for DOCX, which is only read on the server
+     */
+    static async preview(file, extension) {
+        if (extension === 'docx') {
+            return null;
+        }
+
+        if (extension === 'pdf') {
+            if (typeof pdfjsLib === 'undefined') {
+                throw new Error('the PDF renderer is not available');
+            }
+
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+            const pdf = await pdfjsLib.getDocument(pdfOptions({
+                range: UploadPreflight.pdfRange(file),
+                // Only fetch the ranges the first page needs
+                disableAutoFetch: true,
+                disableStream: true
+            })).promise;
+            try {
+                const page = await pdf.getPage(1);
+                const { items } = await page.getTextContent();
+                const text = items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+                return { type: 'pdf', pages: pdf.numPages, text: text.slice(0, PREVIEW_CHARS) };
+            } finally {
+                pdf.destroy();
+            }
+        }
+
+        const head = await file.slice(0, PREVIEW_BYTES).text();
+
+        if (extension === 'csv') {
+            const rows = parseCSV(head);
+            // The last row may be cut off by the partial read
+            if (file.size > PREVIEW_BYTES) {
+                rows.pop();
+            }
+            return { type: 'csv', rows: rows.slice(0, PREVIEW_ROWS + 1) };
+        }
+
+        // Show the text a reader would see rather than the markup
+        const text = ['html', 'htm'].includes(extension) ? UploadPreflight.htmlText(head) : head;
+        return { type: 'txt', lines: text.split(/\r?\n/).slice(0, PREVIEW_LINES) };
+    }
+
+    /**
+     * Extract the visible text of an HTML page, one line per block
+     * @param {string} html - HTML source
+     * @returns {string} Text
+     */
+    static htmlText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+        doc.querySelectorAll('p, div, li, tr, br, pre, blockquote, h1, h2, h3, h4, h5, h6')
+            .forEach(element => element.append('\n'));
+
+        return doc.body.textContent
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+}
+
+// Human-readable names of detected content types
+UploadPreflight.typeLabels = {
+    pdf: 'a PDF',
+    zip: 'a ZIP archive (e.g. DOCX or XLSX)',
+    png: 'a PNG image',
+    jpeg: 'a JPEG image',
+    gif: 'a GIF image',
+    binary: 'binary data',
+    text: 'plain text'
+};
+
+// Export for use in other scripts
+window.UploadPreflight = UploadPreflight;
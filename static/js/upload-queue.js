@@ -0,0 +1,186 @@
+/**
+ * Upload Queue for batch document uploads
+ */
+
+class UploadQueue {
+    /**
+     * @param {APIClient} client - API client used for uploads
+     * @param {object} options - Queue options
+     * @param {number} options.concurrency - Maximum parallel uploads
+     * @param {Function} options.onChange - Called with an item whenever its state changes
+     * @param {Function} options.onIdle - Called when no uploads are queued or running
+     * @param {ResumableUploader} options.uploader - Optional uploader that sends large files in resumable parts
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.uploader = options.uploader || null;
+        this.concurrency = options.concurrency || 3;
+        this.onChange = options.onChange || (() => {});
+        this.onIdle = options.onIdle || (() => {});
+        this.items = [];
+        this.nextId = 1;
+        this.batch = 0;
+    }
+
+    /**
+     * Check whether nothing is queued or uploading
+     * @returns {boolean} True when idle
+     */
+    isIdle() {
+        return !this.items.some(item => ['queued', 'uploading'].includes(item.status));
+    }
+
+    /**
+     * Get the batch that newly queued items join: the running one, or a new one when idle
+     * @returns {number} Batch number
+     */
+    currentBatch() {
+        if (this.isIdle()) {
+            this.batch++;
+        }
+        return this.batch;
+    }
+
+    /**
+     * Add files to the queue
+     * @param {File[]} files - Files to upload
+     * @returns {Array} Queue items created for the files
+     */
+    add(files) {
+        const batch = this.currentBatch();
+        const added = files.map((file) => {
+            const validation = validateFile(file);
+            const item = {
+                id: `upload-${this.nextId++}`,
+                batch,
+                file,
+                status: validation.valid ? 'queued' : 'invalid',
+                progress: 0,
+                result: null,
+                error: validation.error,
+                controller: null
+            };
+            this.items.push(item);
+            this.onChange(item);
+            return item;
+        });
+
+        this.pump();
+        return added;
+    }
+
+    /**
+     * Find a queue item by ID
+     * @param {string} id - Item ID
+     * @returns {object|undefined} Queue item
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Cancel a queued or running upload
+     * @param {string} id - Item ID
+     */
+    cancel(id) {
+        const item = this.get(id);
+        if (!item) return;
+
+        if (item.status === 'queued') {
+            this.update(item, { status: 'cancelled', error: 'Upload cancelled' });
+            this.pump();
+        } else if (item.status === 'uploading' && item.controller) {
+            // The upload promise resolves with a 'cancelled' error and finishes the item
+            item.controller.abort();
+        }
+    }
+
+    /**
+     * Re-queue a failed or cancelled upload
+     * @param {string} id - Item ID
+     */
+    retry(id) {
+        const item = this.get(id);
+        if (!item || !['error', 'cancelled'].includes(item.status)) return;
+
+        this.update(item, { batch: this.currentBatch(), status: 'queued', progress: 0, error: null });
+        this.pump();
+    }
+
+    /**
+     * Remove finished items from the queue
+     */
+    clearFinished() {
+        this.items = this.items.filter(item => ['queued', 'uploading'].includes(item.status));
+    }
+
+    /**
+     * Get aggregate counts for the current batch, leaving out finished items of earlier batches
+     * @returns {{total: number, done: number, failed: number, pending: number, chunks: number}} Summary
+     */
+    summary() {
+        const items = this.items.filter(item => item.batch === this.batch);
+        const count = (...statuses) => items.filter(item => statuses.includes(item.status)).length;
+
+        return {
+            total: items.length,
+            done: count('done'),
+            failed: count('error', 'invalid', 'cancelled'),
+            pending: count('queued', 'uploading'),
+            chunks: items.reduce((sum, item) => sum + (item.result?.chunks_created || 0), 0)
+        };
+    }
+
+    /**
+     * Start queued uploads up to the concurrency limit
+     */
+    pump() {
+        const running = this.items.filter(item => item.status === 'uploading').length;
+        const queued = this.items.filter(item => item.status === 'queued');
+
+        queued.slice(0, Math.max(0, this.concurrency - running)).forEach(item => this.start(item));
+
+        if (running === 0 && queued.length === 0) {
+            this.onIdle(this.summary());
+        }
+    }
+
+    /**
+     * Upload a single item
+     * @param {object} item - Queue item
+     */
+    async start(item) {
+        item.controller = new AbortController();
+        this.update(item, { status: 'uploading', progress: 0 });
+
+        const { data, error } = await (this.uploader || this.client).uploadDocument(
+            item.file,
+            (progress) => this.update(item, { progress }),
+            item.controller.signal
+        );
+
+        item.controller = null;
+
+        if (error) {
+            const cancelled = error.code === 'cancelled';
+            this.update(item, { status: cancelled ? 'cancelled' : 'error', error });
+        } else {
+            this.update(item, { status: 'done', progress: 100, result: data });
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Apply changes to an item and notify listeners
+     * @param {object} item - Queue item
+     * @param {object} changes - Fields to update
+     */
+    update(item, changes) {
+        Object.assign(item, changes);
+        this.onChange(item);
+    }
+}
+
+// Export for use in other scripts
+window.UploadQueue = UploadQueue;
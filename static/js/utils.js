@@ -6,8 +6,10 @@
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Toast type: 'success', 'error', 'warning', 'info'
+ * @param {Object} options - Toast options
+ * @param {boolean} options.record - Announce the toast with a `toast` event so the notification center keeps it
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', options = {}) {
     const toastContainer = document.getElementById('toastContainer');
     const toastId = `toast-${Date.now()}`;
 
@@ -49,6 +51,11 @@ function showToast(message, type = 'info') {
     toastElement.addEventListener('hidden.bs.toast', () => {
         toastElement.remove();
     });
+
+    if (options.record !== false) {
+        const text = message instanceof Error ? message.message : String(message);
+        document.dispatchEvent(new CustomEvent('toast', { detail: { message: text, type } }));
+    }
 }
 
 /**
@@ -124,14 +131,38 @@ function showConfirmModal(title, message, onConfirm, requiresTyping = false) {
 
 /**
  * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
+ * @param {string|Error} text - Text to escape; errors are replaced by their message
  * @returns {string} Escaped text
  */
 function escapeHtml(text) {
+    if (text instanceof Error) text = text.message;
     if (typeof text !== 'string') return text;
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes are escaped too so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text and wrap occurrences of query terms in <mark>
+ * @param {string} text - Text to highlight
+ * @param {string} query - Query whose words should be highlighted
+ * @returns {string} Escaped HTML with highlighted terms
+ */
+function highlightTerms(text, query) {
+    // Splitting on non-word characters leaves no regex metacharacters in the terms
+    const terms = (query || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 2);
+
+    if (!text || terms.length === 0) return escapeHtml(text);
+
+    const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+    return text
+        .split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
 }
 
 /**
@@ -180,6 +211,21 @@ function formatRelativeTime(timestamp) {
     return `${Math.floor(seconds / 86400)} days ago`;
 }
 
+/**
+ * Format a duration (e.g., "45s", "3 min", "2 h 5 min")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration string
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+
+    const minutes = Math.floor(seconds / 60) % 60;
+    return `${Math.floor(seconds / 3600)} h${minutes ? ` ${minutes} min` : ''}`;
+}
+
 /**
  * Get color class for RAGAS score
  * @param {number} score - Score value (0-1)
@@ -192,6 +238,25 @@ function getScoreColor(score) {
     return 'danger';
 }
 
+/**
+ * Get the Bootstrap icon for a document's file type
+ * @param {string} fileType - File type from chunk metadata (extension without the dot)
+ * @returns {string} Icon class name
+ */
+function getFileIcon(fileType) {
+    return {
+        pdf: 'bi-filetype-pdf',
+        txt: 'bi-filetype-txt',
+        csv: 'bi-filetype-csv',
+        md: 'bi-filetype-md',
+        html: 'bi-filetype-html',
+        htm: 'bi-filetype-html',
+        docx: 'bi-filetype-docx',
+        json: 'bi-filetype-json',
+        note: 'bi-journal-text'
+    }[fileType] || 'bi-file-earmark-text';
+}
+
 /**
  * Validate question input
  * @param {string} question - Question text
@@ -212,10 +277,14 @@ function validateQuestion(question) {
 /**
  * Validate file for upload
  * @param {File} file - File to validate
+ * @param {Object} limits - Upload limits ({maxSize in bytes, extensions}); defaults to the extension check only
  * @returns {{valid: boolean, error: string}} Validation result
  */
-function validateFile(file) {
-    const allowedExtensions = ['.pdf', '.txt', '.csv'];
+function validateFile(file, limits = {}) {
+    const {
+        maxSize = null,
+        extensions: allowedExtensions = ['.pdf', '.txt', '.csv', '.md', '.html', '.htm', '.docx', '.json']
+    } = limits;
     const fileName = file.name.toLowerCase();
 
     const hasValidExtension = allowedExtensions.some(ext => fileName.endsWith(ext));
@@ -227,6 +296,17 @@ function validateFile(file) {
         };
     }
 
+    if (file.size === 0) {
+        return { valid: false, error: 'The file is empty' };
+    }
+
+    if (maxSize && file.size > maxSize) {
+        return {
+            valid: false,
+            error: `The file is ${formatFileSize(file.size)}; the limit is ${formatFileSize(maxSize)}`
+        };
+    }
+
     return { valid: true, error: null };
 }
 
@@ -295,6 +375,55 @@ function toggleLoadingOverlay(element, show) {
     }
 }
 
+/**
+ * Parse CSV text into rows; handles quoted cells, escaped quotes and embedded newlines
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -309,6 +438,41 @@ async function copyToClipboard(text) {
     }
 }
 
+/**
+ * Convert rows to CSV text
+ * @param {Array<Array>} rows - Rows of cell values; the first row is usually the header
+ * @returns {string} CSV text
+ */
+function toCSV(rows) {
+    const escapeCell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Format processing time
  * @param {number} ms - Time in milliseconds
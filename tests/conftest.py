@@ -44,6 +44,36 @@ def mock_settings():
         yield settings
 
 
+@pytest.fixture(autouse=True)
+def uploads_dir(tmp_path):
+    """Keep original files stored during a test in a temporary directory."""
+    path = tmp_path / "uploads"
+    with patch("app.core.file_store.get_settings") as mock:
+        mock.return_value.uploads_dir = str(path)
+        yield path
+
+
+@pytest.fixture(autouse=True)
+def upload_sessions_dir(tmp_path):
+    """Keep resumable upload sessions created during a test in a temporary directory."""
+    path = tmp_path / "upload_sessions"
+    with patch("app.core.upload_sessions.get_settings") as mock:
+        mock.return_value.upload_sessions_dir = str(path)
+        mock.return_value.upload_session_ttl_hours = 24
+        yield path
+
+
+@pytest.fixture(autouse=True)
+def workspaces_file(tmp_path):
+    """Keep workspaces created during a test in a temporary registry."""
+    path = tmp_path / "workspaces.json"
+    with patch("app.core.workspaces.get_settings") as mock:
+        mock.return_value.workspaces_path = str(path)
+        mock.return_value.workspace_uploads_dir = str(tmp_path / "workspace_uploads")
+        mock.return_value.collection_name = "test_collection"
+        yield path
+
+
 @pytest.fixture
 def mock_qdrant_client():
     """Mock Qdrant client."""
@@ -96,10 +126,10 @@ def mock_rag_chain():
         chain.query.return_value = "This is a test answer."
 
         # Use AsyncMock for async methods
-        async def mock_aquery(question):
+        async def mock_aquery(question, history=None, document_ids=None):
             return "This is a test answer."
 
-        async def mock_aquery_with_sources(question):
+        async def mock_aquery_with_sources(question, history=None, document_ids=None):
             return {
                 "answer": "This is a test answer.",
                 "sources": [{"content": "Test content", "metadata": {"source": "test.pdf"}}],
@@ -124,16 +154,18 @@ def mock_rag_chain_with_evaluation():
         chain.query.return_value = "This is a test answer."
 
         # Use async functions for async methods
-        async def mock_aquery(question):
+        async def mock_aquery(question, history=None, document_ids=None):
             return "This is a test answer."
 
-        async def mock_aquery_with_sources(question):
+        async def mock_aquery_with_sources(question, history=None, document_ids=None):
             return {
                 "answer": "This is a test answer.",
                 "sources": [{"content": "Test content", "metadata": {"source": "test.pdf"}}],
             }
 
-        async def mock_aquery_with_evaluation(question, include_sources=True):
+        async def mock_aquery_with_evaluation(
+            question, include_sources=True, history=None, document_ids=None
+        ):
             return {
                 "answer": "This is a test answer.",
                 "sources": [{"content": "Test content", "metadata": {"source": "test.pdf"}}],
@@ -165,16 +197,18 @@ def mock_rag_chain_with_evaluation_error():
         chain.query.return_value = "This is a test answer."
 
         # Use async functions for async methods
-        async def mock_aquery(question):
+        async def mock_aquery(question, history=None, document_ids=None):
             return "This is a test answer."
 
-        async def mock_aquery_with_sources(question):
+        async def mock_aquery_with_sources(question, history=None, document_ids=None):
             return {
                 "answer": "This is a test answer.",
                 "sources": [{"content": "Test content", "metadata": {"source": "test.pdf"}}],
             }
 
-        async def mock_aquery_with_evaluation(question, include_sources=True):
+        async def mock_aquery_with_evaluation(
+            question, include_sources=True, history=None, document_ids=None
+        ):
             return {
                 "answer": "This is a test answer.",
                 "sources": [{"content": "Test content", "metadata": {"source": "test.pdf"}}],
@@ -198,6 +232,36 @@ def mock_rag_chain_with_evaluation_error():
         yield chain
 
 
+@pytest.fixture
+def mock_streaming_rag_chain():
+    """Mock RAG chain with streaming support."""
+    with patch("app.api.routes.query.RAGChain") as mock:
+        from langchain_core.documents import Document
+
+        chain = MagicMock()
+
+        async def mock_aretrieve(question, history=None, document_ids=None):
+            return [Document(page_content="Test content", metadata={"source": "test.pdf"})]
+
+        async def mock_astream_answer(question, docs, history=None):
+            for chunk in ["This is ", "a test answer."]:
+                yield chunk
+
+        async def mock_aevaluate_answer(question, answer, contexts):
+            return {
+                "faithfulness": 0.95,
+                "answer_relevancy": 0.87,
+                "evaluation_time_ms": 1200.5,
+                "error": None,
+            }
+
+        chain.aretrieve = mock_aretrieve
+        chain.astream_answer = mock_astream_answer
+        chain.aevaluate_answer = mock_aevaluate_answer
+        mock.return_value = chain
+        yield chain
+
+
 @pytest.fixture
 def client(mock_vector_store, mock_rag_chain):
     """Create test client with mocked dependencies."""
@@ -225,6 +289,15 @@ def client_with_evaluation_error(mock_vector_store, mock_rag_chain_with_evaluati
         yield test_client
 
 
+@pytest.fixture
+def client_with_streaming(mock_vector_store, mock_streaming_rag_chain):
+    """Create test client with streaming mock."""
+    from app.main import app
+
+    with TestClient(app) as test_client:
+        yield test_client
+
+
 @pytest.fixture
 def sample_text_content():
     """Sample text content for testing."""
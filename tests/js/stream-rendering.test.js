@@ -0,0 +1,211 @@
+/**
+ * Rendering performance of streamed answers: a large synthetic answer is streamed through
+ * APIClient.queryStream into a StreamRenderer, and the Markdown work is checked to stay linear.
+ *
+ * Runs on Node's built-in test runner, with no dependencies: node --test tests/js/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const STATIC_JS = path.join(__dirname, '..', '..', 'static', 'js');
+
+// Tokens that arrive between two animation frames; LLM streams are usually faster than 60 per second
+const TOKENS_PER_FRAME = 20;
+
+/**
+ * Build an answer of Markdown blocks: paragraphs, lists and code fences with blank lines inside
+ * @param {number} blocks - Number of blocks
+ * @returns {string} Answer text
+ */
+function syntheticAnswer(blocks) {
+    const parts = [];
+    for (let i = 0; i < blocks; i++) {
+        if (i % 10 === 9) {
+            parts.push(`\`\`\`python\ndef step_${i}():\n\n    return ${i}\n\`\`\``);
+        } else if (i % 5 === 4) {
+            parts.push(`- item ${i}a with **bold** text\n- item ${i}b citing [${i % 4 + 1}]`);
+        } else {
+            parts.push(`Paragraph ${i} explains retrieval augmented generation in some detail, `
+                + `with a citation [${i % 4 + 1}] and a little \`inline code\`.`);
+        }
+    }
+    return parts.join('\n\n');
+}
+
+/**
+ * Split text into small tokens, like an LLM stream
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens of up to four characters
+ */
+function tokenize(text) {
+    return text.match(/[\s\S]{1,4}/g);
+}
+
+/**
+ * Create a script context with the browser APIs the client and renderer use
+ * The DOM is reduced to what StreamRenderer touches: one container and its stream tail.
+ * @param {Array<string>} tokens - Tokens the fake /query/stream endpoint sends
+ * @returns {Object} Context, with the rendered container and counters
+ */
+function createBrowser(tokens) {
+    const settled = [];
+    const tail = {
+        innerHTML: '',
+        insertAdjacentHTML(position, html) {
+            settled.push(html);
+        }
+    };
+    const container = {
+        set innerHTML(html) {
+            settled.length = 0;
+            tail.innerHTML = html;
+        },
+        get innerHTML() {
+            return settled.join('') + tail.innerHTML;
+        },
+        querySelector: () => tail,
+        getBoundingClientRect: () => ({ top: 0, bottom: 0 })
+    };
+
+    const frames = new Map();
+    let nextFrame = 1;
+    const stats = { renderedChars: 0, renders: 0, frames: 0 };
+
+    const encoder = new TextEncoder();
+    const lines = [
+        ...tokens.map(content => JSON.stringify({ type: 'token', content })),
+        JSON.stringify({ type: 'done', processing_time_ms: 1234 })
+    ];
+
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        AbortController,
+        TextDecoder,
+        crypto: globalThis.crypto,
+        innerHeight: 800,
+        scrollBy: () => {},
+        requestAnimationFrame(callback) {
+            frames.set(nextFrame, callback);
+            return nextFrame++;
+        },
+        cancelAnimationFrame(id) {
+            frames.delete(id);
+        },
+        // NDJSON events, several per network read
+        fetch: async () => new Response(new ReadableStream({
+            start(controller) {
+                for (let i = 0; i < lines.length; i += 50) {
+                    controller.enqueue(encoder.encode(lines.slice(i, i + 50).join('\n') + '\n'));
+                }
+                controller.close();
+            }
+        }), { headers: { 'Content-Type': 'application/x-ndjson' } }),
+        Markdown: {
+            render(text) {
+                stats.renders++;
+                stats.renderedChars += text.length;
+                return `<div>${text}</div>`;
+            }
+        },
+        Components: {
+            streamingCursor: () => '<span class="streaming-cursor"></span>'
+        }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const file of ['api.js', 'stream-renderer.js']) {
+        vm.runInContext(fs.readFileSync(path.join(STATIC_JS, file), 'utf8'), context, { filename: file });
+    }
+
+    return {
+        context,
+        container,
+        stats,
+        // Run the callbacks of the pending animation frame, as the browser would before painting
+        paint() {
+            const callbacks = [...frames.values()];
+            frames.clear();
+            if (callbacks.length) {
+                stats.frames++;
+            }
+            callbacks.forEach(callback => callback(performance.now()));
+        }
+    };
+}
+
+test('streams a large answer with linear rendering work', async () => {
+    const answer = syntheticAnswer(2000);
+    const tokens = tokenize(answer);
+    const browser = createBrowser(tokens);
+    const { APIClient, StreamRenderer } = browser.context;
+
+    const renderer = new StreamRenderer(browser.container);
+    let received = 0;
+
+    const started = performance.now();
+    const { data, error } = await new APIClient('').queryStream('What is RAG?', (chunk) => {
+        renderer.append(chunk);
+        if (++received % TOKENS_PER_FRAME === 0) {
+            browser.paint();
+        }
+    });
+    const final = renderer.finish();
+    const elapsedMs = performance.now() - started;
+
+    assert.equal(error, null);
+    assert.equal(data.answer, answer);
+    assert.equal(data.processing_time_ms, 1234);
+    assert.equal(received, tokens.length);
+    assert.equal(final, answer);
+
+    // One render of the open block per frame, not per token
+    assert.ok(browser.stats.frames > 100, `only ${browser.stats.frames} frames were painted`);
+    assert.ok(
+        browser.stats.renders <= 2 * browser.stats.frames + 2,
+        `${browser.stats.renders} renders for ${browser.stats.frames} frames`
+    );
+
+    // Finished blocks are rendered once; re-rendering the whole answer each frame would be quadratic
+    assert.ok(
+        browser.stats.renderedChars < 3 * answer.length,
+        `rendered ${browser.stats.renderedChars} characters for a ${answer.length} character answer`
+    );
+
+    // The settled blocks hold the whole answer once, and the cursor is gone
+    assert.equal(browser.container.innerHTML.includes('streaming-cursor'), false);
+    assert.equal(browser.container.innerHTML.replace(/<\/?div>/g, ''), answer);
+
+    assert.ok(elapsedMs < 5000, `streaming took ${Math.round(elapsedMs)} ms`);
+});
+
+test('keeps code fences with blank lines in one block', async () => {
+    const answer = 'Intro paragraph.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nClosing paragraph.';
+    const browser = createBrowser(tokenize(answer));
+    const { APIClient, StreamRenderer } = browser.context;
+
+    const renderer = new StreamRenderer(browser.container);
+    const blocks = [];
+    const render = browser.context.Markdown.render;
+    browser.context.Markdown.render = (text, options) => {
+        if (!options?.streaming) {
+            blocks.push(text);
+        }
+        return render(text, options);
+    };
+
+    await new APIClient('').queryStream('Show code', (chunk) => {
+        renderer.append(chunk);
+        browser.paint();
+    });
+    renderer.finish();
+
+    assert.ok(blocks.some(block => block.includes('const a = 1;\n\nconst b = 2;')), 'the code fence was split');
+    assert.equal(blocks.join(''), answer);
+});
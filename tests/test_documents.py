@@ -3,6 +3,8 @@
 import io
 from unittest.mock import MagicMock, patch
 
+import pytest
+
 
 class TestDocumentProcessor:
     """Test document processor functionality."""
@@ -16,6 +18,13 @@ class TestDocumentProcessor:
         assert ".txt" in processor.SUPPORTED_EXTENSIONS
         assert ".csv" in processor.SUPPORTED_EXTENSIONS
 
+    def test_structured_extensions(self):
+        """Test that Markdown, HTML, DOCX and JSON are supported."""
+        from app.core.document_processor import DocumentProcessor
+
+        for extension in (".md", ".html", ".htm", ".docx", ".json"):
+            assert extension in DocumentProcessor.SUPPORTED_EXTENSIONS
+
     def test_processor_initialization(self, mock_settings):
         """Test processor initialization with settings."""
         from app.core.document_processor import DocumentProcessor
@@ -34,6 +43,98 @@ class TestDocumentProcessor:
         assert isinstance(result, list)
 
 
+class TestStructuredFormats:
+    """Test loading of Markdown, HTML, DOCX and JSON files."""
+
+    def test_markdown_heading_paths(self, tmp_path):
+        """Test that Markdown sections carry their heading path."""
+        from app.core.document_processor import DocumentProcessor
+
+        path = tmp_path / "runbook.md"
+        path.write_text(
+            "Preamble\n\n# Deploy\n\n## Rollback\nRevert the release.\n"
+            "```sh\n# not a heading\n```\n# Monitoring\nWatch the dashboards.\n"
+        )
+
+        documents = DocumentProcessor().load_file(path)
+
+        assert [doc.metadata["heading_path"] for doc in documents] == [
+            "",
+            "Deploy > Rollback",
+            "Monitoring",
+        ]
+        assert documents[1].page_content.startswith("## Rollback")
+        assert "# not a heading" in documents[1].page_content
+
+    def test_html_sections(self, tmp_path):
+        """Test that HTML text is split at headings and scripts are dropped."""
+        from app.core.document_processor import DocumentProcessor
+
+        path = tmp_path / "wiki.html"
+        path.write_text(
+            "<html><head><title>Team Wiki</title><script>track()</script></head><body>"
+            "<h1>Onboarding</h1><p>Welcome &amp; hello</p>"
+            "<h2>Accounts</h2><ul><li>Email</li><li>VPN</li></ul></body></html>"
+        )
+
+        documents = DocumentProcessor().load_file(path)
+
+        assert [doc.metadata["heading_path"] for doc in documents] == [
+            "Onboarding",
+            "Onboarding > Accounts",
+        ]
+        assert documents[0].metadata["title"] == "Team Wiki"
+        assert "Welcome & hello" in documents[0].page_content
+        assert "- VPN" in documents[1].page_content
+        assert "track()" not in "".join(doc.page_content for doc in documents)
+
+    def test_docx_sections(self, tmp_path):
+        """Test that DOCX heading styles become heading paths."""
+        from docx import Document as DocxDocument
+
+        from app.core.document_processor import DocumentProcessor
+
+        docx = DocxDocument()
+        docx.add_heading("Specification", level=1)
+        docx.add_paragraph("Overview of the service.")
+        docx.add_heading("Limits", level=2)
+        table = docx.add_table(rows=1, cols=2)
+        table.rows[0].cells[0].text = "Requests"
+        table.rows[0].cells[1].text = "100/s"
+        path = tmp_path / "spec.docx"
+        docx.save(path)
+
+        documents = DocumentProcessor().load_file(path)
+
+        assert [doc.metadata["heading_path"] for doc in documents] == [
+            "Specification",
+            "Specification > Limits",
+        ]
+        assert "Requests | 100/s" in documents[1].page_content
+
+    def test_json_records(self, tmp_path):
+        """Test that JSON arrays give one document per item with its path."""
+        from app.core.document_processor import DocumentProcessor
+
+        path = tmp_path / "services.json"
+        path.write_text('[{"name": "api", "owners": ["ops"]}, {"name": "worker"}]')
+
+        documents = DocumentProcessor().load_file(path)
+
+        assert [doc.metadata["json_path"] for doc in documents] == ["$[0]", "$[1]"]
+        assert documents[0].page_content == "name: api\nowners[0]: ops"
+
+    def test_invalid_json(self, tmp_path):
+        """Test that malformed JSON is reported as an invalid file."""
+        from app.core.document_processor import DocumentProcessor
+
+        path = tmp_path / "broken.json"
+        path.write_text("{not json")
+
+        with pytest.raises(ValueError, match="Invalid JSON"):
+            DocumentProcessor().load_file(path)
+
+
 class TestDocumentEndpoints:
     """Test document API endpoints."""
 
@@ -94,3 +195,400 @@ class TestDocumentEndpoints:
         assert response.status_code == 200
         data = response.json()
         assert "message" in data
+
+
+class TestDocumentLibrary:
+    """Test per-document library endpoints."""
+
+    def test_upload_tags_chunks_with_document_id(self, client, mock_vector_store):
+        """Test that uploaded chunks share a document ID and record their origin."""
+        from langchain_core.documents import Document
+
+        chunks = [
+            Document(page_content="First chunk", metadata={"source": "notes.txt"}),
+            Document(page_content="Second chunk", metadata={"source": "notes.txt"}),
+        ]
+        files = {"file": ("notes.txt", io.BytesIO(b"content"), "text/plain")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = chunks
+            mock_service.return_value.add_documents.return_value = ["id1", "id2"]
+
+            response = client.post("/documents/upload", files=files)
+
+        assert response.status_code == 200
+        document_id = response.json()["document_id"]
+        assert document_id
+        assert [chunk.metadata["document_id"] for chunk in chunks] == [document_id] * 2
+        assert [chunk.metadata["chunk_index"] for chunk in chunks] == [0, 1]
+        assert chunks[0].metadata["file_type"] == "txt"
+        assert "uploaded_at" in chunks[0].metadata
+
+    def test_list_documents(self, client):
+        """Test listing ingested files."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.list_documents.return_value = [
+                {
+                    "document_id": "doc-1",
+                    "filename": "paper.pdf",
+                    "file_type": "pdf",
+                    "chunk_count": 12,
+                    "uploaded_at": "2024-01-01T00:00:00+00:00",
+                },
+                {
+                    "document_id": "legacy.txt",
+                    "filename": "legacy.txt",
+                    "file_type": "txt",
+                    "chunk_count": 3,
+                    "uploaded_at": None,
+                },
+            ]
+
+            response = client.get("/documents")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["total"] == 2
+        assert data["documents"][0]["filename"] == "paper.pdf"
+        assert data["documents"][0]["chunk_count"] == 12
+        assert data["documents"][1]["uploaded_at"] is None
+
+    def test_get_document_chunks(self, client):
+        """Test browsing the chunks of one file."""
+        from langchain_core.documents import Document
+
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.get_document_chunks.return_value = [
+                Document(
+                    page_content="Chunk text",
+                    metadata={"source": "paper.pdf", "page": 1, "_id": "chunk-1"},
+                )
+            ]
+
+            response = client.get("/documents/doc-1/chunks")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["filename"] == "paper.pdf"
+        assert data["chunks"][0]["id"] == "chunk-1"
+        assert "_id" not in data["chunks"][0]["metadata"]
+        mock_service.return_value.get_document_chunks.assert_called_once_with("doc-1")
+
+    def test_get_chunks_of_unknown_document(self, client):
+        """Test browsing a document that does not exist."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.get_document_chunks.return_value = []
+
+            response = client.get("/documents/missing/chunks")
+
+        assert response.status_code == 404
+
+    def test_delete_document(self, client):
+        """Test deleting a single file."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.delete_document.return_value = 4
+
+            response = client.delete("/documents/doc-1")
+
+        assert response.status_code == 200
+        assert response.json()["chunks_deleted"] == 4
+        mock_service.return_value.delete_document.assert_called_once_with("doc-1")
+        mock_service.return_value.delete_collection.assert_not_called()
+
+    def test_delete_unknown_document(self, client):
+        """Test deleting a document that does not exist."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.delete_document.return_value = 0
+
+            response = client.delete("/documents/missing")
+
+        assert response.status_code == 404
+
+    def test_delete_collection_route_still_matches(self, client, mock_vector_store):
+        """Test that the collection route is not shadowed by the document route."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            response = client.delete("/documents/collection")
+
+        assert response.status_code == 200
+        mock_service.return_value.delete_collection.assert_called_once()
+        mock_service.return_value.delete_document.assert_not_called()
+
+    def test_reingest_document_keeps_id(self, client):
+        """Test that re-ingesting replaces the chunks under the same document ID."""
+        from langchain_core.documents import Document
+
+        new_chunks = [Document(page_content="Updated", metadata={"source": "paper.pdf"})]
+        files = {"file": ("paper.pdf", io.BytesIO(b"%PDF-1.4"), "application/pdf")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            service = mock_service.return_value
+            service.get_document_chunks.return_value = [
+                Document(page_content="Old", metadata={"document_id": "doc-1", "_id": "c1"})
+            ]
+            service.add_documents.return_value = ["c2"]
+            mock_processor.return_value.process_upload.return_value = new_chunks
+
+            response = client.put("/documents/doc-1", files=files)
+
+        assert response.status_code == 200
+        assert response.json()["document_id"] == "doc-1"
+        service.delete_points.assert_called_once_with(["c1"])
+        service.delete_document.assert_not_called()
+        assert new_chunks[0].metadata["document_id"] == "doc-1"
+
+    def test_reingest_keeps_old_chunks_on_embedding_error(self, client):
+        """Test that old chunks stay when embedding or storing the new ones fails."""
+        from langchain_core.documents import Document
+
+        new_chunks = [Document(page_content="Updated", metadata={"source": "paper.pdf"})]
+        files = {"file": ("paper.pdf", io.BytesIO(b"%PDF-1.4"), "application/pdf")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            service = mock_service.return_value
+            service.get_document_chunks.return_value = [
+                Document(page_content="Old", metadata={"document_id": "doc-1", "_id": "c1"})
+            ]
+            service.add_documents.side_effect = RuntimeError("Embedding failed")
+            mock_processor.return_value.process_upload.return_value = new_chunks
+
+            response = client.put("/documents/doc-1", files=files)
+
+        assert response.status_code == 500
+        service.delete_points.assert_not_called()
+        service.delete_document.assert_not_called()
+
+    def test_reingest_keeps_old_chunks_on_processing_error(self, client):
+        """Test that a failed re-ingestion leaves the existing chunks in place."""
+        from langchain_core.documents import Document
+
+        files = {"file": ("paper.xyz", io.BytesIO(b"data"), "application/octet-stream")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            service = mock_service.return_value
+            service.get_document_chunks.return_value = [
+                Document(page_content="Old", metadata={"document_id": "doc-1", "_id": "c1"})
+            ]
+            mock_processor.return_value.process_upload.side_effect = ValueError("Unsupported")
+
+            response = client.put("/documents/doc-1", files=files)
+
+        assert response.status_code == 400
+        service.delete_points.assert_not_called()
+
+
+class TestOriginalFiles:
+    """Test keeping and serving the original uploaded files."""
+
+    def upload(self, client, filename="notes.txt", content=b"Line one\nLine two\n"):
+        """Upload a file with processing and the vector store mocked out."""
+        from langchain_core.documents import Document
+
+        files = {"file": (filename, io.BytesIO(content), "text/plain")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = [
+                Document(page_content="Line one", metadata={"source": filename})
+            ]
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post("/documents/upload", files=files)
+
+        assert response.status_code == 200
+        return response.json()["document_id"]
+
+    def test_upload_keeps_original_file(self, client):
+        """Test that the uploaded file can be fetched back unchanged."""
+        document_id = self.upload(client)
+
+        response = client.get(f"/documents/{document_id}/file")
+
+        assert response.status_code == 200
+        assert response.content == b"Line one\nLine two\n"
+        assert response.headers["content-disposition"].startswith("inline")
+        assert response.headers["content-type"] == "text/plain; charset=utf-8"
+
+    def test_html_original_served_as_text(self, client):
+        """Test that an uploaded HTML page is never served as HTML on the app's origin."""
+        page = b"<html><body><script>alert(sessionStorage.length)</script></body></html>"
+        document_id = self.upload(client, filename="page.html", content=page)
+
+        response = client.get(f"/documents/{document_id}/file")
+
+        assert response.status_code == 200
+        assert response.content == page
+        assert response.headers["content-type"] == "text/plain; charset=utf-8"
+        assert response.headers["x-content-type-options"] == "nosniff"
+        assert response.headers["content-security-policy"] == "sandbox"
+
+    def test_pdf_original_served_as_pdf(self, client):
+        """Test that PDFs keep their type, for the source viewer, and are sandboxed too."""
+        document_id = self.upload(client, filename="paper.pdf", content=b"%PDF-1.4 test")
+
+        response = client.get(f"/documents/{document_id}/file")
+
+        assert response.headers["content-type"] == "application/pdf"
+        assert response.headers["content-disposition"].startswith("inline")
+        assert response.headers["content-security-policy"] == "sandbox"
+
+    def test_file_of_unknown_document(self, client):
+        """Test fetching the file of a document that was never stored."""
+        response = client.get("/documents/missing/file")
+
+        assert response.status_code == 404
+
+    def test_delete_document_removes_original_file(self, client):
+        """Test that deleting a document also deletes its stored file."""
+        document_id = self.upload(client)
+
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.delete_document.return_value = 1
+            client.delete(f"/documents/{document_id}")
+
+        assert client.get(f"/documents/{document_id}/file").status_code == 404
+
+    def test_file_store_rejects_ids_outside_the_store(self, tmp_path):
+        """Test that document IDs cannot point outside the upload directory."""
+        from app.core.file_store import FileStore
+
+        store = FileStore(tmp_path / "uploads")
+
+        assert store.get("..") is None
+        assert store.get("../etc") is None
+        with pytest.raises(ValueError):
+            store.save("../escape", "notes.txt", io.BytesIO(b"data"))
+
+
+class TestUploadChecks:
+    """Test upload size limits and content hashing."""
+
+    def test_upload_limits(self, client):
+        """Test that clients can read the upload limits."""
+        response = client.get("/documents/limits")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["max_upload_size_bytes"] == 25 * 1024 * 1024
+        assert data["chunked_upload_threshold_bytes"] == 10 * 1024 * 1024
+        assert data["max_chunked_upload_size_bytes"] == 1024 * 1024 * 1024
+        assert data["upload_part_size_bytes"] == 5 * 1024 * 1024
+        assert data["supported_extensions"] == [
+            ".csv",
+            ".docx",
+            ".htm",
+            ".html",
+            ".json",
+            ".md",
+            ".pdf",
+            ".txt",
+        ]
+
+    def test_upload_over_size_limit(self, client):
+        """Test that files over the configured limit are rejected before processing."""
+        files = {"file": ("big.txt", io.BytesIO(b"x" * (1024 * 1024 + 1)), "text/plain")}
+
+        with (
+            patch("app.api.routes.documents.get_settings") as mock_get_settings,
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+        ):
+            mock_get_settings.return_value.max_upload_size_mb = 1
+
+            response = client.post("/documents/upload", files=files)
+
+        assert response.status_code == 413
+        mock_processor.assert_not_called()
+
+    def test_upload_empty_file(self, client):
+        """Test that empty files are rejected."""
+        files = {"file": ("empty.txt", io.BytesIO(b""), "text/plain")}
+
+        with patch("app.api.routes.documents.DocumentProcessor") as mock_processor:
+            response = client.post("/documents/upload", files=files)
+
+        assert response.status_code == 400
+        mock_processor.assert_not_called()
+
+    def test_upload_records_content_hash(self, client):
+        """Test that chunks carry the SHA-256 of the uploaded file."""
+        import hashlib
+
+        from langchain_core.documents import Document
+
+        content = b"Some document text"
+        chunks = [Document(page_content="Some document text", metadata={"source": "a.txt"})]
+        files = {"file": ("a.txt", io.BytesIO(content), "text/plain")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = chunks
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post("/documents/upload", files=files)
+
+        assert response.status_code == 200
+        assert chunks[0].metadata["content_hash"] == hashlib.sha256(content).hexdigest()
+
+
+class TestTextDocuments:
+    """Test ingestion of pasted text."""
+
+    def test_add_text_document(self, client, uploads_dir):
+        """Test that pasted text is chunked, tagged and kept for the source viewer."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post(
+                "/documents/text",
+                json={
+                    "title": "Ticket 4512: refund delays",
+                    "content": "Refunds take five business days to appear.",
+                    "tags": ["billing", " billing ", "support"],
+                },
+            )
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["filename"] == "Ticket 4512: refund delays"
+        assert data["chunks_created"] == 1
+
+        chunks = mock_service.return_value.add_documents.call_args.args[0]
+        assert chunks[0].metadata["source"] == "Ticket 4512: refund delays"
+        assert chunks[0].metadata["file_type"] == "note"
+        assert chunks[0].metadata["tags"] == ["billing", "support"]
+
+        stored = uploads_dir / data["document_id"] / "note.txt"
+        assert stored.read_text() == "Refunds take five business days to appear."
+
+    def test_add_blank_text(self, client):
+        """Test that whitespace-only text is rejected."""
+        response = client.post("/documents/text", json={"title": "Empty", "content": "   "})
+
+        assert response.status_code == 400
+
+    def test_add_text_over_size_limit(self, client):
+        """Test that pasted text is held to the upload size limit."""
+        with patch("app.api.routes.documents.get_settings") as mock_get_settings:
+            mock_get_settings.return_value.max_upload_size_mb = 1
+
+            response = client.post(
+                "/documents/text",
+                json={"title": "Huge", "content": "x" * (1024 * 1024 + 1)},
+            )
+
+        assert response.status_code == 413
@@ -0,0 +1,108 @@
+"""Tests for answer feedback storage and endpoints."""
+
+from unittest.mock import patch
+
+import pytest
+
+
+@pytest.fixture
+def feedback_path(tmp_path):
+    """Route feedback to a temporary log file."""
+    from app.core.feedback_store import FeedbackStore
+
+    path = tmp_path / "feedback.jsonl"
+    with patch(
+        "app.api.routes.feedback.FeedbackStore",
+        side_effect=lambda: FeedbackStore(path),
+    ):
+        yield path
+
+
+def feedback_payload(**overrides):
+    """Build a valid feedback request body."""
+    payload = {
+        "rating": "down",
+        "reason": "incomplete",
+        "correction": "RAG also covers generation.",
+        "question": "What is RAG?",
+        "answer": "Retrieval.",
+        "sources": [
+            {"content": "RAG combines retrieval", "metadata": {"source": "a.pdf"}},
+            {"content": "Unrelated text", "metadata": {"source": "b.pdf"}},
+        ],
+        "flagged_sources": [1],
+        "client_id": "local-1",
+    }
+    payload.update(overrides)
+    return payload
+
+
+class TestFeedbackStore:
+    """Test the JSONL feedback store."""
+
+    def test_add_and_list(self, tmp_path):
+        """Test entries are appended and listed newest first."""
+        from app.core.feedback_store import FeedbackStore
+
+        store = FeedbackStore(tmp_path / "nested" / "feedback.jsonl")
+        first = store.add({"rating": "up"})
+        second = store.add({"rating": "down"})
+
+        entries = store.list()
+        assert [entry["id"] for entry in entries] == [second["id"], first["id"]]
+        assert "received_at" in entries[0]
+
+    def test_list_without_log(self, tmp_path):
+        """Test listing before any feedback was recorded."""
+        from app.core.feedback_store import FeedbackStore
+
+        assert FeedbackStore(tmp_path / "missing.jsonl").list() == []
+
+    def test_list_skips_malformed_lines(self, tmp_path):
+        """Test a corrupted line does not hide the rest of the log."""
+        from app.core.feedback_store import FeedbackStore
+
+        path = tmp_path / "feedback.jsonl"
+        path.write_text('{"id": "a", "rating": "up"}\nnot json\n')
+
+        assert [entry["id"] for entry in FeedbackStore(path).list()] == ["a"]
+
+
+class TestFeedbackEndpoints:
+    """Test feedback API endpoints."""
+
+    def test_submit_feedback(self, client, feedback_path):
+        """Test recording feedback with a reason, correction and flagged source."""
+        response = client.post("/feedback", json=feedback_payload())
+
+        assert response.status_code == 200
+        assert response.json()["id"]
+
+        entries = client.get("/feedback").json()
+        assert entries["total"] == 1
+        entry = entries["entries"][0]
+        assert entry["reason"] == "incomplete"
+        assert entry["flagged_sources"] == [1]
+        assert entry["client_id"] == "local-1"
+
+    def test_submit_thumbs_up_without_details(self, client, feedback_path):
+        """Test a bare rating is accepted."""
+        response = client.post(
+            "/feedback",
+            json={"rating": "up", "question": "What is RAG?", "answer": "Retrieval."},
+        )
+
+        assert response.status_code == 200
+
+    def test_invalid_reason(self, client, feedback_path):
+        """Test reason categories are validated."""
+        response = client.post("/feedback", json=feedback_payload(reason="boring"))
+
+        assert response.status_code == 422
+
+    def test_flagged_source_out_of_range(self, client, feedback_path):
+        """Test flagged sources must refer to submitted sources."""
+        response = client.post("/feedback", json=feedback_payload(flagged_sources=[5]))
+
+        assert response.status_code == 400
+        assert not feedback_path.exists()
@@ -46,3 +46,27 @@ class TestHealthEndpoints:
         data = response.json()
         assert "openapi" in data
         assert "paths" in data
+
+
+class TestRequestIds:
+    """Test request IDs returned with every response."""
+
+    def test_request_id_generated(self, client):
+        """Test that responses carry a generated request ID."""
+        response = client.get("/health")
+
+        assert response.status_code == 200
+        assert len(response.headers["X-Request-ID"]) == 32
+
+    def test_client_request_id_echoed(self, client):
+        """Test that a client-supplied request ID is kept."""
+        response = client.get("/health", headers={"X-Request-ID": "client-abc.123"})
+
+        assert response.headers["X-Request-ID"] == "client-abc.123"
+
+    def test_invalid_request_id_replaced(self, client):
+        """Test that a malformed request ID is replaced with a generated one."""
+        response = client.get("/health", headers={"X-Request-ID": "bad id <script>"})
+
+        assert response.headers["X-Request-ID"] != "bad id <script>"
+        assert len(response.headers["X-Request-ID"]) == 32
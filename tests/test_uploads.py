@@ -0,0 +1,268 @@
+"""Tests for resumable upload endpoints."""
+
+import os
+from pathlib import Path
+from unittest.mock import patch
+
+import pytest
+
+MB = 1024 * 1024
+
+
+@pytest.fixture
+def upload_settings():
+    """Use 1 MB parts so multi-part uploads stay small."""
+    with patch("app.api.routes.uploads.get_settings") as mock:
+        mock.return_value.max_upload_size_mb = 5
+        mock.return_value.max_chunked_upload_size_mb = 25
+        mock.return_value.upload_part_size_mb = 1
+        yield mock.return_value
+
+
+def start_session(client, filename="scan.pdf", size=int(2.5 * MB)):
+    """Start an upload session and return its state."""
+    response = client.post("/documents/uploads", json={"filename": filename, "size": size})
+    assert response.status_code == 200
+    return response.json()
+
+
+class TestUploadSessions:
+    """Test upload session lifecycle."""
+
+    def test_create_session(self, client, upload_settings):
+        """Test that a session splits the file into parts of the configured size."""
+        session = start_session(client)
+
+        assert session["filename"] == "scan.pdf"
+        assert session["part_size"] == MB
+        assert session["total_parts"] == 3
+        assert session["received_parts"] == []
+
+    def test_unsupported_extension(self, client, upload_settings):
+        """Test that sessions are only started for supported file types."""
+        response = client.post("/documents/uploads", json={"filename": "a.exe", "size": 10})
+
+        assert response.status_code == 400
+
+    def test_file_over_single_request_limit(self, client, upload_settings):
+        """Test that resumable uploads may be larger than single-request uploads."""
+        session = start_session(client, size=10 * MB)
+
+        assert session["total_parts"] == 10
+
+    def test_file_over_size_limit(self, client, upload_settings):
+        """Test that the resumable upload size limit applies."""
+        response = client.post(
+            "/documents/uploads", json={"filename": "big.pdf", "size": 25 * MB + 1}
+        )
+
+        assert response.status_code == 413
+
+    def test_unknown_session(self, client, upload_settings):
+        """Test that parts for an unknown session are rejected."""
+        response = client.put("/documents/uploads/missing/parts/0", content=b"data")
+
+        assert response.status_code == 404
+
+    def test_part_with_wrong_length(self, client, upload_settings):
+        """Test that a truncated part is rejected."""
+        session = start_session(client)
+
+        response = client.put(
+            f"/documents/uploads/{session['upload_id']}/parts/0", content=b"x" * 100
+        )
+
+        assert response.status_code == 400
+
+    def test_part_over_part_size(self, client, upload_settings):
+        """Test that a part larger than the part size is refused before it is stored."""
+        session = start_session(client)
+
+        response = client.put(
+            f"/documents/uploads/{session['upload_id']}/parts/0", content=b"x" * (MB + 1)
+        )
+
+        assert response.status_code == 413
+
+        response = client.get(f"/documents/uploads/{session['upload_id']}")
+        assert response.json()["received_parts"] == []
+
+    def test_cancel_session(self, client, upload_settings):
+        """Test that a cancelled session is gone."""
+        session = start_session(client)
+
+        response = client.delete(f"/documents/uploads/{session['upload_id']}")
+        assert response.status_code == 200
+
+        response = client.get(f"/documents/uploads/{session['upload_id']}")
+        assert response.status_code == 404
+
+
+class TestSessionExpiry:
+    """Test removing abandoned upload sessions."""
+
+    def test_expire_old_session(self, upload_sessions_dir):
+        """Test that sessions without activity within the lifetime are removed."""
+        from app.core.upload_sessions import UploadSessionStore
+
+        store = UploadSessionStore()
+        session = store.create("scan.pdf", 10, 5)
+        directory = upload_sessions_dir / session["upload_id"]
+        for path in (directory, directory / "parts"):
+            os.utime(path, (0, 0))
+
+        store.expire()
+
+        assert store.get(session["upload_id"]) is None
+
+    def test_expire_skips_session_removed_meanwhile(self, upload_sessions_dir):
+        """Test that a session deleted by another request during expiry is skipped."""
+        from app.core.upload_sessions import UploadSessionStore
+
+        store = UploadSessionStore()
+        session = store.create("scan.pdf", 10, 5)
+        iterdir = Path.iterdir
+
+        def list_then_delete(path):
+            # A concurrent complete or cancel, between listing and reading the session
+            entries = list(iterdir(path))
+            store.delete(session["upload_id"])
+            return iter(entries)
+
+        with patch.object(Path, "iterdir", list_then_delete):
+            store.expire()
+
+        assert store.get(session["upload_id"]) is None
+
+
+class TestResumableUpload:
+    """Test uploading parts out of order, resuming and completing."""
+
+    def test_resume_and_complete(self, client, upload_settings, uploads_dir):
+        """Test that parts can arrive in any order and are joined on completion."""
+        from langchain_core.documents import Document
+
+        content = bytes(range(256)) * (10 * 1024)  # 2.5 MB
+        session = start_session(client, size=len(content))
+        upload_id = session["upload_id"]
+        parts = [content[i : i + MB] for i in range(0, len(content), MB)]
+
+        for index in (2, 0):
+            response = client.put(
+                f"/documents/uploads/{upload_id}/parts/{index}", content=parts[index]
+            )
+            assert response.status_code == 200
+
+        # A reloaded client reads back which parts the server already has
+        response = client.get(f"/documents/uploads/{upload_id}")
+        assert response.json()["received_parts"] == [0, 2]
+
+        response = client.post(f"/documents/uploads/{upload_id}/complete")
+        assert response.status_code == 400
+
+        client.put(f"/documents/uploads/{upload_id}/parts/1", content=parts[1])
+
+        received = {}
+
+        def process_upload(file, filename):
+            received["content"] = file.read()
+            return [Document(page_content="Scanned text", metadata={"source": filename})]
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.side_effect = process_upload
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["filename"] == "scan.pdf"
+        assert received["content"] == content
+        assert (uploads_dir / data["document_id"] / "scan.pdf").read_bytes() == content
+
+        response = client.get(f"/documents/uploads/{upload_id}")
+        assert response.status_code == 404
+
+    def test_session_kept_after_server_error(self, client, upload_settings, uploads_dir):
+        """Test that a failed ingestion keeps the parts, so completing can be retried."""
+        from langchain_core.documents import Document
+
+        content = b"Line of text\n" * 1000
+        session = start_session(client, filename="notes.txt", size=len(content))
+        upload_id = session["upload_id"]
+        client.put(f"/documents/uploads/{upload_id}/parts/0", content=content)
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = [
+                Document(page_content="Line of text", metadata={"source": "notes.txt"})
+            ]
+            mock_service.return_value.add_documents.side_effect = RuntimeError("Embedding failed")
+
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+            assert response.status_code == 500
+            assert client.get(f"/documents/uploads/{upload_id}").json()["received_parts"] == [0]
+
+            mock_service.return_value.add_documents.side_effect = None
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+
+        assert response.status_code == 200
+        assert client.get(f"/documents/uploads/{upload_id}").status_code == 404
+
+    def test_session_removed_after_rejection(self, client, upload_settings, uploads_dir):
+        """Test that a file the server rejects is discarded."""
+        content = b"%PDF-1.4 broken"
+        session = start_session(client, size=len(content))
+        upload_id = session["upload_id"]
+        client.put(f"/documents/uploads/{upload_id}/parts/0", content=content)
+
+        with patch("app.api.routes.documents.DocumentProcessor") as mock_processor:
+            mock_processor.return_value.process_upload.side_effect = ValueError("Unreadable PDF")
+
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+
+        assert response.status_code == 400
+        assert client.get(f"/documents/uploads/{upload_id}").status_code == 404
+
+    def test_repeated_complete_rejected(self, client, upload_settings, uploads_dir):
+        """Test that completing a session another request is completing is rejected."""
+        from langchain_core.documents import Document
+
+        from app.core.upload_sessions import UploadSessionStore
+
+        content = b"Line of text\n" * 1000
+        session = start_session(client, filename="notes.txt", size=len(content))
+        upload_id = session["upload_id"]
+        client.put(f"/documents/uploads/{upload_id}/parts/0", content=content)
+
+        # A double click or a retry after a client timeout, while the first request still runs
+        assert UploadSessionStore().begin_completion(upload_id)
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = [
+                Document(page_content="Line of text", metadata={"source": "notes.txt"})
+            ]
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+            assert response.status_code == 409
+            mock_service.return_value.add_documents.assert_not_called()
+
+            UploadSessionStore().end_completion(upload_id)
+            response = client.post(f"/documents/uploads/{upload_id}/complete")
+
+        assert response.status_code == 200
+        assert mock_service.return_value.add_documents.call_count == 1
+
+        response = client.post(f"/documents/uploads/{upload_id}/complete")
+        assert response.status_code == 404
@@ -0,0 +1,168 @@
+"""Tests for workspace endpoints and workspace scoping."""
+
+import io
+from unittest.mock import patch
+
+
+def create_workspace(client, name="Research"):
+    """Create a workspace and return it."""
+    response = client.post("/workspaces", json={"name": name})
+    assert response.status_code == 200
+    return response.json()
+
+
+class TestWorkspaceEndpoints:
+    """Test creating, renaming and deleting workspaces."""
+
+    def test_default_workspace_always_listed(self, client):
+        """Test that the default workspace exists before any is created."""
+        response = client.get("/workspaces")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert data["total"] == 1
+        assert data["workspaces"][0]["id"] == "default"
+        assert data["workspaces"][0]["collection_name"] == "test_collection"
+
+    def test_create_workspace(self, client):
+        """Test that a new workspace gets its own collection."""
+        workspace = create_workspace(client, "  Research  ")
+
+        assert workspace["name"] == "Research"
+        assert workspace["collection_name"] == f"test_collection_{workspace['id']}"
+        assert workspace["created_at"]
+
+        workspaces = client.get("/workspaces").json()["workspaces"]
+        assert [w["name"] for w in workspaces] == ["Default", "Research"]
+
+    def test_duplicate_name(self, client):
+        """Test that names are unique ignoring case."""
+        create_workspace(client, "Research")
+
+        response = client.post("/workspaces", json={"name": "research"})
+
+        assert response.status_code == 409
+
+    def test_blank_name(self, client):
+        """Test that a workspace needs a name."""
+        response = client.post("/workspaces", json={"name": "   "})
+
+        assert response.status_code == 400
+
+    def test_rename_workspace(self, client):
+        """Test renaming keeps the collection."""
+        workspace = create_workspace(client)
+
+        response = client.patch(f"/workspaces/{workspace['id']}", json={"name": "Papers"})
+
+        assert response.status_code == 200
+        assert response.json()["name"] == "Papers"
+        assert response.json()["collection_name"] == workspace["collection_name"]
+
+    def test_rename_default_workspace(self, client):
+        """Test that the default workspace can be renamed."""
+        response = client.patch("/workspaces/default", json={"name": "General"})
+
+        assert response.status_code == 200
+        assert client.get("/workspaces").json()["workspaces"][0]["name"] == "General"
+
+    def test_rename_unknown_workspace(self, client):
+        """Test renaming a workspace that does not exist."""
+        response = client.patch("/workspaces/missing", json={"name": "Papers"})
+
+        assert response.status_code == 404
+
+    def test_delete_workspace(self, client):
+        """Test that deleting a workspace drops its collection."""
+        workspace = create_workspace(client)
+
+        with patch("app.api.routes.workspaces.VectorStoreService") as mock_service:
+            response = client.delete(f"/workspaces/{workspace['id']}")
+
+        assert response.status_code == 200
+        mock_service.assert_called_once_with(workspace["collection_name"])
+        mock_service.return_value.delete_collection.assert_called_once()
+        assert client.get("/workspaces").json()["total"] == 1
+
+    def test_delete_default_workspace(self, client):
+        """Test that the default workspace cannot be deleted."""
+        response = client.delete("/workspaces/default")
+
+        assert response.status_code == 400
+
+    def test_delete_unknown_workspace(self, client):
+        """Test deleting a workspace that does not exist."""
+        response = client.delete("/workspaces/missing")
+
+        assert response.status_code == 404
+
+
+class TestWorkspaceScoping:
+    """Test that the X-Workspace header selects the collection."""
+
+    def test_upload_to_workspace(self, client):
+        """Test that uploads go to the workspace collection."""
+        from langchain_core.documents import Document
+
+        workspace = create_workspace(client)
+        chunks = [Document(page_content="Chunk", metadata={"source": "notes.txt"})]
+        files = {"file": ("notes.txt", io.BytesIO(b"content"), "text/plain")}
+
+        with (
+            patch("app.api.routes.documents.DocumentProcessor") as mock_processor,
+            patch("app.api.routes.documents.VectorStoreService") as mock_service,
+        ):
+            mock_processor.return_value.process_upload.return_value = chunks
+            mock_service.return_value.add_documents.return_value = ["id1"]
+
+            response = client.post(
+                "/documents/upload", files=files, headers={"X-Workspace": workspace["id"]}
+            )
+
+        assert response.status_code == 200
+        mock_service.assert_called_with(workspace["collection_name"])
+
+    def test_default_workspace_without_header(self, client):
+        """Test that requests without the header use the configured collection."""
+        with patch("app.api.routes.documents.VectorStoreService") as mock_service:
+            mock_service.return_value.list_documents.return_value = []
+
+            response = client.get("/documents")
+
+        assert response.status_code == 200
+        mock_service.assert_called_with("test_collection")
+
+    def test_query_in_workspace(self, client):
+        """Test that questions are answered from the workspace collection."""
+        from app.api.routes import query as query_routes
+
+        workspace = create_workspace(client)
+
+        response = client.post(
+            "/query",
+            json={"question": "What is RAG?"},
+            headers={"X-Workspace": workspace["id"]},
+        )
+
+        assert response.status_code == 200
+        options = query_routes.RAGChain.call_args.kwargs
+        assert options["collection_name"] == workspace["collection_name"]
+
+    def test_upload_session_remembers_workspace(self, client):
+        """Test that a resumable upload finishes in the workspace it was started in."""
+        workspace = create_workspace(client)
+
+        response = client.post(
+            "/documents/uploads",
+            json={"filename": "scan.pdf", "size": 1024},
+            headers={"X-Workspace": workspace["id"]},
+        )
+
+        assert response.status_code == 200
+        assert response.json()["workspace_id"] == workspace["id"]
+
+    def test_unknown_workspace(self, client):
+        """Test that an unknown workspace is rejected."""
+        response = client.get("/documents", headers={"X-Workspace": "missing"})
+
+        assert response.status_code == 404